@@ -0,0 +1,151 @@
+/**
+ * API Keys
+ * Revocable keys for programmatic clients (backend services calling /api/* directly).
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is issued.
+ * A key acts as the user it belongs to (their GoTo connection sends its messages),
+ * limited to its scopes and, optionally, to a list of sender numbers.
+ */
+
+// Import crypto module for key generation and hashing
+const crypto = require('crypto');
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized error classes
+const { InvalidRequestError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'apiKeys' });
+
+// Scopes a key can be granted; admin implies the others
+const SCOPES = ['sms:send', 'sms:read', 'admin'];
+
+// Prefix of every issued key, so leaked keys are easy to recognise
+const KEY_PREFIX = 'gsms_';
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are random 192-bit values, so a fast hash is enough (no salt or key stretching needed)
+ * @param {string} key - Plain-text API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a set of scopes grants a scope
+ * @param {string[]} scopes - Granted scopes
+ * @param {string} scope - Required scope
+ * @returns {boolean} - True when granted directly or through admin
+ */
+function hasScope(scopes, scope) {
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+/**
+ * Remove the key hash from a record before returning it from the API
+ * @param {Object} record - Stored key record
+ * @returns {Object} - Record without keyHash
+ */
+function toPublicKey(record) {
+    const { keyHash, ...publicKey } = record;
+    return publicKey;
+}
+
+/**
+ * Create the API key store
+ * @param {Object} options
+ * @param {Function} options.normalizeNumber - Returns the E.164 form of a phone number, or null when it is invalid
+ * @param {Object} [options.collection] - Override the backing collection
+ * @returns {Object} - API key store
+ */
+function createApiKeyStore({ normalizeNumber, collection = createCollection('apiKeys') }) {
+    /**
+     * Issue a new key
+     * @param {Object} fields - { name, userId, scopes[], allowedSenders[] } - empty allowedSenders allows any number;
+     *   senders are stored in E.164 format
+     * @returns {Object} - { key, apiKey } - key is the plain-text value, only available now
+     * @throws {InvalidRequestError} - If a field is invalid
+     */
+    function create({ name, userId, scopes, allowedSenders = [] }) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new InvalidRequestError('API key name is required');
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            throw new InvalidRequestError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+        }
+        const senders = Array.isArray(allowedSenders) ? allowedSenders.map(number => normalizeNumber(number)) : null;
+        if (!senders || senders.includes(null)) {
+            throw new InvalidRequestError('allowedSenders must be a list of phone numbers (e.g., +15552345678)');
+        }
+
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const apiKey = collection.insert({
+            name: name.trim(),
+            userId,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),   // Shown in listings to tell keys apart
+            keyHash: hashApiKey(key),
+            scopes: [...new Set(scopes)],
+            allowedSenders: [...new Set(senders)],
+            lastUsedAt: null,
+            revokedAt: null
+        });
+        logger.info('API key issued', { keyPrefix: apiKey.prefix, scopes: apiKey.scopes });
+        return { key, apiKey: toPublicKey(apiKey) };
+    }
+
+    /**
+     * Look up the active key matching a presented value
+     * @param {string} key - Plain-text API key from the request
+     * @returns {Object|null} - Public key record, or null when unknown or revoked
+     */
+    function authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+        const keyHash = hashApiKey(key);
+        const apiKey = collection.find(record => record.keyHash === keyHash && !record.revokedAt);
+        if (!apiKey) {
+            return null;
+        }
+        return toPublicKey(collection.update(apiKey.id, { lastUsedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Revoke a key; it stays listed (with revokedAt) but no longer authenticates
+     * @param {string} id - Key ID
+     * @returns {Object|null} - The revoked key or null when not found
+     */
+    function revoke(id) {
+        const apiKey = collection.get(id);
+        if (!apiKey) {
+            return null;
+        }
+        if (!apiKey.revokedAt) {
+            logger.info('API key revoked', { keyPrefix: apiKey.prefix });
+            return toPublicKey(collection.update(id, { revokedAt: new Date().toISOString() }));
+        }
+        return toPublicKey(apiKey);
+    }
+
+    return {
+        create,
+        authenticate,
+        revoke,
+        get(id) {
+            const apiKey = collection.get(id);
+            return apiKey ? toPublicKey(apiKey) : null;
+        },
+        list: () => collection.list().map(toPublicKey)
+    };
+}
+
+module.exports = {
+    createApiKeyStore,
+    hasScope,
+    hashApiKey,
+    SCOPES
+};
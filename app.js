@@ -1,498 +1,1998 @@
-/**
- * SMS Tutorial Application
- * This application demonstrates OAuth 2.0 authentication and SMS sending using the GoTo API
- */
-
-// Load environment variables from .env file into process.env
-require("dotenv").config();
-
-// Import OAuth 2.0 authorization code flow handler from simple-oauth2 library
-var { AuthorizationCode } = require("simple-oauth2");
-
-// Import crypto module for generating secure random strings
-var crypto = require("crypto");
-
-// Import Express.js web framework for creating HTTP server
-var express = require("express");
-
-// Import Axios HTTP client library for making API requests
-var axios = require("axios").default;
-
-// Import child_process module for executing system commands (to kill processes on ports)
-var { exec } = require("child_process");
-
-// Validate required environment variables
-// Define an array of environment variables that must be present for the app to function
-const requiredEnvVars = ['OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET', 'OAUTH_SERVICE_URL', 'OAUTH_REDIRECT_URI'];
-
-// Loop through each required environment variable
-for (const envVar of requiredEnvVars) {
-    // Check if the environment variable is missing or empty
-    if (!process.env[envVar]) {
-        // Log error message and exit the application if any required variable is missing
-        console.error(`Missing required environment variable: ${envVar}`);
-        process.exit(1); // Exit with error code 1
-    }
-}
-
-/**
- * Function to kill any process running on a specific port
- * This prevents "port already in use" errors when starting the server
- * @param {number} port - The port number to check and clear
- * @returns {Promise} - Promise that resolves when all processes are killed
- */
-function killProcessOnPort(port) {
-    // Return a Promise to handle the asynchronous process killing
-    return new Promise((resolve) => {
-        // Execute 'lsof -ti :port' command to find process IDs using the specified port
-        exec(`lsof -ti :${port}`, (error, stdout, stderr) => {
-            // If there's an error or no output, no processes are using this port
-            if (error || !stdout.trim()) {
-                console.log(`No process found on port ${port}`);
-                resolve(); // Resolve the promise since there's nothing to kill
-                return;
-            }
-            
-            // Split the output into individual process IDs (one per line)
-            const pids = stdout.trim().split('\n');
-            let killCount = 0; // Counter to track how many processes we've attempted to kill
-            
-            // Loop through each process ID and kill it
-            pids.forEach(pid => {
-                // Check if the PID is not empty after trimming whitespace
-                if (pid.trim()) {
-                    // Execute 'kill -9 pid' command to forcefully terminate the process
-                    exec(`kill -9 ${pid.trim()}`, (killError) => {
-                        // Check if the kill command was successful
-                        if (!killError) {
-                            console.log(`Killed process ${pid.trim()} on port ${port}`);
-                        } else {
-                            console.log(`Failed to kill process ${pid.trim()}: ${killError.message}`);
-                        }
-                        killCount++; // Increment the counter
-                        // If we've processed all PIDs, resolve the promise
-                        if (killCount === pids.length) {
-                            resolve();
-                        }
-                    });
-                }
-            });
-        });
-    });
-}
-
-// Configure OAuth 2.0 client settings using environment variables
-var oauthConfig = {
-    client: {
-        id: process.env.OAUTH_CLIENT_ID,        // OAuth client ID from environment
-        secret: process.env.OAUTH_CLIENT_SECRET  // OAuth client secret from environment
-    },
-    auth: {
-        tokenHost: process.env.OAUTH_SERVICE_URL // OAuth authorization server URL
-    }
-};
-
-// Create an OAuth 2.0 Authorization Code client instance
-var oauthClient = new AuthorizationCode(oauthConfig);
-
-// In-memory store for OAuth state tokens (in production, use Redis or database)
-// This Map stores state tokens to prevent CSRF attacks
-var pendingStates = new Map();
-
-// Token storage (in production, use Redis or database)
-var tokenStorage = {
-    accessToken: null,
-    refreshToken: null,
-    expiresAt: null,
-    
-    // Store tokens with expiration time
-    setTokens(tokenResponse) {
-        this.accessToken = tokenResponse.token.access_token;
-        this.refreshToken = tokenResponse.token.refresh_token;
-        // Calculate expiration time (subtract 60 seconds for safety margin)
-        const expiresIn = tokenResponse.token.expires_in || 3600;
-        this.expiresAt = Date.now() + ((expiresIn - 60) * 1000);
-        console.log(`Tokens stored. Expires in ${expiresIn} seconds`);
-    },
-    
-    // Check if access token is valid and not expired
-    isTokenValid() {
-        return this.accessToken && this.expiresAt && Date.now() < this.expiresAt;
-    },
-    
-    // Get current access token
-    getAccessToken() {
-        return this.isTokenValid() ? this.accessToken : null;
-    },
-    
-    // Clear all tokens
-    clearTokens() {
-        this.accessToken = null;
-        this.refreshToken = null;
-        this.expiresAt = null;
-        console.log('Tokens cleared');
-    }
-};
-
-/**
- * Function to refresh access token using refresh token
- * @returns {Promise<string|null>} - Returns access token if successful, null if failed
- */
-async function refreshAccessToken() {
-    if (!tokenStorage.refreshToken) {
-        console.log('No refresh token available');
-        return null;
-    }
-    
-    try {
-        console.log('Refreshing access token...');
-        const tokenResponse = await oauthClient.getToken({
-            grant_type: 'refresh_token',
-            refresh_token: tokenStorage.refreshToken
-        });
-        
-        tokenStorage.setTokens(tokenResponse);
-        console.log('Access token refreshed successfully');
-        return tokenStorage.getAccessToken();
-    } catch (error) {
-        console.error('Failed to refresh token:', error.message);
-        tokenStorage.clearTokens();
-        return null;
-    }
-}
-
-/**
- * Function to get a valid access token (refresh if needed)
- * @returns {Promise<string|null>} - Returns valid access token or null if authentication needed
- */
-async function getValidAccessToken() {
-    // Check if current token is valid
-    if (tokenStorage.isTokenValid()) {
-        return tokenStorage.getAccessToken();
-    }
-    
-    // Try to refresh the token
-    return await refreshAccessToken();
-}
-
-/**
- * Function to generate authorization URL with unique state token
- * Each authorization request gets a unique state to prevent CSRF attacks
- * @returns {Object} - Object containing the authorization URL and state token
- */
-function generateAuthUrl() {
-    // Generate a cryptographically secure random 15-byte string as hex
-    var state = crypto.randomBytes(15).toString('hex');
-    
-    // Store the state token with current timestamp for later validation
-    pendingStates.set(state, { timestamp: Date.now() });
-    
-    // Generate the OAuth authorization URL with required parameters
-    var authorizationUrl = oauthClient.authorizeURL({
-        redirect_uri: process.env.OAUTH_REDIRECT_URI, // Where to redirect after authorization
-        scope: 'messaging.v1.send',                   // Requested OAuth scope for SMS sending
-        state: state                                  // CSRF protection token
-    });
-    
-    // Return both the URL and state for external use
-    return { url: authorizationUrl, state: state };
-}
-
-// Generate initial authorization URL for manual testing
-var { url: authorizationUrl } = generateAuthUrl();
-console.log('Open in browser to send a SMS: ', authorizationUrl);
-
-// Create Express.js application instance
-var app = express();
-
-// Middleware for CORS (Cross-Origin Resource Sharing)
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
-    } else {
-        next();
-    }
-});
-
-// Middleware to parse JSON request bodies
-app.use(express.json());
-
-// Serve static files (including index.html)
-app.use(express.static(__dirname));
-
-/**
- * OAuth callback endpoint - handles the redirect from the authorization server
- * This endpoint receives the authorization code and exchanges it for an access token
- * Then uses the token to send an SMS message
- */
-app.get('/login/oauth2/code/goto', async function (req, res) {
-    try {
-        // Extract the state parameter from the query string
-        const receivedState = req.query.state;
-        
-        // Validate that the state exists and matches one we generated (CSRF protection)
-        if (!receivedState || !pendingStates.has(receivedState)) {
-            console.log('Ignoring authorization code with invalid or missing state');
-            // Return 403 Forbidden with error message
-            return res.status(403).json({ error: 'Invalid state parameter' });
-        }
-        
-        // Remove the used state token to prevent replay attacks
-        pendingStates.delete(receivedState);
-        
-        // Extract the authorization code from the query string
-        const authorizationCode = req.query.code;
-        
-        // Validate that the authorization code is present
-        if (!authorizationCode) {
-            console.log('Missing authorization code');
-            // Return 400 Bad Request with error message
-            return res.status(400).json({ error: 'Missing authorization code' });
-        }
-        
-        // Prepare parameters for token exchange
-        var tokenParams = {
-            code: authorizationCode,                      // The authorization code received
-            redirect_uri: process.env.OAUTH_REDIRECT_URI, // Must match the original redirect URI
-            scope: 'messaging.v1.send'                    // Requested scope
-        };
-        
-        // Initialize token response variable
-        var tokenResponse = null;
-        
-        try {
-            // Exchange authorization code for access token
-            tokenResponse = await oauthClient.getToken(tokenParams);
-            
-            // Store the tokens for future use
-            tokenStorage.setTokens(tokenResponse);
-        } catch (error) {
-            // Log the error and return 500 Internal Server Error
-            console.log('Access Token Error', error.message);
-            return res.status(500).json({ error: 'Failed to obtain access token' });
-        }
-        
-        // Extract the access token from the response
-        var accessToken = tokenResponse.token.access_token;
-        
-        // Configure phone numbers and message content from environment variables with fallbacks
-        const ownerPhone = process.env.OWNER_PHONE_NUMBER || '+15625791776';           // Sender's phone number
-        const contactPhone = process.env.CONTACT_PHONE_NUMBER || '+17143059601';       // Recipient's phone number
-        const messageBody = process.env.SMS_MESSAGE || 'Congratulations! You have successfully completed the tutorial!'; // SMS content
-        
-        // Configure HTTP request options for SMS API call
-        var options = {
-            method: 'POST',                                    // HTTP method for sending SMS
-            url: 'https://api.jive.com/messaging/v1/messages', // GoTo SMS API endpoint
-            headers: {
-                Authorization: `Bearer ${accessToken}`,        // OAuth bearer token for authentication
-                'content-type': 'application/json'             // Request content type
-            },
-            data: {
-                ownerPhoneNumber: ownerPhone,        // The phone number sending the SMS
-                contactPhoneNumbers: [contactPhone], // Array of recipient phone numbers
-                body: messageBody                    // The SMS message content
-            }
-        };
-
-        try {
-            // Send the SMS using Axios HTTP client
-            const response = await axios.request(options);
-            
-            // Log successful SMS sending with response data
-            console.log('SMS sent successfully:', response.data);
-            
-            // Return success response to the client
-            res.status(200).json({ 
-                success: true, 
-                message: 'SMS sent successfully',
-                data: response.data 
-            });
-        } catch (error) {
-            // Log SMS sending failure with error details
-            console.error('SMS sending failed:', error.response?.data || error.message);
-            
-            // Return error response to the client
-            res.status(500).json({ 
-                error: 'Failed to send SMS',
-                details: error.response?.data || error.message 
-            });
-        }
-        
-    } catch (error) {
-        // Catch any unexpected errors in the entire function
-        console.error('Unexpected error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-/**
- * API endpoint to send SMS messages
- * Accepts JSON with from, to, and message fields
- * Uses stored access token or returns error if authentication needed
- */
-app.post('/api/send-sms', async (req, res) => {
-    try {
-        // Extract SMS parameters from request body
-        const { from, to, message } = req.body;
-        
-        // Validate required fields
-        if (!from || !to || !message) {
-            return res.status(400).json({ 
-                error: 'Missing required fields: from, to, message' 
-            });
-        }
-        
-        // Validate phone number format (basic E.164 check)
-        const phoneRegex = /^\+[1-9]\d{1,14}$/;
-        if (!phoneRegex.test(from) || !phoneRegex.test(to)) {
-            return res.status(400).json({ 
-                error: 'Phone numbers must be in E.164 format (e.g., +15551234567)' 
-            });
-        }
-        
-        // Get a valid access token
-        const accessToken = await getValidAccessToken();
-        if (!accessToken) {
-            return res.status(401).json({ 
-                error: 'Authentication required. Please complete OAuth flow first.',
-                authUrl: generateAuthUrl().url
-            });
-        }
-        
-        // Configure HTTP request options for SMS API call
-        const options = {
-            method: 'POST',
-            url: 'https://api.jive.com/messaging/v1/messages',
-            headers: {
-                Authorization: `Bearer ${accessToken}`,
-                'content-type': 'application/json'
-            },
-            data: {
-                ownerPhoneNumber: from,
-                contactPhoneNumbers: [to],
-                body: message
-            }
-        };
-        
-        // Send the SMS using Axios HTTP client
-        const response = await axios.request(options);
-        
-        // Log and return success response
-        console.log('SMS sent successfully via API:', response.data);
-        res.status(200).json({
-            success: true,
-            message: 'SMS sent successfully',
-            id: response.data.id,
-            data: response.data
-        });
-        
-    } catch (error) {
-        // Handle SMS API errors
-        if (error.response && error.response.status === 401) {
-            // Token expired or invalid, clear stored tokens
-            tokenStorage.clearTokens();
-            return res.status(401).json({
-                error: 'Authentication expired. Please complete OAuth flow again.',
-                authUrl: generateAuthUrl().url
-            });
-        }
-        
-        console.error('SMS API error:', error.response?.data || error.message);
-        res.status(500).json({
-            error: 'Failed to send SMS',
-            details: error.response?.data || error.message
-        });
-    }
-});
-
-/**
- * Endpoint to check authentication status
- * Returns whether user is authenticated and token info
- */
-app.get('/api/auth-status', (req, res) => {
-    const isAuthenticated = tokenStorage.isTokenValid();
-    res.json({
-        authenticated: isAuthenticated,
-        tokenExpiry: tokenStorage.expiresAt ? new Date(tokenStorage.expiresAt).toISOString() : null,
-        authUrl: isAuthenticated ? null : generateAuthUrl().url
-    });
-});
-
-/**
- * Endpoint to manually trigger re-authentication
- * Clears stored tokens and returns new auth URL
- */
-app.post('/api/re-authenticate', (req, res) => {
-    tokenStorage.clearTokens();
-    const { url } = generateAuthUrl();
-    res.json({
-        message: 'Tokens cleared. Please complete OAuth flow.',
-        authUrl: url
-    });
-});
-
-/**
- * Periodic cleanup of expired OAuth state tokens
- * This prevents memory leaks by removing old, unused state tokens
- * Runs every 5 minutes and removes tokens older than 10 minutes
- */
-setInterval(() => {
-    const now = Date.now();                               // Get current timestamp
-    
-    // Iterate through all stored state tokens
-    for (const [state, data] of pendingStates.entries()) {
-        // Check if the token is older than 10 minutes (10 * 60 * 1000 milliseconds)
-        if (now - data.timestamp > 10 * 60 * 1000) {
-            pendingStates.delete(state);                  // Remove expired token
-        }
-    }
-}, 5 * 60 * 1000); // Execute this cleanup every 5 minutes
-
-/**
- * Endpoint to generate a new authorization URL
- * Useful for getting fresh authorization URLs without restarting the server
- */
-app.get('/auth/new', (req, res) => {
-    // Generate a new authorization URL and state token
-    const { url, state } = generateAuthUrl();
-    
-    // Return the new URL and state as JSON
-    res.json({ authUrl: url, state: state });
-});
-
-/**
- * Health check endpoint
- * Returns server status and current timestamp for monitoring purposes
- */
-app.get('/health', (req, res) => {
-    // Return health status with current ISO timestamp
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Get the port number from environment variable, default to 5000
-const port = process.env.PORT || 5000;
-
-/**
- * Async function to start the server
- * First kills any existing processes on the target port, then starts the Express server
- */
-async function startServer() {
-    // Check for and kill any existing processes using our target port
-    console.log(`Checking for existing processes on port ${port}...`);
-    await killProcessOnPort(port);
-    
-    // Start the Express server on the specified port
-    app.listen(port, () => {
-        // Log server startup information with helpful URLs
-        console.log(`Server running on port ${port}`);
-        console.log(`Health check: http://localhost:${port}/health`);
-        console.log(`New auth URL: http://localhost:${port}/auth/new`);
-    });
-}
-
-// Start the server by calling the async function
-startServer();
\ No newline at end of file
+/**
+ * SMS Tutorial Application
+ * This application demonstrates OAuth 2.0 authentication and SMS sending using the GoTo API
+ */
+
+// Load environment variables from .env file into process.env
+require("dotenv").config();
+
+// Import crypto module for generating secure random strings
+var crypto = require("crypto");
+
+// Import path module for locating the files of the web interface
+var path = require("path");
+
+// Import Express.js web framework for creating HTTP server
+var express = require("express");
+
+// Import cookie-based session middleware for user logins
+var session = require("express-session");
+
+// Import child_process module for executing system commands (to kill processes on ports)
+var { exec } = require("child_process");
+
+// Sandbox mode (SMS_MODE=sandbox): point OAuth and messaging at the local mock provider
+// This must happen before ./auth and ./dataStore are loaded, as they read the environment once
+var { isSandboxMode, applySandboxEnvironment, parseFailureSpec, createSandboxProvider, MOUNT_PATH: SANDBOX_MOUNT_PATH } = require("./sandbox");
+const sandboxMode = isSandboxMode();
+if (sandboxMode) {
+    applySandboxEnvironment();
+}
+
+// Import the shared OAuth client, authorization URL builder and token providers (default and per user)
+var { oauthClient, oauthScope, generateAuthUrl, pendingStates, tokenProvider, getUserTokenProvider } = require("./auth");
+
+// Import the local user accounts and API keys
+var { createUserStore } = require("./users");
+var { createApiKeyStore, hasScope } = require("./apiKeys");
+
+// Import the GoTo messaging client and its normalized error classes
+var { createMessagingClient, DEFAULT_BASE_URL: GOTO_MESSAGING_DEFAULT_BASE_URL } = require("./messaging");
+var { MessagingError, AuthExpiredError, RateLimitedError, InvalidNumberError, InvalidRequestError, SuppressedRecipientError, SenderNotAllowedError } = require("./errors");
+
+// Import phone number parsing (shared with index.html)
+var { parsePhoneNumber, normalizePhoneNumber, validatePhoneFields, isSupportedRegion } = require("./phoneNumbers");
+
+// Import the message log and the GoTo webhook helpers
+var { createMessageStore, createRecordingClient, pollMessageStatuses, refreshMessageStatus, messagesToCsv } = require("./messageStore");
+var { verifyWebhook, parseNotification } = require("./webhooks");
+
+// Import the idempotency key store for safely retried sends
+var { createIdempotencyStore, fingerprintRequest, MAX_KEY_LENGTH } = require("./idempotency");
+
+// Import the request rate limiters and sender quotas
+var { createTokenBucketLimiter, setRateLimitHeaders, createSenderQuota, createSendLimitGuard } = require("./rateLimits");
+
+// Import the opt-out suppression list
+var { createSuppressionList, createSuppressionGuard, detectKeyword } = require("./suppressions");
+
+// Import the message template store and renderer
+var { createTemplateStore, renderTemplateStrict } = require("./templates");
+
+// Import the address book (contacts and groups)
+var { createContactStore, contactVariables } = require("./contacts");
+
+// Import SMS encoding and segment analysis (shared with index.html)
+var { analyzeMessage } = require("./smsEncoding");
+
+// Import the scheduled message store and dispatcher
+var { createScheduler } = require("./scheduler");
+
+// Import the bulk campaign queue
+var { createCampaignManager, summarizeCampaign } = require("./campaigns");
+
+// Import the sender number cache (numbers owned by each GoTo connection)
+var { createSenderNumberStore, createSenderGuard } = require("./senderNumbers");
+
+// Import the structured logger, metrics and readiness check
+var { logger, runWithContext } = require("./logger");
+var metrics = require("./metrics");
+var { createReadinessCheck, tokenStatus } = require("./health");
+
+// Validate required environment variables
+// Define an array of environment variables that must be present for the app to function
+const requiredEnvVars = ['OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET', 'OAUTH_SERVICE_URL', 'OAUTH_REDIRECT_URI'];
+
+// Loop through each required environment variable
+for (const envVar of requiredEnvVars) {
+    // Check if the environment variable is missing or empty
+    if (!process.env[envVar]) {
+        // Log error message and exit the application if any required variable is missing
+        logger.error('Missing required environment variable', { envVar });
+        process.exit(1); // Exit with error code 1
+    }
+}
+
+/**
+ * Function to kill any process running on a specific port
+ * This prevents "port already in use" errors when starting the server
+ * @param {number} port - The port number to check and clear
+ * @returns {Promise} - Promise that resolves when all processes are killed
+ */
+function killProcessOnPort(port) {
+    // Return a Promise to handle the asynchronous process killing
+    return new Promise((resolve) => {
+        // Execute 'lsof -ti :port' command to find process IDs using the specified port
+        exec(`lsof -ti :${port}`, (error, stdout, stderr) => {
+            // If there's an error or no output, no processes are using this port
+            if (error || !stdout.trim()) {
+                logger.debug('No process found on port', { port });
+                resolve(); // Resolve the promise since there's nothing to kill
+                return;
+            }
+            
+            // Split the output into individual process IDs (one per line)
+            const pids = stdout.trim().split('\n');
+            let killCount = 0; // Counter to track how many processes we've attempted to kill
+            
+            // Loop through each process ID and kill it
+            pids.forEach(pid => {
+                // Check if the PID is not empty after trimming whitespace
+                if (pid.trim()) {
+                    // Execute 'kill -9 pid' command to forcefully terminate the process
+                    exec(`kill -9 ${pid.trim()}`, (killError) => {
+                        // Check if the kill command was successful
+                        if (!killError) {
+                            logger.info('Killed process on port', { pid: pid.trim(), port });
+                        } else {
+                            logger.warn('Failed to kill process', { pid: pid.trim(), err: killError });
+                        }
+                        killCount++; // Increment the counter
+                        // If we've processed all PIDs, resolve the promise
+                        if (killCount === pids.length) {
+                            resolve();
+                        }
+                    });
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Function to pick the token provider for a user
+ * Sends that do not belong to a user (userId null) use the default provider
+ * @param {string|null} userId - Local user ID
+ * @returns {Object} - Token provider from auth.js
+ */
+function getTokenProvider(userId) {
+    return userId ? getUserTokenProvider(userId) : tokenProvider;
+}
+
+/**
+ * Function to refresh access token using refresh token
+ * Delegates to the user's token provider so concurrent refreshes are de-duplicated
+ * @param {string|null} [userId] - Local user ID
+ * @returns {Promise<string|null>} - Returns access token if successful, null if failed
+ */
+async function refreshAccessToken(userId = null) {
+    try {
+        return await getTokenProvider(userId).refreshAccessToken();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Function to get a valid access token (refresh if needed)
+ * Tokens close to expiry are refreshed proactively by the token provider
+ * @param {string|null} [userId] - Local user ID
+ * @returns {Promise<string|null>} - Returns valid access token or null if authentication needed
+ */
+async function getValidAccessToken(userId = null) {
+    try {
+        return await getTokenProvider(userId).getAccessToken();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Region used for phone numbers typed without a country code, e.g. "(714) 305-9601"
+const phoneDefaultRegion = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+if (!isSupportedRegion(phoneDefaultRegion)) {
+    logger.error('Unsupported PHONE_DEFAULT_REGION', { region: phoneDefaultRegion });
+    process.exit(1);
+}
+const phoneOptions = { defaultRegion: phoneDefaultRegion };
+
+// Sender used when a send gives no "from" (must be a number of the connected account to be used)
+const defaultSenderSetting = process.env.SMS_DEFAULT_SENDER || process.env.OWNER_PHONE_NUMBER;
+const defaultSender = defaultSenderSetting ? parsePhoneNumber(defaultSenderSetting, phoneOptions) : null;
+if (defaultSender && !defaultSender.valid) {
+    logger.error('Invalid SMS_DEFAULT_SENDER', { value: defaultSenderSetting });
+    process.exit(1);
+}
+
+// Longest message accepted by /api/send-sms, in SMS segments
+const smsMaxSegments = parseInt(process.env.SMS_MAX_SEGMENTS, 10) || 10;
+
+// Price of one SMS segment for cost estimates (unset: no estimate)
+const smsSegmentPrice = process.env.SMS_SEGMENT_PRICE ? parseFloat(process.env.SMS_SEGMENT_PRICE) : null;
+
+/**
+ * Function to analyze a message body and enforce the segment limit
+ * @param {string} body - Message text
+ * @param {boolean} transliterate - Replace smart quotes, dashes, ... with GSM-7 characters first
+ * @returns {Object} - Result of analyzeMessage(); its text is the body to send
+ * @throws {InvalidRequestError} - code MESSAGE_TOO_LONG when the text needs more than SMS_MAX_SEGMENTS segments
+ */
+function checkMessageLength(body, transliterate) {
+    const analysis = analyzeMessage(body, { transliterate });
+    if (analysis.segments > smsMaxSegments) {
+        throw new InvalidRequestError(`Message needs ${analysis.segments} SMS segments; the limit is ${smsMaxSegments}`, {
+            code: 'MESSAGE_TOO_LONG',
+            details: {
+                encoding: analysis.encoding,
+                length: analysis.length,
+                segments: analysis.segments,
+                maxSegments: smsMaxSegments,
+                unicodeCharacters: analysis.unicodeCharacters
+            }
+        });
+    }
+    return analysis;
+}
+
+/**
+ * Function to convert a phone number from the API to E.164
+ * @param {string} number - Phone number in E.164 or the default region's national format
+ * @returns {string|null} - E.164 number, or null when the number is invalid
+ */
+function normalizeNumber(number) {
+    return normalizePhoneNumber(number, phoneOptions);
+}
+
+/**
+ * Function to build the error for invalid phone number fields
+ * @param {Object[]} fieldErrors - { field, value, code, message } entries from validatePhoneFields()
+ * @returns {InvalidNumberError} - Error whose details.fields lists the entries
+ */
+function invalidNumberError(fieldErrors) {
+    const message = fieldErrors.map(fieldError => `${fieldError.field}: ${fieldError.message}`).join('; ');
+    return new InvalidNumberError(message, { details: { fields: fieldErrors } });
+}
+
+/**
+ * Function to normalize a phone number given in the URL or query string
+ * @param {string} field - Name of the parameter, used in the error
+ * @param {string} value - Phone number in E.164 or the default region's national format
+ * @returns {string} - The number in E.164 format
+ * @throws {InvalidNumberError} - If the number is invalid
+ */
+function requirePhoneNumber(field, value) {
+    const { values, errors } = validatePhoneFields({ [field]: value }, phoneOptions);
+    if (errors.length > 0) {
+        throw invalidNumberError(errors);
+    }
+    return values[field];
+}
+
+/**
+ * Function to validate, normalize and de-duplicate a recipient list
+ * @param {string[]} to - Phone numbers in E.164 or the default region's national format
+ * @returns {Object} - { recipients, invalid, duplicates, errors, types } - recipients are unique E.164 numbers in input order;
+ *                     errors are field-level errors (field "to[index]"); types maps each recipient to mobile, fixed_line, ...
+ */
+function normalizeRecipients(to) {
+    const recipients = [];
+    const invalid = [];
+    const duplicates = [];
+    const errors = [];
+    const types = {};
+    
+    to.forEach((entry, index) => {
+        const result = parsePhoneNumber(entry, phoneOptions);
+        if (!result.valid) {
+            invalid.push(String(entry));
+            errors.push({ field: `to[${index}]`, value: entry, code: result.error.code, message: result.error.message });
+        } else if (recipients.includes(result.e164)) {
+            duplicates.push(result.e164);
+        } else {
+            recipients.push(result.e164);
+            types[result.e164] = result.type;
+        }
+    });
+    
+    return { recipients, invalid, duplicates, errors, types };
+}
+
+/**
+ * Function to collect the recipients of a send from raw numbers, a contact and a group
+ * @param {Object} params - { to, contactId, groupId } - any combination; at least one is required
+ * @returns {Object} - { numbers, notFound } - notFound names 'Contact' or 'Group' when an ID does not exist
+ */
+function resolveRecipients({ to, contactId, groupId }) {
+    const numbers = to ? (Array.isArray(to) ? [...to] : [to]) : [];
+    
+    if (contactId) {
+        const contact = contactStore.get(contactId);
+        if (!contact) {
+            return { notFound: 'Contact' };
+        }
+        numbers.push(contact.phone);
+    }
+    
+    if (groupId) {
+        if (!contactStore.getGroup(groupId)) {
+            return { notFound: 'Group' };
+        }
+        numbers.push(...contactStore.list({ groupId }).map(member => member.phone));
+    }
+    
+    return { numbers };
+}
+
+/**
+ * Function to list the numbers the caller can send from
+ * These are the SMS-capable numbers of the user's GoTo connection, limited to the API key's allowed senders
+ * @param {Object} req - Express request object
+ * @param {Object} [options] - { refresh } - fetch the numbers from GoTo even when the cached ones are fresh
+ * @returns {Promise<Object>} - { numbers (null while unknown), defaultSender, fetchedAt, error }
+ * @throws {MessagingError} - When refresh is set and GoTo cannot list the numbers
+ */
+async function getSenderNumbers(req, { refresh = false } = {}) {
+    const entry = refresh ? await senderNumbers.refresh(req.user.id) : await senderNumbers.ensure(req.user.id);
+    const allowedSenders = req.apiKey ? req.apiKey.allowedSenders : [];
+    const isAllowed = number => allowedSenders.length === 0 || allowedSenders.includes(number);
+    const numbers = entry && entry.numbers ? entry.numbers.filter(item => isAllowed(item.number)) : null;
+    
+    // While the account's numbers are unknown the configured default may not suit the API key
+    let preferred = senderNumbers.pickDefault(numbers ? { numbers } : null);
+    if (preferred && !isAllowed(preferred)) {
+        preferred = allowedSenders[0];
+    }
+    
+    return {
+        numbers,
+        defaultSender: preferred || null,
+        fetchedAt: entry ? entry.fetchedAt : null,
+        error: entry ? entry.error : null
+    };
+}
+
+/**
+ * Function to check that the caller may send from a number
+ * API keys can be limited to a list of sender numbers; sessions and unrestricted keys may use any
+ * @param {Object} req - Express request object
+ * @param {string} from - Sender phone number
+ * @throws {SenderNotAllowedError} - If the API key does not allow this sender
+ */
+function assertSenderAllowed(req, from) {
+    const allowedSenders = req.apiKey ? req.apiKey.allowedSenders : [];
+    if (allowedSenders.length > 0 && !allowedSenders.includes(from)) {
+        throw new SenderNotAllowedError(from, allowedSenders);
+    }
+}
+
+/**
+ * Function to identify the calling client for rate limits and idempotency keys
+ * @param {Object} req - Express request object
+ * @returns {string} - API key, else user, else IP address
+ */
+function getClientKey(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+}
+
+/**
+ * Middleware to rate limit the send endpoints
+ * Takes a token from the caller's bucket (API key, else user, else IP) and from the sender number's bucket;
+ * answers 429 with Retry-After when either is empty. RateLimit-* headers describe the caller's bucket
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function limitSends(req, res, next) {
+    const clientResult = clientRateLimiter.take(getClientKey(req));
+    setRateLimitHeaders(res, clientResult);
+    if (!clientResult.allowed) {
+        return sendMessagingError(res, new RateLimitedError('Too many send requests; slow down', {
+            retryAfter: clientResult.retryAfter,
+            details: { limit: 'client' }
+        }));
+    }
+    
+    // CSV campaign uploads carry the sender in the query string; without one the (cached) default sender is used.
+    // Buckets are keyed on E.164 so "(562) 579-1776" and "+15625791776" share one; an invalid sender
+    // takes no sender token (the endpoint rejects it)
+    const requestedFrom = (req.body && req.body.from) || req.query.from;
+    const from = requestedFrom
+        ? normalizeNumber(requestedFrom)
+        : (req.user ? senderNumbers.pickDefault(senderNumbers.get(req.user.id)) : null);
+    if (from) {
+        const senderResult = senderRateLimiter.take(from);
+        if (!senderResult.allowed) {
+            setRateLimitHeaders(res, senderResult);
+            return sendMessagingError(res, new RateLimitedError(`Too many messages from ${from}; slow down`, {
+                retryAfter: senderResult.retryAfter,
+                details: { limit: 'sender' }
+            }));
+        }
+    }
+    
+    next();
+}
+
+/**
+ * Middleware to make a send endpoint idempotent with the Idempotency-Key header
+ * The first request with a key is processed; repeats with the same key and body get the stored
+ * response (with Idempotent-Replayed: true). Only final outcomes (below 400) are stored; a 4xx
+ * (incl. 429) or 5xx releases the key, so the request can be fixed or retried with the same key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function idempotentRequest(req, res, next) {
+    const key = req.get('idempotency-key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, code: 'INVALID_REQUEST' });
+    }
+    
+    const { state, record } = idempotencyStore.begin(getClientKey(req), key, fingerprintRequest(req.body));
+    if (state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+    }
+    if (state === 'in-progress') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed', code: 'IDEMPOTENCY_IN_PROGRESS' });
+    }
+    if (state === 'mismatch') {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED' });
+    }
+    
+    // Store the response the handler sends for this key
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode < 400) {
+            idempotencyStore.complete(record.id, res.statusCode, body);
+        } else {
+            idempotencyStore.release(record.id);
+        }
+        return sendJson(body);
+    };
+    next();
+}
+
+/**
+ * Function to map a messaging error to an HTTP response
+ * Every route that sends SMS uses this so GoTo failures surface consistently
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the messaging client (or any other error)
+ * @param {string} [fallbackMessage] - Error message used for unexpected (non-messaging) errors
+ */
+function sendMessagingError(res, error, fallbackMessage = 'Failed to send SMS') {
+    // Token expired or invalid, clear the caller's stored tokens and hand out a fresh auth URL
+    if (error instanceof AuthExpiredError) {
+        const userId = res.locals.userId || null;
+        getTokenProvider(userId).tokenStore.clearTokens();
+        return res.status(error.status).json({ ...error.toJSON(), authUrl: generateAuthUrl(userId).url });
+    }
+    
+    if (error instanceof MessagingError) {
+        // Pass GoTo's back-off hint on to our own client
+        if (error instanceof RateLimitedError && error.retryAfter !== null) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.status).json(error.toJSON());
+    }
+    
+    // Anything else is a bug or an unexpected failure
+    res.status(500).json({
+        error: fallbackMessage,
+        details: error.message
+    });
+}
+
+// Local user accounts (data/users.json)
+var userStore = createUserStore();
+
+// API keys for programmatic clients (data/apiKeys.json, hashed)
+var apiKeyStore = createApiKeyStore({ normalizeNumber });
+
+// Scopes of browser sessions, by user role (API keys carry their own scopes)
+const ROLE_SCOPES = { admin: ['admin'], user: ['sms:send', 'sms:read'] };
+
+// Browser origins allowed to call the API cross-origin (comma-separated CORS_ALLOWED_ORIGINS)
+const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+// Outbound and inbound message log used for conversation threads (data/messages.json)
+var messageStore = createMessageStore();
+
+// GoTo messaging client, authenticated through the sending user's token provider
+// (a rejected token is refreshed once before giving up; network errors and 5xx are retried)
+// Every send is recorded in the message store
+var gotoClient = createMessagingClient({ getAccessToken: getValidAccessToken, refreshAccessToken: refreshAccessToken });
+var recordingClient = createRecordingClient(gotoClient, messageStore);
+
+// SMS-capable numbers of each GoTo connection (data/senderNumbers.json), fetched after the OAuth flow
+var senderNumbers = createSenderNumberStore({
+    messagingClient: gotoClient,
+    getAccountKey: userId => getTokenProvider(userId).tokenStore.accountKey,
+    isConnected: userId => tokenStatus(getTokenProvider(userId)).status !== 'missing',
+    defaultSender: defaultSender ? defaultSender.e164 : null,
+    ttlMs: (parseInt(process.env.SENDER_NUMBERS_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+});
+
+// Responses of POST /api/send-sms requests made with an Idempotency-Key (data/idempotencyKeys.json)
+var idempotencyStore = createIdempotencyStore({
+    ttlMs: (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+});
+
+// Opted-out numbers (data/suppressions.json), updated by inbound STOP/START keywords
+var suppressionList = createSuppressionList({ normalizeNumber });
+
+// Daily/monthly message quotas per sender number (data/senderUsage.json, 0 = unlimited)
+var senderQuota = createSenderQuota({
+    daily: parseInt(process.env.SENDER_DAILY_QUOTA || '0', 10),
+    monthly: parseInt(process.env.SENDER_MONTHLY_QUOTA || '0', 10)
+});
+
+// Request rate limits for the send endpoints, per API client and per sender number
+var clientRateLimiter = createTokenBucketLimiter({
+    perMinute: parseInt(process.env.RATE_LIMIT_CLIENT_PER_MINUTE, 10) || 60,
+    capacity: parseInt(process.env.RATE_LIMIT_CLIENT_BURST, 10) || undefined
+});
+var senderRateLimiter = createTokenBucketLimiter({
+    perMinute: parseInt(process.env.RATE_LIMIT_SENDER_PER_MINUTE, 10) || 30,
+    capacity: parseInt(process.env.RATE_LIMIT_SENDER_BURST, 10) || undefined
+});
+
+// Shared messaging client used by every send path; refuses senders the account does not own and
+// suppressed recipients, enforces sender quotas and backs off after GoTo rate limits us.
+// Sends and failures are counted for /metrics
+// (compliance auto-replies only skip the suppression guard, so STOP can still be confirmed)
+var messagingClient = metrics.createInstrumentedClient(createSenderGuard(
+    createSuppressionGuard(
+        createSendLimitGuard(recordingClient, {
+            senderQuota,
+            defaultBackoffSeconds: parseInt(process.env.GOTO_RATE_LIMIT_BACKOFF_SECONDS, 10) || 60
+        }),
+        suppressionList
+    ),
+    senderNumbers
+));
+var autoReplyClient = metrics.createInstrumentedClient(createSenderGuard(recordingClient, senderNumbers));
+
+// Persistent message templates (data/templates.json)
+var templateStore = createTemplateStore();
+
+// Address book (data/contacts.json and data/contactGroups.json)
+var contactStore = createContactStore({ normalizeNumber });
+
+// Scheduled messages (data/scheduled.json), dispatched by the scheduler loop below
+var scheduler = createScheduler({ messagingClient });
+
+// Bulk campaign queue, sending through the same messaging client and token path
+var campaignManager = createCampaignManager({
+    messagingClient,
+    normalizeNumber,
+    isSuppressed: (number) => suppressionList.isSuppressed(number),
+    checkMessageLength: (body) => checkMessageLength(body, false)
+});
+
+// Mock GoTo provider, only in sandbox mode (failures queued with SANDBOX_FAILURES)
+var sandboxProvider = null;
+if (sandboxMode) {
+    try {
+        sandboxProvider = createSandboxProvider({ failures: parseFailureSpec(process.env.SANDBOX_FAILURES) });
+    } catch (error) {
+        logger.error('Invalid SANDBOX_FAILURES', { err: error });
+        process.exit(1);
+    }
+    logger.warn('SMS_MODE=sandbox: using the local mock GoTo provider, no messages will be delivered');
+}
+
+// Generate initial authorization URL for manual testing
+var { url: authorizationUrl } = generateAuthUrl();
+logger.info('Open in browser to connect the default GoTo account', { authUrl: authorizationUrl });
+
+// Create Express.js application instance
+var app = express();
+
+// Request ID and request logging: every request gets an ID (the caller's X-Request-Id when it is sane),
+// returned in the X-Request-Id header and added to every log line written while handling it
+app.use((req, res, next) => {
+    const presentedId = req.get('x-request-id');
+    const requestId = presentedId && /^[\w.:-]{1,128}$/.test(presentedId) ? presentedId : crypto.randomUUID();
+    const stopTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+    
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+        // Label by route pattern (e.g. /api/messages/:id) so IDs do not create new series
+        const route = req.route ? req.baseUrl + req.route.path : 'other';
+        stopTimer({ route, status: res.statusCode });
+        
+        // Probes and scrapes are frequent; log them only at debug level (the query string is
+        // left out, it can carry OAuth codes)
+        const requestPath = req.originalUrl.split('?')[0];
+        const level = requestPath.startsWith('/health') || requestPath === '/metrics' ? 'debug' : 'info';
+        logger[level]('HTTP request', { method: req.method, path: requestPath, status: res.statusCode });
+    });
+    runWithContext({ requestId }, next);
+});
+
+// Middleware for CORS (Cross-Origin Resource Sharing)
+// Only origins listed in CORS_ALLOWED_ORIGINS get CORS headers; same-origin requests need none
+app.use((req, res, next) => {
+    const origin = req.get('origin');
+    const isAllowed = Boolean(origin) && allowedOrigins.includes(origin);
+    
+    res.vary('Origin');
+    if (isAllowed) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key, X-Request-Id');
+        res.header('Access-Control-Expose-Headers', 'X-Request-Id');
+    }
+    if (req.method === 'OPTIONS') {
+        res.sendStatus(isAllowed || !origin ? 204 : 403);
+    } else {
+        next();
+    }
+});
+
+// Middleware to parse JSON request bodies
+// The raw body is kept for webhook signature verification
+app.use(express.json({
+    verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+    }
+}));
+
+// Middleware to accept raw CSV and vCard uploads (used by POST /api/campaigns and the import endpoints)
+app.use(express.text({ type: ['text/csv', 'text/vcard', 'text/x-vcard'], limit: '1mb' }));
+
+// Mock GoTo provider (sandbox mode only); mounted before the API key check since it takes its own fake tokens
+if (sandboxProvider) {
+    app.use(SANDBOX_MOUNT_PATH, sandboxProvider.router);
+}
+
+/**
+ * Health check endpoints (no authentication; registered before sessions so probes do not create any)
+ * /health and /health/live: liveness - the process is serving requests
+ * /health/ready: readiness - 200 when sends can succeed, 503 with the failing checks otherwise
+ */
+var readinessCheck = createReadinessCheck({
+    tokenProvider,
+    upstreams: [
+        { name: 'goto-messaging', url: process.env.GOTO_MESSAGING_BASE_URL || GOTO_MESSAGING_DEFAULT_BASE_URL },
+        { name: 'goto-oauth', url: process.env.OAUTH_SERVICE_URL }
+    ],
+    // Set HEALTH_REQUIRE_TOKEN=true to stay not ready until the default account is connected
+    // (single-account deployments); otherwise its token state is only reported
+    requireToken: process.env.HEALTH_REQUIRE_TOKEN === 'true'
+});
+
+function sendLiveness(req, res) {
+    // Return health status with current ISO timestamp
+    res.json({ status: 'ok', timestamp: new Date().toISOString(), uptimeSeconds: Math.floor(process.uptime()) });
+}
+app.get('/health', sendLiveness);
+app.get('/health/live', sendLiveness);
+
+app.get('/health/ready', async (req, res) => {
+    const { ready, checks } = await readinessCheck.check();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', timestamp: new Date().toISOString(), checks });
+});
+
+/**
+ * Endpoint for Prometheus to scrape metrics
+ * Public unless METRICS_TOKEN is set, then it needs Authorization: Bearer <METRICS_TOKEN>
+ */
+app.get('/metrics', (req, res) => {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (metricsToken) {
+        const presented = Buffer.from(req.get('authorization') || '');
+        const expected = Buffer.from(`Bearer ${metricsToken}`);
+        if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+            return res.status(401).json({ error: 'Invalid metrics token', code: 'INVALID_METRICS_TOKEN' });
+        }
+    }
+    res.type(metrics.CONTENT_TYPE).send(metrics.renderMetrics());
+});
+
+// Sessions for logged-in users (in production, set SESSION_SECRET and use a persistent session store)
+if (!process.env.SESSION_SECRET) {
+    logger.warn('SESSION_SECRET is not set; using a random secret, users will be logged out on restart');
+}
+app.use(session({
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,                                    // Not readable from page scripts
+        sameSite: 'lax',                                   // Still sent on the OAuth redirect back to us
+        secure: process.env.SESSION_COOKIE_SECURE === 'true' // Enable when served over HTTPS
+    }
+}));
+
+// Identify the caller for every request: an API key (Authorization: Bearer <key> or X-API-Key)
+// or the logged-in user's session. API keys act as the user they were issued for
+app.use((req, res, next) => {
+    const authorization = req.get('authorization') || '';
+    const presentedKey = req.get('x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+    
+    req.apiKey = null;
+    if (presentedKey) {
+        req.apiKey = apiKeyStore.authenticate(presentedKey);
+        req.user = req.apiKey ? userStore.get(req.apiKey.userId) : null;
+        if (!req.user) {
+            return res.status(401).json({ error: 'Invalid or revoked API key', code: 'INVALID_API_KEY' });
+        }
+        req.scopes = req.apiKey.scopes;
+    } else {
+        req.user = req.session.userId ? userStore.get(req.session.userId) : null;
+        req.scopes = req.user ? ROLE_SCOPES[req.user.role] : [];
+    }
+    res.locals.userId = req.user ? req.user.id : null;
+    next();
+});
+
+// Serve the web interface and the browser copies of the phone number and message length helpers
+// Only these files: the project directory also holds .env and the data directory (tokens, users, messages)
+const PUBLIC_FILES = ['index.html', 'phoneNumbers.js', 'smsEncoding.js'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach((file) => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+
+/**
+ * Endpoint to log in with a local account
+ * Accepts JSON { username, password } and starts a session (cookie)
+ */
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = userStore.authenticate(username, password);
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+    
+    // Issue a new session ID on login to prevent session fixation
+    req.session.regenerate((error) => {
+        if (error) {
+            return res.status(500).json({ error: 'Failed to start session', details: error.message });
+        }
+        req.session.userId = user.id;
+        res.json({ user });
+    });
+});
+
+/**
+ * Endpoint to log out and end the session
+ */
+app.post('/api/logout', (req, res) => {
+    req.session.destroy(() => {
+        res.status(204).end();
+    });
+});
+
+/**
+ * Function to get the scope an /api request needs
+ * Account and API key management and lifting an opt-out need admin, other reads need sms:read
+ * and other writes sms:send
+ * @param {Object} req - Express request object (path relative to /api)
+ * @returns {string} - Required scope
+ */
+function getRequiredScope(req) {
+    if (/^\/(users|api-keys)(\/|$)/.test(req.path)) {
+        return 'admin';
+    }
+    // Removing a number from the suppression list lets it be texted again after it opted out
+    if (req.method === 'DELETE' && /^\/suppressions\/[^/]+$/.test(req.path)) {
+        return 'admin';
+    }
+    // Analyzing a message sends nothing
+    if (req.path === '/messages/analyze') {
+        return 'sms:read';
+    }
+    return req.method === 'GET' ? 'sms:read' : 'sms:send';
+}
+
+/**
+ * Every other /api endpoint requires a logged-in user or an API key with the right scope
+ * Exception: the very first account can be created without logging in
+ */
+app.use('/api', (req, res, next) => {
+    if (!req.user) {
+        if (req.method === 'POST' && req.path === '/users' && userStore.count() === 0) {
+            return next();
+        }
+        return res.status(401).json({
+            error: 'Login required',
+            code: 'LOGIN_REQUIRED',
+            setupRequired: userStore.count() === 0    // No accounts yet: create the first admin
+        });
+    }
+    
+    const scope = getRequiredScope(req);
+    if (!hasScope(req.scopes, scope)) {
+        return res.status(403).json({ error: `This endpoint requires the ${scope} scope`, code: 'INSUFFICIENT_SCOPE' });
+    }
+    next();
+});
+
+/**
+ * Function to get the owner filter for the caller's reads of messages, scheduled messages and campaigns
+ * Admins see every record, everyone else only their own
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} - User ID to filter on, or undefined for every record
+ */
+function ownerFilter(req) {
+    return hasScope(req.scopes, 'admin') ? undefined : req.user.id;
+}
+
+/**
+ * Function to check that the caller may see or change a record (admins, or the user who created it)
+ * @param {Object} req - Express request object
+ * @param {Object} record - Message, scheduled message or campaign with a userId
+ * @returns {boolean} - Whether the caller has access
+ */
+function isAccessible(req, record) {
+    return hasScope(req.scopes, 'admin') || (record.userId || null) === req.user.id;
+}
+
+/**
+ * Endpoint to create a user account
+ * Accepts JSON { username, password, role }
+ * The very first account can be created without logging in and is always an admin;
+ * after that only admins can create accounts
+ */
+app.post('/api/users', (req, res) => {
+    try {
+        const { username, password, role } = req.body || {};
+        res.status(201).json(userStore.createUser({ username, password, role: req.user ? role : 'admin' }));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create user');
+    }
+});
+
+/**
+ * Endpoint to get the logged-in user
+ * Also returns the region used for phone numbers without a country code and the segment limit,
+ * so the web form can check numbers and message length the same way
+ */
+app.get('/api/me', (req, res) => {
+    res.json({ user: req.user, phoneDefaultRegion, smsMaxSegments, sandbox: sandboxMode });
+});
+
+/**
+ * Endpoint to list user accounts (admins only)
+ */
+app.get('/api/users', (req, res) => {
+    res.json({ users: userStore.list() });
+});
+
+/**
+ * Endpoint to delete a user account and its GoTo tokens (admins only)
+ */
+app.delete('/api/users/:id', (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!userStore.get(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    getUserTokenProvider(req.params.id).tokenStore.clearTokens();
+    senderNumbers.clear(req.params.id);
+    apiKeyStore.list().filter(apiKey => apiKey.userId === req.params.id).forEach(apiKey => apiKeyStore.revoke(apiKey.id));
+    userStore.remove(req.params.id);
+    res.status(204).end();
+});
+
+/**
+ * Endpoint to list API keys (hashes are never returned)
+ */
+app.get('/api/api-keys', (req, res) => {
+    res.json({ apiKeys: apiKeyStore.list() });
+});
+
+/**
+ * Endpoint to issue an API key
+ * Accepts JSON { name, scopes, allowedSenders, userId }
+ * scopes: any of sms:send, sms:read, admin; allowedSenders: sender numbers the key may use (empty for any);
+ * userId: user whose GoTo connection the key sends with (defaults to the caller)
+ * The key is only returned in this response
+ */
+app.post('/api/api-keys', (req, res) => {
+    try {
+        const { name, scopes, allowedSenders, userId } = req.body || {};
+        if (userId && !userStore.get(userId)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const { key, apiKey } = apiKeyStore.create({ name, scopes, allowedSenders, userId: userId || req.user.id });
+        res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * Endpoint to revoke an API key
+ */
+app.delete('/api/api-keys/:id', (req, res) => {
+    const apiKey = apiKeyStore.revoke(req.params.id);
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKey);
+});
+
+/**
+ * OAuth callback endpoint - handles the redirect from the authorization server
+ * This endpoint receives the authorization code and exchanges it for an access token
+ * Then uses the token to send an SMS message
+ */
+app.get('/login/oauth2/code/goto', async function (req, res) {
+    try {
+        // Extract the state parameter from the query string
+        const receivedState = req.query.state;
+        
+        // Validate that the state exists and matches one we generated (CSRF protection)
+        if (!receivedState || !pendingStates.has(receivedState)) {
+            logger.warn('Ignoring authorization code with invalid or missing state');
+            // Return 403 Forbidden with error message
+            return res.status(403).json({ error: 'Invalid state parameter' });
+        }
+        
+        // The flow must be finished by the user who started it (tokens are stored for that user)
+        const { userId } = pendingStates.get(receivedState);
+        if (userId && (!req.user || req.user.id !== userId)) {
+            logger.warn('Ignoring authorization code for a state started by another user');
+            return res.status(403).json({ error: 'Invalid state parameter' });
+        }
+        res.locals.userId = userId;
+        
+        // Remove the used state token to prevent replay attacks
+        pendingStates.delete(receivedState);
+        
+        // Extract the authorization code from the query string
+        const authorizationCode = req.query.code;
+        
+        // Validate that the authorization code is present
+        if (!authorizationCode) {
+            logger.warn('Missing authorization code');
+            // Return 400 Bad Request with error message
+            return res.status(400).json({ error: 'Missing authorization code' });
+        }
+        
+        // Prepare parameters for token exchange
+        var tokenParams = {
+            code: authorizationCode,                      // The authorization code received
+            redirect_uri: process.env.OAUTH_REDIRECT_URI, // Must match the original redirect URI
+            scope: oauthScope                             // Requested scope
+        };
+        
+        // Initialize token response variable
+        var tokenResponse = null;
+        
+        try {
+            // Exchange authorization code for access token
+            tokenResponse = await oauthClient.getToken(tokenParams);
+            
+            // Store the tokens for future use (for the initiating user, or as the default tokens)
+            getTokenProvider(userId).tokenStore.setTokens(tokenResponse);
+        } catch (error) {
+            // Log the error and return 500 Internal Server Error
+            logger.error('Access token request failed', { err: error });
+            return res.status(500).json({ error: 'Failed to obtain access token' });
+        }
+        
+        // Fetch the sender numbers of the account just connected (it may differ from the previous one)
+        // Without them sends still work; GoTo then checks the sender itself
+        senderNumbers.clear(userId);
+        const senders = await senderNumbers.refresh(userId).catch((error) => {
+            logger.warn('Could not fetch sender numbers', { err: error });
+            return null;
+        });
+        const senderList = senders ? senders.numbers : null;
+        
+        // Configure phone numbers and message content from environment variables
+        const ownerPhone = process.env.OWNER_PHONE_NUMBER;                             // Sender's phone number
+        const contactPhone = process.env.CONTACT_PHONE_NUMBER;                         // Recipient's phone number
+        const messageBody = process.env.SMS_MESSAGE || 'Congratulations! You have successfully completed the tutorial!'; // SMS content
+        
+        // The confirmation SMS is only sent when both numbers are configured
+        if (!ownerPhone || !contactPhone) {
+            return res.status(200).json({ 
+                success: true, 
+                message: 'GoTo account connected',
+                senderNumbers: senderList
+            });
+        }
+        
+        try {
+            // Send the SMS through the shared messaging client (uses the tokens stored above)
+            const result = await messagingClient.send({
+                from: ownerPhone,
+                to: [contactPhone],
+                body: messageBody
+            }, { source: 'oauth-callback', userId: userId });
+            
+            // Log successful SMS sending
+            logger.info('SMS sent', { source: 'oauth-callback', messageId: result.id });
+            
+            // Return success response to the client
+            res.status(200).json({ 
+                success: true, 
+                message: 'SMS sent successfully',
+                senderNumbers: senderList,
+                data: result.data 
+            });
+        } catch (error) {
+            // Log SMS sending failure and map it to an HTTP response
+            logger.error('SMS sending failed', { source: 'oauth-callback', err: error });
+            sendMessagingError(res, error);
+        }
+        
+    } catch (error) {
+        // Catch any unexpected errors in the entire function
+        logger.error('Unexpected error in OAuth callback', { err: error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * API endpoint to send SMS messages
+ * Accepts JSON with from, to, and message fields
+ * `from` may be left out to send from the default sender (see GET /api/sender-numbers); a sender the
+ * connected GoTo account does not own is refused
+ * `to` may be a single phone number or an array of numbers for a group text
+ * Numbers without a country code are read in PHONE_DEFAULT_REGION; invalid ones are listed in details.fields
+ * `contactId` or `groupId` can be sent instead of (or as well as) `to` to address contacts from the address book
+ * Instead of `message`, `templateId` and `variables` can be sent to render a stored template;
+ * when the message goes to a single contact, that contact's fields fill the template as well
+ * Messages longer than SMS_MAX_SEGMENTS segments are refused; `transliterate: true` replaces smart quotes,
+ * dashes, ... first so the text fits in GSM-7
+ * An optional `sendAt` ISO timestamp stores the message and sends it later instead of now
+ * An optional Idempotency-Key header makes retries of the same request return the first result
+ * Uses stored access token or returns error if authentication needed
+ */
+app.post('/api/send-sms', idempotentRequest, limitSends, async (req, res) => {
+    try {
+        // Without a JSON body (or with another content type) there is nothing to send
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            throw new InvalidRequestError('Request body must be a JSON object');
+        }
+        
+        // Extract SMS parameters from request body
+        const { from: requestedFrom, to, contactId, groupId, message, templateId, variables, sendAt, transliterate } = req.body;
+        
+        // Look up the numbers of the addressed contact or group
+        const { numbers, notFound } = resolveRecipients({ to, contactId, groupId });
+        if (notFound) {
+            return res.status(404).json({ error: `${notFound} not found` });
+        }
+        
+        // Send from the default sender when none is given
+        const from = requestedFrom || (await getSenderNumbers(req)).defaultSender;
+        
+        // Validate required fields
+        if (!from || numbers.length === 0 || (!message && !templateId)) {
+            return res.status(400).json({ 
+                error: groupId && numbers.length === 0
+                    ? 'Group has no contacts'
+                    : 'Missing required fields: from, to (or contactId/groupId), message (or templateId)' 
+            });
+        }
+        
+        // Normalize the sender and recipients to E.164; every invalid number is reported with its field
+        const sender = parsePhoneNumber(from, phoneOptions);
+        const { recipients, invalid, duplicates, errors, types } = normalizeRecipients(numbers);
+        if (!sender.valid) {
+            errors.unshift({ field: 'from', value: from, code: sender.error.code, message: sender.error.message });
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                ...invalidNumberError(errors).toJSON(),
+                results: [
+                    ...recipients.map(number => ({ to: number, status: 'valid', type: types[number] })),
+                    ...invalid.map(number => ({ to: number, status: 'invalid' }))
+                ]
+            });
+        }
+        const fromNumber = sender.e164;
+        
+        // API keys may be limited to certain sender numbers
+        assertSenderAllowed(req, fromNumber);
+        
+        // The sender must be one of the GoTo account's numbers (checked now so scheduled messages fail early too)
+        await senderNumbers.assertOwned(req.user.id, fromNumber);
+        
+        // Refuse numbers that opted out (replied STOP or were suppressed manually)
+        const suppressed = recipients.filter(number => suppressionList.isSuppressed(number));
+        if (suppressed.length > 0) {
+            return res.status(403).json({ 
+                ...new SuppressedRecipientError(suppressed).toJSON(),
+                results: recipients.map(number => ({ to: number, status: suppressed.includes(number) ? 'suppressed' : 'valid' }))
+            });
+        }
+        
+        // Render the template when one is given; missing variables are reported before sending
+        // Personal template variables only make sense for a message to one person
+        const contact = recipients.length === 1 ? contactStore.findByPhone(recipients[0]) : null;
+        let body = message;
+        if (templateId) {
+            const template = templateStore.get(templateId);
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+            // Variables sent with the request win over the contact's fields
+            body = renderTemplateStrict(template.body, { ...(contact ? contactVariables(contact) : {}), ...variables });
+        }
+        
+        // Check the length now rather than finding out from a split or truncated text
+        const analysis = checkMessageLength(body, Boolean(transliterate));
+        body = analysis.text;
+        
+        // Store the message for the scheduler when a send time is given
+        if (sendAt) {
+            const scheduled = scheduler.schedule({ from: fromNumber, to: recipients, body, sendAt, userId: req.user.id, client: getClientKey(req) });
+            return res.status(202).json({
+                success: true,
+                message: 'SMS scheduled',
+                id: scheduled.id,
+                sendAt: scheduled.sendAt,
+                encoding: analysis.encoding,
+                segments: analysis.segments,
+                results: [
+                    ...recipients.map(number => ({ to: number, status: 'scheduled', type: types[number], id: scheduled.id })),
+                    ...duplicates.map(number => ({ to: number, status: 'duplicate' }))
+                ]
+            });
+        }
+        
+        // Get a valid access token for the caller's own GoTo connection
+        const accessToken = await getValidAccessToken(req.user.id);
+        if (!accessToken) {
+            return res.status(401).json({ 
+                error: 'Authentication required. Please complete OAuth flow first.',
+                authUrl: generateAuthUrl(req.user.id).url
+            });
+        }
+        
+        // Send the SMS through the shared messaging client (one group message for all recipients)
+        const result = await messagingClient.send({
+            from: fromNumber,
+            to: recipients,
+            body: body
+        }, { userId: req.user.id, client: getClientKey(req) });
+        
+        // Log and return success response with a result for every recipient
+        logger.info('SMS sent', { messageId: result.id, from: fromNumber, recipients: recipients.length, segments: analysis.segments });
+        res.status(200).json({
+            success: true,
+            message: 'SMS sent successfully',
+            id: result.id,
+            status: 'sent',
+            encoding: analysis.encoding,
+            segments: analysis.segments,
+            results: [
+                ...recipients.map(number => ({ to: number, status: 'sent', type: types[number], id: result.id })),
+                ...duplicates.map(number => ({ to: number, status: 'duplicate' }))
+            ],
+            data: result.data
+        });
+        
+    } catch (error) {
+        // Handle SMS API errors (normalized by the messaging client)
+        logger.warn('SMS send failed', { err: error });
+        sendMessagingError(res, error);
+    }
+});
+
+/**
+ * Function to apply STOP/START/HELP keywords from an inbound message
+ * Updates the suppression list and sends the standard auto-reply (in the background)
+ * Keywords from unverified webhooks (sandbox without a secret) are ignored, so a forged
+ * START cannot lift an opt-out and a forged STOP cannot trigger replies
+ * @param {Object} event - Inbound message event from parseNotification()
+ * @param {boolean} verified - Whether the webhook request was signed with our secret
+ */
+function handleComplianceKeyword(event, verified) {
+    if (!verified) {
+        if (detectKeyword(event.body)) {
+            logger.warn('Ignored compliance keyword from unverified webhook', { from: event.from });
+        }
+        return;
+    }
+    
+    const action = suppressionList.handleInbound(event.from, event.body);
+    if (!action) {
+        return;
+    }
+    
+    logger.info('Compliance keyword received', { keyword: action.keyword.toUpperCase(), from: event.from });
+    // Reply through the GoTo connection of the user who last texted from that number
+    const userId = messageStore.findUserIdForNumber(event.to[0]);
+    autoReplyClient.send({ from: event.to[0], to: [event.from], body: action.reply }, { source: 'auto-reply', userId: userId })
+        .catch(error => {
+            logger.error('Auto-reply failed', { err: error });
+        });
+}
+
+// Without a secret webhooks cannot be verified: refused, except in sandbox mode (local fixture testing)
+if (!process.env.GOTO_WEBHOOK_SECRET) {
+    if (sandboxMode) {
+        logger.warn('GOTO_WEBHOOK_SECRET is not set; sandbox webhook requests will not be verified');
+    } else {
+        logger.warn('GOTO_WEBHOOK_SECRET is not set; webhook requests will be refused');
+    }
+}
+
+/**
+ * Webhook endpoint for GoTo messaging notifications
+ * Receives inbound messages and delivery-status updates and stores them in the message log
+ * Requests are verified with GOTO_WEBHOOK_SECRET (X-GoTo-Signature HMAC or ?token=)
+ */
+app.post('/webhooks/goto/messages', (req, res) => {
+    const secret = process.env.GOTO_WEBHOOK_SECRET;
+    
+    // Never accept unverifiable notifications from the real GoTo (anyone could post fake replies)
+    if (!secret && !sandboxMode) {
+        logger.warn('Rejected webhook: GOTO_WEBHOOK_SECRET is not set');
+        return res.status(503).json({ error: 'Webhook not configured' });
+    }
+    
+    // Reject requests that are not signed with our shared secret
+    if (secret && !verifyWebhook({
+        rawBody: req.rawBody,
+        signature: req.get('x-goto-signature'),
+        token: req.query.token,
+        secret
+    })) {
+        logger.warn('Rejected webhook with invalid signature');
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    
+    // Normalize the notification into message and status events
+    let events;
+    try {
+        events = parseNotification(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    for (const event of events) {
+        if (event.type === 'status') {
+            if (!messageStore.applyStatusEvent(event)) {
+                logger.info('Ignored status for unknown message', { status: event.status, providerId: event.providerId });
+            }
+        } else if (event.direction === 'inbound') {
+            // The reply belongs to the user who last texted from the number it was sent to
+            const { duplicate } = messageStore.recordInbound({ ...event, userId: messageStore.findUserIdForNumber(event.to[0]) });
+            if (!duplicate) {
+                handleComplianceKeyword(event, Boolean(secret));
+            }
+        } else if (!messageStore.findByProviderId(event.providerId)) {
+            // Sent from another GoTo client (not through this app), keep it in the thread
+            messageStore.recordOutbound({ ...event, source: 'goto', userId: messageStore.findUserIdForNumber(event.from) });
+        }
+    }
+    
+    res.json({ received: events.length });
+});
+
+/**
+ * Endpoint to list conversation threads (one per contact number), most recent first
+ * Users see the messages they sent and the replies to them; admins see every message
+ */
+app.get('/api/conversations', (req, res) => {
+    res.json({ conversations: messageStore.listConversations({ userId: ownerFilter(req) }) });
+});
+
+/**
+ * Endpoint to get every message exchanged with one contact number
+ * The number must be URL-encoded (e.g. /api/conversations/%2B15552345678); national formats are accepted
+ */
+app.get('/api/conversations/:number', (req, res) => {
+    try {
+        const number = requirePhoneNumber('number', req.params.number);
+        res.json({ number, messages: messageStore.getConversation(number, { userId: ownerFilter(req) }) });
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to get conversation');
+    }
+});
+
+/**
+ * Function to read message history filters from the query string
+ * Non-admins only get their own messages
+ * @param {Object} req - Express request object
+ * @returns {Object} - Filters for messageStore.searchMessages()
+ * @throws {InvalidRequestError} - If a date is not a valid timestamp
+ * @throws {InvalidNumberError} - If the number is not a valid phone number
+ */
+function parseMessageFilters(req) {
+    const query = req.query;
+    const toIso = (value, name) => {
+        if (!value) {
+            return undefined;
+        }
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new InvalidRequestError(`${name} must be an ISO 8601 date or timestamp (e.g., 2025-01-31)`);
+        }
+        return date.toISOString();
+    };
+    return {
+        number: query.number ? requirePhoneNumber('number', query.number) : undefined,
+        since: toIso(query.since, 'since'),
+        until: toIso(query.until, 'until'),
+        status: query.status || undefined,
+        direction: query.direction || undefined,
+        text: query.q || undefined,
+        userId: ownerFilter(req)
+    };
+}
+
+/**
+ * Endpoint to search the message history, newest first
+ * Filters: ?number= (sender or recipient), ?since= / ?until= (ISO dates), ?status=, ?direction=inbound|outbound,
+ * ?q= (text in the message body). Pages of ?limit= (default 50, max 500); pass nextCursor as ?cursor= for the next page
+ */
+app.get('/api/messages', (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const { messages, nextCursor } = messageStore.searchMessages(parseMessageFilters(req), {
+            cursor: req.query.cursor,
+            limit
+        });
+        res.json({ messages, nextCursor });
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to search messages');
+    }
+});
+
+/**
+ * Endpoint to export the message history (same filters as GET /api/messages, without paging)
+ * ?format=csv (default) or ?format=json
+ */
+app.get('/api/messages/export', (req, res) => {
+    try {
+        const { messages } = messageStore.searchMessages(parseMessageFilters(req));
+        if (req.query.format === 'json') {
+            res.attachment('messages.json');
+            return res.json({ messages });
+        }
+        res.type('text/csv');
+        res.attachment('messages.csv');
+        res.send(messagesToCsv(messages));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to export messages');
+    }
+});
+
+/**
+ * Endpoint to analyze a message before sending it: encoding (GSM-7 or UCS-2), length and SMS segments
+ * Accepts JSON { message, transliterate, recipients } - recipients is a count or a list of numbers (default 1)
+ * The cost estimate is included when SMS_SEGMENT_PRICE is set
+ */
+app.post('/api/messages/analyze', (req, res) => {
+    const { message, transliterate, recipients } = req.body || {};
+    if (typeof message !== 'string') {
+        return res.status(400).json({ error: 'Missing required field: message' });
+    }
+    
+    const recipientCount = Array.isArray(recipients) ? recipients.length : (parseInt(recipients, 10) || 1);
+    const analysis = analyzeMessage(message, {
+        transliterate: Boolean(transliterate),
+        recipients: recipientCount,
+        segmentPrice: smsSegmentPrice
+    });
+    res.json({ ...analysis, maxSegments: smsMaxSegments, withinLimit: analysis.segments <= smsMaxSegments });
+});
+
+/**
+ * Endpoint to get a sent or received message with its delivery status
+ * Accepts the local message ID or the GoTo message ID returned by /api/send-sms
+ * ?refresh=true asks GoTo for the current status before answering
+ */
+app.get('/api/messages/:id', async (req, res) => {
+    let message = messageStore.get(req.params.id) || messageStore.findByProviderId(req.params.id);
+    if (!message || !isAccessible(req, message)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    if (req.query.refresh === 'true' && message.direction === 'outbound' && message.providerId) {
+        try {
+            await refreshMessageStatus(messageStore, messagingClient, message);
+            message = messageStore.get(message.id);
+        } catch (error) {
+            // Answer with what we know; the poller will try again later
+            logger.warn('Status refresh failed', { messageId: message.id, err: error });
+        }
+    }
+    
+    res.json(message);
+});
+
+/**
+ * Endpoint to list suppressed (opted-out) numbers
+ */
+app.get('/api/suppressions', (req, res) => {
+    res.json({ suppressions: suppressionList.list() });
+});
+
+/**
+ * Endpoint to export the suppression list as CSV
+ */
+app.get('/api/suppressions/export', (req, res) => {
+    res.type('text/csv');
+    res.attachment('suppressions.csv');
+    res.send(suppressionList.exportCsv());
+});
+
+/**
+ * Endpoint to import suppressed numbers from CSV
+ * Accepts a text/csv body or JSON { csv }; the CSV needs a "number" (or "phone") column
+ */
+app.post('/api/suppressions/import', (req, res) => {
+    const csv = typeof req.body === 'string' ? req.body : (req.body && req.body.csv);
+    if (!csv) {
+        return res.status(400).json({ error: 'Missing CSV data' });
+    }
+    res.json(suppressionList.importCsv(csv));
+});
+
+/**
+ * Endpoint to suppress a single number
+ * Accepts JSON { number, reason }; the number is normalized to E.164
+ */
+app.post('/api/suppressions', (req, res) => {
+    const { number, reason } = req.body || {};
+    const { values, errors } = validatePhoneFields({ number }, phoneOptions);
+    if (errors.length > 0) {
+        return sendMessagingError(res, invalidNumberError(errors));
+    }
+    const { entry, created } = suppressionList.add(values.number, { reason: reason || 'manual', source: 'api' });
+    res.status(created ? 201 : 200).json(entry);
+});
+
+/**
+ * Endpoint to remove a number from the suppression list
+ * The number must be URL-encoded (e.g. /api/suppressions/%2B15552345678); national formats are accepted
+ * Requires the admin scope (see getRequiredScope)
+ */
+app.delete('/api/suppressions/:number', (req, res) => {
+    try {
+        if (!suppressionList.remove(requirePhoneNumber('number', req.params.number))) {
+            return res.status(404).json({ error: 'Number is not suppressed' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to remove suppression');
+    }
+});
+
+/**
+ * Endpoint to check authentication status
+ * Returns whether the logged-in user's GoTo connection is authenticated and token info
+ */
+app.get('/api/auth-status', (req, res) => {
+    const { tokenStore } = getUserTokenProvider(req.user.id);
+    const isAuthenticated = tokenStore.isTokenValid();
+    res.json({
+        authenticated: isAuthenticated,
+        tokenExpiry: tokenStore.expiresAt ? new Date(tokenStore.expiresAt).toISOString() : null,
+        authUrl: isAuthenticated ? null : generateAuthUrl(req.user.id).url
+    });
+});
+
+/**
+ * Endpoint to manually trigger re-authentication
+ * Clears the logged-in user's stored tokens and returns new auth URL
+ */
+app.post('/api/re-authenticate', (req, res) => {
+    getUserTokenProvider(req.user.id).tokenStore.clearTokens();
+    senderNumbers.clear(req.user.id);
+    const { url } = generateAuthUrl(req.user.id);
+    res.json({
+        message: 'Tokens cleared. Please complete OAuth flow.',
+        authUrl: url
+    });
+});
+
+/**
+ * Endpoint to list the numbers the caller can send from, and the default sender
+ * The SMS-capable numbers of the user's GoTo account are fetched after the OAuth flow and cached;
+ * API keys only see their allowed senders. ?refresh=true fetches them from GoTo again
+ * numbers is null while they are unknown (account not connected, or GoTo could not list them)
+ */
+app.get('/api/sender-numbers', async (req, res) => {
+    try {
+        res.json(await getSenderNumbers(req, { refresh: req.query.refresh === 'true' }));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to fetch sender numbers');
+    }
+});
+
+/**
+ * Endpoint to show a sender number's quota usage for the current day and month
+ * The number must be URL-encoded (e.g. /api/sender-quotas/%2B15552345678); national formats are accepted
+ */
+app.get('/api/sender-quotas/:number', (req, res) => {
+    try {
+        res.json(senderQuota.usage(requirePhoneNumber('number', req.params.number)));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to get sender quota');
+    }
+});
+
+/**
+ * Endpoint to list contacts
+ * ?q= searches name, phone, email and company; ?groupId= lists the members of a group
+ */
+app.get('/api/contacts', (req, res) => {
+    res.json({ contacts: contactStore.list({ q: req.query.q, groupId: req.query.groupId }) });
+});
+
+/**
+ * Endpoint to create a contact
+ * Accepts JSON { name, firstName, lastName, phone, email, company, notes, fields, groupIds }
+ * `fields` holds custom string values usable as {{variable}} placeholders
+ */
+app.post('/api/contacts', (req, res) => {
+    try {
+        res.status(201).json(contactStore.create(req.body || {}));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create contact');
+    }
+});
+
+/**
+ * Endpoint to import contacts from a CSV or vCard file
+ * Accepts a text/csv or text/vcard body, or JSON { csv } / { vcard }; ?groupId= adds every imported contact to a group
+ * Contacts whose phone number already exists are updated
+ */
+app.post('/api/contacts/import', (req, res) => {
+    const body = req.body || {};
+    const text = typeof body === 'string' ? body : (body.csv || body.vcard);
+    if (!text) {
+        return res.status(400).json({ error: 'Missing CSV or vCard data' });
+    }
+    try {
+        res.json(contactStore.importContacts(text, { groupId: req.query.groupId || body.groupId }));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to import contacts');
+    }
+});
+
+/**
+ * Endpoint to get a single contact
+ */
+app.get('/api/contacts/:id', (req, res) => {
+    const contact = contactStore.get(req.params.id);
+    if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json(contact);
+});
+
+/**
+ * Endpoint to update a contact (any of the fields accepted on create)
+ */
+app.put('/api/contacts/:id', (req, res) => {
+    try {
+        const contact = contactStore.update(req.params.id, req.body || {});
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.json(contact);
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to update contact');
+    }
+});
+
+/**
+ * Endpoint to delete a contact
+ */
+app.delete('/api/contacts/:id', (req, res) => {
+    if (!contactStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.status(204).end();
+});
+
+/**
+ * Endpoint to list contact groups with their member counts
+ */
+app.get('/api/groups', (req, res) => {
+    res.json({ groups: contactStore.listGroups() });
+});
+
+/**
+ * Endpoint to create a contact group
+ * Accepts JSON { name, description }
+ */
+app.post('/api/groups', (req, res) => {
+    try {
+        res.status(201).json(contactStore.createGroup(req.body || {}));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create group');
+    }
+});
+
+/**
+ * Endpoint to get a contact group and its members
+ */
+app.get('/api/groups/:id', (req, res) => {
+    const group = contactStore.getGroup(req.params.id);
+    if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({ ...group, members: contactStore.list({ groupId: group.id }) });
+});
+
+/**
+ * Endpoint to rename a contact group or change its description
+ */
+app.put('/api/groups/:id', (req, res) => {
+    try {
+        const group = contactStore.updateGroup(req.params.id, req.body || {});
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        res.json(group);
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to update group');
+    }
+});
+
+/**
+ * Endpoint to delete a contact group (its contacts are kept)
+ */
+app.delete('/api/groups/:id', (req, res) => {
+    if (!contactStore.removeGroup(req.params.id)) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+    res.status(204).end();
+});
+
+/**
+ * Endpoints to add contacts to a group or remove them from it
+ * Accepts JSON { contactIds }
+ */
+for (const [action, method] of [['add', 'addToGroup'], ['remove', 'removeFromGroup']]) {
+    app.post(`/api/groups/:id/${action}`, (req, res) => {
+        try {
+            const result = contactStore[method](req.params.id, (req.body || {}).contactIds);
+            if (!result) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+            res.json({ ...result.group, members: result.members });
+        } catch (error) {
+            sendMessagingError(res, error, 'Failed to update group members');
+        }
+    });
+}
+
+/**
+ * Endpoint to list message templates
+ */
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templateStore.list() });
+});
+
+/**
+ * Endpoint to create a message template
+ * Accepts JSON { name, body, description }; body may contain {{variable}} placeholders
+ */
+app.post('/api/templates', (req, res) => {
+    try {
+        res.status(201).json(templateStore.create(req.body || {}));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create template');
+    }
+});
+
+/**
+ * Endpoint to get a single message template
+ */
+app.get('/api/templates/:id', (req, res) => {
+    const template = templateStore.get(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+});
+
+/**
+ * Endpoint to update a message template (any of name, body, description)
+ */
+app.put('/api/templates/:id', (req, res) => {
+    try {
+        const template = templateStore.update(req.params.id, req.body || {});
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to update template');
+    }
+});
+
+/**
+ * Endpoint to delete a message template
+ */
+app.delete('/api/templates/:id', (req, res) => {
+    if (!templateStore.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.status(204).end();
+});
+
+/**
+ * Endpoint to list scheduled messages
+ * Returns pending messages by default; ?status=sent|failed|cancelled|all selects others
+ */
+app.get('/api/scheduled', (req, res) => {
+    res.json({ scheduled: scheduler.list({ status: req.query.status || 'pending', userId: ownerFilter(req) }) });
+});
+
+/**
+ * Endpoint to get a single scheduled message
+ */
+app.get('/api/scheduled/:id', (req, res) => {
+    const scheduled = scheduler.get(req.params.id);
+    if (!scheduled || !isAccessible(req, scheduled)) {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    res.json(scheduled);
+});
+
+/**
+ * Endpoint to cancel a pending scheduled message (admins, or the user who scheduled it)
+ */
+app.delete('/api/scheduled/:id', (req, res) => {
+    try {
+        const scheduled = scheduler.get(req.params.id);
+        if (!scheduled || !isAccessible(req, scheduled)) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        res.json(scheduler.cancel(req.params.id));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to cancel scheduled message');
+    }
+});
+
+/**
+ * Endpoint to create a bulk campaign from a CSV of phone numbers
+ * Accepts JSON { from, message, csv, name } or a text/csv body with from, message and name as query parameters
+ * Without `from` the campaign is sent from the default sender
+ * `templateId` can be given instead of `message` to use a stored template
+ * The CSV needs a phone column; other columns can be used as {{column}} placeholders in the message
+ * `groupId` can be given instead of `csv` to text every contact of a group, with contact fields as placeholders
+ */
+app.post('/api/campaigns', limitSends, async (req, res) => {
+    try {
+        const isCsvUpload = typeof req.body === 'string';
+        const params = isCsvUpload ? { ...req.query, csv: req.body } : (req.body || {});
+        
+        // Send from the default sender when none is given
+        const from = params.from || (await getSenderNumbers(req)).defaultSender;
+        
+        // API keys may be limited to certain sender numbers, and the GoTo account must own the sender
+        // (an invalid number is reported by createCampaign)
+        const fromNumber = from ? normalizeNumber(from) : null;
+        if (from) {
+            assertSenderAllowed(req, fromNumber || from);
+        }
+        if (fromNumber) {
+            await senderNumbers.assertOwned(req.user.id, fromNumber);
+        }
+        
+        // A stored template can be used instead of an inline message
+        let message = params.message;
+        if (params.templateId) {
+            const template = templateStore.get(params.templateId);
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+            message = template.body;
+        }
+        
+        // Group members become the campaign rows, one per contact
+        let records;
+        if (params.groupId) {
+            if (!contactStore.getGroup(params.groupId)) {
+                return res.status(404).json({ error: 'Group not found' });
+            }
+            records = contactStore.list({ groupId: params.groupId }).map(contactVariables);
+            if (records.length === 0) {
+                return res.status(400).json({ error: 'Group has no contacts' });
+            }
+        }
+        
+        const campaign = campaignManager.createCampaign({
+            from: from,
+            message: message,
+            csv: params.csv,
+            records: records,
+            name: params.name,
+            userId: req.user.id,
+            client: getClientKey(req)
+        });
+        
+        res.status(202).json(summarizeCampaign(campaign, { includeRows: true }));
+    } catch (error) {
+        sendMessagingError(res, error, 'Failed to create campaign');
+    }
+});
+
+/**
+ * Endpoint to list campaigns with their progress
+ */
+app.get('/api/campaigns', (req, res) => {
+    res.json({ campaigns: campaignManager.listCampaigns({ userId: ownerFilter(req) }).map(campaign => summarizeCampaign(campaign)) });
+});
+
+/**
+ * Endpoint to report campaign progress and per-row success or failure
+ */
+app.get('/api/campaigns/:id', (req, res) => {
+    const campaign = campaignManager.getCampaign(req.params.id);
+    if (!campaign || !isAccessible(req, campaign)) {
+        return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(summarizeCampaign(campaign, { includeRows: true }));
+});
+
+/**
+ * Endpoints to pause, resume or cancel a campaign (admins, or the user who created it)
+ */
+for (const action of ['pause', 'resume', 'cancel']) {
+    app.post(`/api/campaigns/:id/${action}`, (req, res) => {
+        try {
+            const campaign = campaignManager.getCampaign(req.params.id);
+            if (!campaign || !isAccessible(req, campaign)) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+            res.json(summarizeCampaign(campaignManager[`${action}Campaign`](req.params.id)));
+        } catch (error) {
+            sendMessagingError(res, error, `Failed to ${action} campaign`);
+        }
+    });
+}
+
+// Sandbox endpoints for inspecting the mock provider (sandbox mode only)
+if (sandboxProvider) {
+    /**
+     * Endpoint to list the messages the mock provider received instead of sending, newest first
+     */
+    app.get('/api/sandbox/outbox', (req, res) => {
+        res.json({ messages: sandboxProvider.outbox() });
+    });
+
+    /**
+     * Endpoint to empty the outbox
+     */
+    app.delete('/api/sandbox/outbox', (req, res) => {
+        sandboxProvider.clearOutbox();
+        res.status(204).end();
+    });
+
+    /**
+     * Endpoint to list the failures waiting to be returned by the next sends
+     */
+    app.get('/api/sandbox/failures', (req, res) => {
+        res.json({ failures: sandboxProvider.failures() });
+    });
+
+    /**
+     * Endpoint to make the next sends fail
+     * Accepts JSON { type, count, status, retryAfter } - type is unauthorized, rate_limited,
+     * server_error (status 500-599, default 503, Retry-After only when retryAfter is given) or
+     * invalid_number; count sends fail (default 1)
+     */
+    app.post('/api/sandbox/failures', (req, res) => {
+        try {
+            res.status(201).json(sandboxProvider.addFailure(req.body || {}));
+        } catch (error) {
+            sendMessagingError(res, error, 'Failed to queue failure');
+        }
+    });
+
+    /**
+     * Endpoint to drop all queued failures
+     */
+    app.delete('/api/sandbox/failures', (req, res) => {
+        sandboxProvider.clearFailures();
+        res.status(204).end();
+    });
+}
+
+/**
+ * Periodic cleanup of expired OAuth state tokens and idempotency keys
+ * This prevents memory leaks by removing old, unused state tokens
+ * Runs every 5 minutes and removes tokens older than 10 minutes
+ */
+setInterval(() => {
+    const now = Date.now();                               // Get current timestamp
+    
+    // Iterate through all stored state tokens
+    for (const [state, data] of pendingStates.entries()) {
+        // Check if the token is older than 10 minutes (10 * 60 * 1000 milliseconds)
+        if (now - data.timestamp > 10 * 60 * 1000) {
+            pendingStates.delete(state);                  // Remove expired token
+        }
+    }
+    
+    // Forget idempotency keys older than IDEMPOTENCY_TTL_HOURS
+    idempotencyStore.prune();
+}, 5 * 60 * 1000).unref(); // Execute this cleanup every 5 minutes (the server, not this timer, keeps the process running)
+
+/**
+ * Scheduler loop for delayed messages
+ * Sends every scheduled message whose send time has passed
+ * Runs every SCHEDULER_INTERVAL_SECONDS (default 30 seconds)
+ */
+setInterval(() => {
+    scheduler.dispatchDue().catch(error => {
+        logger.error('Scheduler run failed', { err: error });
+    });
+}, (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 30) * 1000).unref();
+
+/**
+ * Delivery status polling loop
+ * Asks GoTo for the status of messages sent in the last 24 hours that are not yet delivered or failed,
+ * for setups without status callbacks. Runs every STATUS_POLL_INTERVAL_SECONDS (default 60, 0 disables)
+ */
+const statusPollInterval = parseInt(process.env.STATUS_POLL_INTERVAL_SECONDS || '60', 10);
+if (statusPollInterval > 0) {
+    setInterval(() => {
+        pollMessageStatuses(messageStore, messagingClient).catch(error => {
+            logger.error('Status polling failed', { err: error });
+        });
+    }, statusPollInterval * 1000).unref();
+}
+
+/**
+ * Endpoint to generate a new authorization URL
+ * Useful for getting fresh authorization URLs without restarting the server
+ * Requires login; the URL connects the logged-in user's GoTo account, or with ?account=default
+ * (admins only) the default account used by sms.js, the CLI and numbers no user has sent from
+ */
+app.get('/auth/new', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Login required', code: 'LOGIN_REQUIRED' });
+    }
+    const forDefaultAccount = req.query.account === 'default';
+    if (forDefaultAccount && !hasScope(req.scopes, 'admin')) {
+        return res.status(403).json({ error: 'Connecting the default account requires the admin scope', code: 'INSUFFICIENT_SCOPE' });
+    }
+    
+    // Generate a new authorization URL and state token
+    const { url, state } = generateAuthUrl(forDefaultAccount ? null : req.user.id);
+    
+    // Return the new URL and state as JSON
+    res.json({ authUrl: url, state: state });
+});
+
+// Get the port number from environment variable, default to 5000
+const port = process.env.PORT || 5000;
+
+/**
+ * Async function to start the server
+ * First kills any existing processes on the target port, then starts the Express server
+ */
+async function startServer() {
+    // Check for and kill any existing processes using our target port
+    logger.debug('Checking for existing processes on port', { port });
+    await killProcessOnPort(port);
+    
+    // Start the Express server on the specified port
+    app.listen(port, () => {
+        // Log server startup information with helpful URLs
+        logger.info('Server running', {
+            port: Number(port),
+            liveness: `http://localhost:${port}/health/live`,
+            readiness: `http://localhost:${port}/health/ready`,
+            metrics: `http://localhost:${port}/metrics`,
+            newAuthUrl: `http://localhost:${port}/auth/new`
+        });
+    });
+}
+
+// Start the server when run directly (node app.js); tests require the app and serve it themselves
+if (require.main === module) {
+    startServer();
+}
+
+// Export the Express application for the test suite
+module.exports = app;
\ No newline at end of file
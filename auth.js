@@ -1,39 +1,236 @@
-const axios = require('axios');
-const { getAccessToken } = require('./auth');
-require('dotenv').config();
-
-// Function to send SMS
-async function sendSMS(toPhoneNumber, fromPhoneNumber, messageBody) {
-  try {
-    // Get access token first
-    const accessToken = await getAccessToken();
-    
-    // Prepare the request payload
-    const payload = {
-      toPhoneNumber: toPhoneNumber,
-      fromPhoneNumber: fromPhoneNumber,
-      messageBody: messageBody
-    };
-    
-    // Send the SMS request
-    const response = await axios.post(
-      `https://api.goto.com/connect/v1/sms`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'accountkey': process.env.GOTO_CONNECT_ACCOUNT_KEY
-        }
-      }
-    );
-    
-    console.log('SMS sent successfully:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('Error sending SMS:', error.response?.data || error.message);
-    throw error;
-  }
-}
-
-module.exports = { sendSMS };
\ No newline at end of file
+/**
+ * GoTo OAuth Token Provider
+ * Single owner of the access token lifecycle, shared by the Express server (app.js)
+ * and standalone scripts (sms.js).
+ * Each local user account gets its own provider (getUserTokenProvider) so everyone
+ * sends through their own GoTo connection; the default provider serves sms.js and
+ * system sends that do not belong to a user.
+ *
+ * Supported grants (selected with OAUTH_GRANT_TYPE):
+ *   - refresh_token (default): tokens come from the authorization code flow (app.js or
+ *     `goto-sms auth login`) and are renewed with the stored refresh token
+ *   - client_credentials: server-to-server tokens requested with the client ID/secret
+ */
+
+// Load environment variables from .env file into process.env
+require('dotenv').config();
+
+// Import crypto module for generating OAuth state tokens
+const crypto = require('crypto');
+
+// Import OAuth 2.0 grant handlers from simple-oauth2 library
+const { AuthorizationCode, ClientCredentials } = require('simple-oauth2');
+
+// Import persistent token store factory
+const { createTokenStore, createBackendFromEnv } = require('./tokenStore');
+
+// Import the structured logger and the token refresh counter
+const { createLogger } = require('./logger');
+const { tokenRefreshes } = require('./metrics');
+const logger = createLogger({ component: 'auth' });
+
+// Scope requested for SMS sending
+const OAUTH_SCOPE = process.env.OAUTH_SCOPE || 'messaging.v1.send';
+
+// Refresh tokens this many seconds before they expire so callers never see an expired token
+const REFRESH_MARGIN_MS = (parseInt(process.env.TOKEN_REFRESH_MARGIN_SECONDS, 10) || 300) * 1000;
+
+// Configure OAuth 2.0 client settings using environment variables
+// The GOTO_CONNECT_* names are accepted as fallbacks for older .env files
+const oauthConfig = {
+    client: {
+        id: process.env.OAUTH_CLIENT_ID || process.env.GOTO_CONNECT_CLIENT_ID,
+        secret: process.env.OAUTH_CLIENT_SECRET || process.env.GOTO_CONNECT_CLIENT_SECRET
+    },
+    auth: {
+        tokenHost: process.env.OAUTH_SERVICE_URL || 'https://authentication.logmeininc.com',
+        tokenPath: process.env.OAUTH_TOKEN_PATH || undefined    // Defaults to /oauth/token
+    }
+};
+
+// Authorization Code client - builds authorization URLs, exchanges codes and refreshes tokens
+const oauthClient = new AuthorizationCode({
+    ...oauthConfig,
+    auth: {
+        ...oauthConfig.auth,
+        authorizePath: process.env.OAUTH_AUTHORIZE_PATH || undefined    // Defaults to /oauth/authorize
+    }
+});
+
+// Client Credentials client - requests tokens without user interaction
+const clientCredentialsClient = new ClientCredentials(oauthConfig);
+
+/**
+ * Check whether a failed token request means the authorization server rejected the grant
+ * Only then are the stored tokens useless; network errors, timeouts and 5xx answers say
+ * nothing about the refresh token, and the current access token may still be valid
+ * @param {Error} error - Error from simple-oauth2 (a Boom error when the server answered)
+ * @returns {boolean} - True for invalid_grant or a 400/401 answer
+ */
+function isGrantRejected(error) {
+    const status = error && error.output ? error.output.statusCode : null;
+    const payload = error && error.data ? error.data.payload : null;
+    const code = payload && typeof payload === 'object' ? payload.error : null;
+    return code === 'invalid_grant' || status === 400 || status === 401;
+}
+
+/**
+ * Create a token provider around a token store
+ * @param {Object} [options]
+ * @param {Object} [options.tokenStore] - Store created by tokenStore.createTokenStore()
+ * @param {string} [options.grantType] - 'refresh_token' or 'client_credentials'
+ * @returns {Object} - Provider exposing getAccessToken() and refreshAccessToken()
+ */
+function createTokenProvider({
+    tokenStore = createTokenStore().load(),
+    grantType = process.env.OAUTH_GRANT_TYPE || 'refresh_token'
+} = {}) {
+    if (grantType !== 'refresh_token' && grantType !== 'client_credentials') {
+        throw new Error(`Unsupported OAUTH_GRANT_TYPE "${grantType}" (expected refresh_token or client_credentials)`);
+    }
+
+    // Promise of the refresh currently in progress, shared by concurrent callers
+    let inFlightRefresh = null;
+
+    /**
+     * Request a new token from the authorization server using the configured grant
+     * @returns {Promise<string>} - The new access token
+     */
+    async function requestToken() {
+        if (grantType === 'refresh_token' && !tokenStore.refreshToken) {
+            throw new Error('No refresh token available. Complete the OAuth flow first.');
+        }
+
+        let tokenResponse;
+        try {
+            logger.info('Requesting access token', { grantType });
+            tokenResponse = grantType === 'client_credentials'
+                ? await clientCredentialsClient.getToken({ scope: OAUTH_SCOPE })
+                : await oauthClient.createToken({ refresh_token: tokenStore.refreshToken }).refresh();
+        } catch (error) {
+            tokenRefreshes.inc({ grant_type: grantType, outcome: 'failure' });
+            throw error;
+        }
+        tokenRefreshes.inc({ grant_type: grantType, outcome: 'success' });
+
+        tokenStore.setTokens(tokenResponse);
+        return tokenStore.accessToken;
+    }
+
+    /**
+     * Refresh the access token, de-duplicating concurrent requests
+     * A rejected refresh-token grant clears the stored tokens so the user is asked to re-authorize;
+     * transient failures (GoTo unreachable or answering 5xx) leave them for the next attempt
+     * @returns {Promise<string>} - The new access token
+     */
+    function refreshAccessToken() {
+        if (!inFlightRefresh) {
+            inFlightRefresh = requestToken()
+                .catch((error) => {
+                    logger.error('Failed to refresh token', { grantType, err: error });
+                    // Only drop tokens the server rejected, not ones we never had
+                    if (grantType === 'refresh_token' && tokenStore.refreshToken && isGrantRejected(error)) {
+                        tokenStore.clearTokens();
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    inFlightRefresh = null;
+                });
+        }
+        return inFlightRefresh;
+    }
+
+    /**
+     * Get a valid access token, refreshing it when it has expired or is about to
+     * @returns {Promise<string>} - A valid access token
+     * @throws {Error} - If no token can be obtained
+     */
+    async function getAccessToken() {
+        // Another process sharing the store (the server or the CLI) may have renewed the tokens;
+        // the store is only read again when it changed
+        if (!tokenStore.isTokenValid()) {
+            tokenStore.reloadIfChanged();
+        }
+        if (tokenStore.isTokenValid()) {
+            // Proactively refresh in the background when the token is close to expiry
+            if (tokenStore.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+                refreshAccessToken().catch(() => {});
+            }
+            return tokenStore.accessToken;
+        }
+
+        return refreshAccessToken();
+    }
+
+    return {
+        tokenStore,
+        grantType,
+        getAccessToken,
+        refreshAccessToken
+    };
+}
+
+// Token backend (file, sqlite or memory) holding the default tokens and every user's tokens
+const tokenBackend = createBackendFromEnv();
+
+// Default provider shared by everything in this process
+const defaultProvider = createTokenProvider({ tokenStore: createTokenStore({ backend: tokenBackend }).load() });
+
+// Per-user providers, created on first use; tokens are stored under "user:<id>"
+const userProviders = new Map();
+
+/**
+ * Get the token provider for a local user account
+ * @param {string} userId - User ID from users.js
+ * @returns {Object} - Provider exposing getAccessToken() and refreshAccessToken()
+ */
+function getUserTokenProvider(userId) {
+    if (!userProviders.has(userId)) {
+        const tokenStore = createTokenStore({ backend: tokenBackend, key: `user:${userId}` }).load();
+        userProviders.set(userId, createTokenProvider({ tokenStore }));
+    }
+    return userProviders.get(userId);
+}
+
+// In-memory store for OAuth state tokens (in production, use Redis or database)
+// This Map stores state tokens to prevent CSRF attacks, each bound to the user who started the flow
+const pendingStates = new Map();
+
+/**
+ * Generate an authorization URL with a unique state token
+ * Each authorization request gets a unique state to prevent CSRF attacks
+ * @param {string|null} [userId] - User whose GoTo connection the tokens will belong to
+ * @param {Object} [options] - { redirectUri } - defaults to OAUTH_REDIRECT_URI
+ * @returns {Object} - Object containing the authorization URL and state token
+ */
+function generateAuthUrl(userId = null, { redirectUri = process.env.OAUTH_REDIRECT_URI } = {}) {
+    // Generate a cryptographically secure random 15-byte string as hex
+    const state = crypto.randomBytes(15).toString('hex');
+
+    // Store the state token with current timestamp and initiating user for later validation
+    pendingStates.set(state, { timestamp: Date.now(), userId: userId });
+
+    // Generate the OAuth authorization URL with required parameters
+    const authorizationUrl = oauthClient.authorizeURL({
+        redirect_uri: redirectUri, // Where to redirect after authorization
+        scope: OAUTH_SCOPE,        // Requested OAuth scope for SMS sending
+        state: state               // CSRF protection token
+    });
+
+    // Return both the URL and state for external use
+    return { url: authorizationUrl, state: state };
+}
+
+module.exports = {
+    oauthClient,
+    oauthScope: OAUTH_SCOPE,
+    generateAuthUrl,
+    pendingStates,
+    createTokenProvider,
+    getUserTokenProvider,
+    tokenProvider: defaultProvider,
+    tokenStore: defaultProvider.tokenStore,
+    getAccessToken: defaultProvider.getAccessToken,
+    refreshAccessToken: defaultProvider.refreshAccessToken
+};
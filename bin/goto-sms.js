@@ -0,0 +1,574 @@
+#!/usr/bin/env node
+/**
+ * goto-sms Command-Line Interface
+ * Sends SMS and manages the GoTo connection from shells and cron jobs. Shares the server's
+ * configuration (.env), token store and data directory, so messages sent here appear in the
+ * web interface history and respect the same opt-outs and sender quotas.
+ *
+ * Usage:
+ *   goto-sms send [--from <number>] --to <number> [--to <number> ...] [--message <text>] [--transliterate]
+ *   goto-sms status <message id>
+ *   goto-sms auth login [--redirect-uri <uri>] [--timeout <seconds>]
+ *   goto-sms auth status
+ *   goto-sms history [--number <n>] [--since <date>] [--until <date>] [--status <s>]
+ *                    [--direction inbound|outbound] [--query <text>] [--limit <n>] [--cursor <c>]
+ *
+ * Every command accepts --json (machine-readable output) and --verbose (progress logs on stderr).
+ * send reads the message from stdin when --message is omitted, e.g. `df -h | goto-sms send ...`,
+ * and sends from the default sender (SMS_DEFAULT_SENDER, else the account's first number) without --from.
+ * Exit codes: 0 success, 1 failure (or GoTo not connected for auth status), 2 invalid arguments.
+ */
+
+// Import path and http modules for locating .env and serving the OAuth callback
+const path = require('path');
+const http = require('http');
+
+// Import the built-in argument parser
+const { parseArgs } = require('util');
+
+// Load the server's .env whatever the working directory (cron jobs rarely run from the project)
+const PROJECT_DIR = path.join(__dirname, '..');
+
+// Keep stdout for command output only: dotenv announces each .env it loads there, including
+// from the shared modules' own config() calls, so it is silenced for the whole process
+process.env.DOTENV_CONFIG_QUIET = 'true';
+require('dotenv').config({ path: path.join(PROJECT_DIR, '.env'), quiet: true });
+
+// The shared modules' JSON logs go to stderr with --verbose, and nowhere otherwise
+// (after .env so LOG_LEVEL from it applies to --verbose output)
+const verbose = process.argv.includes('--verbose');
+require('../logger').configureLogger(verbose ? { stream: process.stderr } : { level: 'silent' });
+
+// Sandbox mode: never reach GoTo, talk to the running server's mock provider instead
+const { isSandboxMode, applySandboxEnvironment } = require('../sandbox');
+if (isSandboxMode()) {
+    applySandboxEnvironment();
+}
+
+// Import the shared token provider, messaging client and stores (after the environment is final)
+const { oauthClient, oauthScope, generateAuthUrl, pendingStates, tokenProvider } = require('../auth');
+const { createMessagingClient } = require('../messaging');
+const { MessagingError, AuthExpiredError, InvalidRequestError } = require('../errors');
+const { parsePhoneNumber, normalizePhoneNumber, isSupportedRegion } = require('../phoneNumbers');
+const { analyzeMessage } = require('../smsEncoding');
+const { createMessageStore, createRecordingClient, refreshMessageStatus } = require('../messageStore');
+const { createSenderQuota, createSendLimitGuard } = require('../rateLimits');
+const { createSuppressionList, createSuppressionGuard } = require('../suppressions');
+const { createSenderNumberStore, createSenderGuard } = require('../senderNumbers');
+const { tokenStatus } = require('../health');
+
+// Options every command accepts
+const COMMON_OPTIONS = {
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Seconds auth login waits for the browser to come back
+const DEFAULT_LOGIN_TIMEOUT_SECONDS = 300;
+
+// Hosts the login callback server may listen on
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const USAGE = `Usage: goto-sms <command> [options]
+
+Commands:
+  send [--from <number>] --to <number> [--to <number> ...] [--message <text>] [--transliterate]
+                       Send an SMS (the message is read from stdin when --message is omitted,
+                       the default sender is used when --from is omitted)
+  status <message id>  Show a message and its delivery status (local or GoTo message ID)
+  auth login           Connect the default GoTo account in the browser
+                       [--redirect-uri <uri>] [--timeout <seconds>]
+  auth status          Show whether the default GoTo account is connected
+  history              List messages, newest first
+                       [--number <n>] [--since <date>] [--until <date>] [--status <s>]
+                       [--direction inbound|outbound] [--query <text>] [--limit <n>] [--cursor <c>]
+
+Options:
+  --json               Print machine-readable JSON
+  --verbose            Print progress logs to stderr
+  -h, --help           Show this help`;
+
+/**
+ * Error for invalid command-line arguments (exit code 2)
+ * @param {string} message - What is wrong
+ * @returns {InvalidRequestError} - Error with code INVALID_ARGUMENTS
+ */
+function usageError(message) {
+    return new InvalidRequestError(message, { code: 'INVALID_ARGUMENTS' });
+}
+
+/**
+ * Parse the options of a command
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object} options - parseArgs option definitions (COMMON_OPTIONS are added)
+ * @param {boolean} [allowPositionals] - Whether the command takes positional arguments
+ * @returns {Object} - { values, positionals }
+ * @throws {InvalidRequestError} - On unknown or malformed options
+ */
+function parseCommandArgs(args, options, allowPositionals = false) {
+    try {
+        return parseArgs({ args, options: { ...COMMON_OPTIONS, ...options }, allowPositionals, strict: true });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+/**
+ * Print a command result
+ * @param {Object} values - Parsed options (for --json)
+ * @param {*} data - Result printed with --json
+ * @param {string|string[]} text - Human-readable lines
+ */
+function output(values, data, text) {
+    const lines = values.json ? JSON.stringify(data, null, 2) : [].concat(text).join('\n');
+    process.stdout.write(`${lines}\n`);
+}
+
+/**
+ * Read everything piped to stdin
+ * @returns {Promise<string>} - The input text
+ */
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', (chunk) => {
+            data += chunk;
+        });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Read the phone number region and the default sender from the environment
+ * @returns {Object} - { defaultRegion, defaultSender } - defaultSender in E.164, or null when not set
+ * @throws {InvalidRequestError} - When either setting is invalid
+ */
+function phoneSettings() {
+    // Same number rules as the web interface and /api/send-sms
+    const defaultRegion = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+    if (!isSupportedRegion(defaultRegion)) {
+        throw usageError(`Unsupported PHONE_DEFAULT_REGION: ${defaultRegion}`);
+    }
+    const senderSetting = process.env.SMS_DEFAULT_SENDER || process.env.OWNER_PHONE_NUMBER;
+    const sender = senderSetting ? parsePhoneNumber(senderSetting, { defaultRegion }) : null;
+    if (sender && !sender.valid) {
+        throw usageError(`SMS_DEFAULT_SENDER ${senderSetting}: ${sender.error.message}`);
+    }
+    return { defaultRegion, defaultSender: sender ? sender.e164 : null };
+}
+
+/**
+ * Build the messaging client used by the CLI
+ * Same chain as the server: every send is recorded, the sender must belong to the account,
+ * quotas and opt-outs apply
+ * @returns {Object} - { messagingClient, messageStore, senderNumbers }
+ */
+function createCliClient() {
+    const messageStore = createMessageStore();
+    const gotoClient = createMessagingClient({
+        getAccessToken: () => tokenProvider.getAccessToken().catch(() => null),
+        refreshAccessToken: () => tokenProvider.refreshAccessToken().catch(() => null)
+    });
+    const recordingClient = createRecordingClient(gotoClient, messageStore);
+    const senderNumbers = createSenderNumberStore({
+        messagingClient: gotoClient,
+        getAccountKey: () => tokenProvider.tokenStore.accountKey,
+        isConnected: () => tokenStatus(tokenProvider).status !== 'missing',
+        defaultSender: phoneSettings().defaultSender,
+        ttlMs: (parseInt(process.env.SENDER_NUMBERS_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+    });
+    const senderQuota = createSenderQuota({
+        daily: parseInt(process.env.SENDER_DAILY_QUOTA || '0', 10),
+        monthly: parseInt(process.env.SENDER_MONTHLY_QUOTA || '0', 10)
+    });
+    const messagingClient = createSenderGuard(
+        createSuppressionGuard(
+            createSendLimitGuard(recordingClient, { senderQuota }),
+            createSuppressionList({ normalizeNumber: number => normalizePhoneNumber(number, { defaultRegion: phoneSettings().defaultRegion }) })
+        ),
+        senderNumbers
+    );
+    return { messagingClient, messageStore, senderNumbers };
+}
+
+/**
+ * goto-sms send
+ * @param {string[]} args - Command arguments
+ */
+async function sendCommand(args) {
+    const { values } = parseCommandArgs(args, {
+        from: { type: 'string' },
+        to: { type: 'string', multiple: true },
+        message: { type: 'string', short: 'm' },
+        transliterate: { type: 'boolean' }
+    });
+    if (!values.to) {
+        throw usageError('send requires at least one --to');
+    }
+
+    let body = values.message;
+    if (body === undefined) {
+        if (process.stdin.isTTY) {
+            throw usageError('Provide the message with --message or pipe it on stdin');
+        }
+        body = (await readStdin()).replace(/\r?\n$/, '');
+    }
+    if (!body.trim()) {
+        throw usageError('The message is empty');
+    }
+
+    // Without --from, send from the default sender (fetching the account's numbers if needed)
+    const { defaultRegion } = phoneSettings();
+    const { messagingClient, senderNumbers } = createCliClient();
+    const from = values.from || senderNumbers.pickDefault(await senderNumbers.ensure(null));
+    if (!from) {
+        throw usageError('No default sender: pass --from or set SMS_DEFAULT_SENDER');
+    }
+    const fromNumber = parsePhoneNumber(from, { defaultRegion });
+    if (!fromNumber.valid) {
+        throw usageError(`--from ${from}: ${fromNumber.error.message}`);
+    }
+    const recipients = [];
+    for (const entry of values.to.flatMap(value => value.split(','))) {
+        const parsed = parsePhoneNumber(entry.trim(), { defaultRegion });
+        if (!parsed.valid) {
+            throw usageError(`--to ${entry.trim()}: ${parsed.error.message}`);
+        }
+        if (!recipients.includes(parsed.e164)) {
+            recipients.push(parsed.e164);
+        }
+    }
+
+    const analysis = analyzeMessage(body, { transliterate: Boolean(values.transliterate) });
+    const maxSegments = parseInt(process.env.SMS_MAX_SEGMENTS, 10) || 10;
+    if (analysis.segments > maxSegments) {
+        throw new InvalidRequestError(`Message needs ${analysis.segments} SMS segments; the limit is ${maxSegments}`, {
+            code: 'MESSAGE_TOO_LONG',
+            details: {
+                encoding: analysis.encoding,
+                length: analysis.length,
+                segments: analysis.segments,
+                maxSegments,
+                unicodeCharacters: analysis.unicodeCharacters
+            }
+        });
+    }
+
+    const result = await messagingClient.send({
+        from: fromNumber.e164,
+        to: recipients,
+        body: analysis.text
+    }, { source: 'cli' });
+
+    output(values, {
+        success: true,
+        messageId: result.id,
+        messageRecordId: result.messageRecordId,
+        from: fromNumber.e164,
+        to: recipients,
+        encoding: analysis.encoding,
+        segments: analysis.segments
+    }, `Sent to ${recipients.join(', ')} (message ${result.messageRecordId}, GoTo ID ${result.id})`);
+}
+
+/**
+ * goto-sms status <id>
+ * Outbound messages without a final status are refreshed from GoTo first
+ * @param {string[]} args - Command arguments
+ */
+async function statusCommand(args) {
+    const { values, positionals } = parseCommandArgs(args, {}, true);
+    if (positionals.length !== 1) {
+        throw usageError('status requires exactly one message ID');
+    }
+
+    const { messagingClient, messageStore } = createCliClient();
+    let message = messageStore.get(positionals[0]) || messageStore.findByProviderId(positionals[0]);
+    if (!message) {
+        throw new InvalidRequestError(`Message not found: ${positionals[0]}`, { code: 'NOT_FOUND' });
+    }
+
+    if (message.direction === 'outbound' && message.providerId && !['delivered', 'failed'].includes(message.status)) {
+        try {
+            await refreshMessageStatus(messageStore, messagingClient, message);
+            message = messageStore.get(message.id);
+        } catch (error) {
+            // Show what we know; the server's poller will try again later
+            process.stderr.write(`Could not refresh the status from GoTo: ${error.message}\n`);
+        }
+    }
+
+    output(values, message, [
+        `${message.id}  ${message.status}`,
+        `${message.from} -> ${message.to.join(', ')} (${message.direction})`,
+        `Time: ${message.timestamp}${message.providerId ? `  GoTo ID: ${message.providerId}` : ''}`,
+        ...(message.error ? [`Error: ${message.error}`] : []),
+        `Body: ${message.body}`
+    ]);
+}
+
+/**
+ * Describe the default GoTo connection
+ * @returns {Object} - { connected, grantType, store, expiresAt, hasRefreshToken }
+ */
+function connectionStatus() {
+    const { tokenStore, grantType } = tokenProvider;
+    tokenStore.load();
+    return {
+        // client_credentials needs no stored tokens, only the client ID and secret
+        connected: grantType === 'client_credentials' || tokenStore.isTokenValid() || Boolean(tokenStore.refreshToken),
+        grantType,
+        store: tokenStore.backend,
+        expiresAt: tokenStore.expiresAt ? new Date(tokenStore.expiresAt).toISOString() : null,
+        hasRefreshToken: Boolean(tokenStore.refreshToken)
+    };
+}
+
+/**
+ * goto-sms auth status
+ * @param {string[]} args - Command arguments
+ */
+async function authStatusCommand(args) {
+    const { values } = parseCommandArgs(args, {});
+    const cached = createCliClient().senderNumbers.get(null);
+    const status = { ...connectionStatus(), senderNumbers: cached ? cached.numbers : null };
+
+    let text;
+    if (!status.connected) {
+        text = `GoTo not connected (${status.store} token store). Run: goto-sms auth login`;
+    } else if (status.grantType === 'client_credentials') {
+        text = 'GoTo connected with client credentials';
+    } else {
+        text = `GoTo connected (${status.store} token store), access token ${status.expiresAt ? `valid until ${status.expiresAt}` : 'renewed on next use'}`;
+    }
+    if (status.connected && status.senderNumbers) {
+        text += `\nSender numbers: ${status.senderNumbers.map(item => item.number).join(', ') || 'none'}`;
+    }
+    output(values, status, text);
+    if (!status.connected) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Wait for the OAuth redirect on a local HTTP server and exchange the code for tokens
+ * @param {URL} redirectUrl - Loopback redirect URI registered with GoTo
+ * @param {string} state - State token from generateAuthUrl()
+ * @param {number} timeoutMs - How long to wait for the browser
+ * @returns {Promise<Object>} - Token response from simple-oauth2
+ */
+function waitForAuthorization(redirectUrl, state, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer(async (req, res) => {
+            const url = new URL(req.url, redirectUrl);
+            if (url.pathname !== redirectUrl.pathname) {
+                res.writeHead(404).end();
+                return;
+            }
+            // Ignore stray requests that do not carry our state (CSRF protection)
+            if (url.searchParams.get('state') !== state) {
+                res.writeHead(403, { 'content-type': 'text/plain' }).end('Invalid state parameter');
+                return;
+            }
+
+            const finish = (status, text, error, tokenResponse) => {
+                res.writeHead(status, { 'content-type': 'text/plain' }).end(text);
+                clearTimeout(timer);
+                server.close();
+                return error ? reject(error) : resolve(tokenResponse);
+            };
+
+            if (!url.searchParams.get('code')) {
+                const reason = url.searchParams.get('error') || 'Missing authorization code';
+                return finish(400, `Authorization failed: ${reason}`, new MessagingError(`Authorization failed: ${reason}`, { code: 'AUTH_FAILED' }));
+            }
+            try {
+                const tokenResponse = await oauthClient.getToken({
+                    code: url.searchParams.get('code'),
+                    redirect_uri: redirectUrl.toString(),
+                    scope: oauthScope
+                });
+                finish(200, 'GoTo account connected. You can close this window.', null, tokenResponse);
+            } catch (error) {
+                finish(500, 'Failed to obtain access token', new MessagingError(`Failed to obtain access token: ${error.message}`, { code: 'AUTH_FAILED' }));
+            }
+        });
+
+        const timer = setTimeout(() => {
+            server.close();
+            reject(new MessagingError('Timed out waiting for authorization', { code: 'AUTH_TIMEOUT' }));
+        }, timeoutMs);
+
+        server.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'EADDRINUSE'
+                ? usageError(`Port ${redirectUrl.port || 80} is in use (is the server running?). Stop it or pass another registered --redirect-uri`)
+                : error);
+        });
+        server.listen(Number(redirectUrl.port) || 80, redirectUrl.hostname.replace(/^\[|\]$/g, ''));
+    });
+}
+
+/**
+ * goto-sms auth login
+ * Runs the authorization code flow with a temporary local callback server and stores the
+ * tokens as the default GoTo connection (the one the server uses for system sends)
+ * @param {string[]} args - Command arguments
+ */
+async function authLoginCommand(args) {
+    const { values } = parseCommandArgs(args, {
+        'redirect-uri': { type: 'string' },
+        timeout: { type: 'string' }
+    });
+
+    if (tokenProvider.grantType === 'client_credentials') {
+        return output(values, connectionStatus(), 'OAUTH_GRANT_TYPE is client_credentials; no login is needed');
+    }
+    if (tokenProvider.tokenStore.backend === 'memory') {
+        throw usageError('Tokens would be lost when the CLI exits. Set TOKEN_ENCRYPTION_KEY (or TOKEN_STORE) to share a persistent token store with the server');
+    }
+
+    const redirectUri = values['redirect-uri'] || process.env.OAUTH_REDIRECT_URI;
+    let redirectUrl;
+    try {
+        redirectUrl = new URL(redirectUri);
+    } catch (error) {
+        throw usageError('auth login needs a redirect URI (OAUTH_REDIRECT_URI or --redirect-uri)');
+    }
+    if (redirectUrl.protocol !== 'http:' || !LOOPBACK_HOSTS.includes(redirectUrl.hostname)) {
+        throw usageError(`auth login needs a loopback redirect URI such as http://localhost:5000/login/oauth2/code/goto (got ${redirectUri})`);
+    }
+    const timeoutSeconds = values.timeout === undefined ? DEFAULT_LOGIN_TIMEOUT_SECONDS : Number(values.timeout);
+    if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1) {
+        throw usageError('--timeout must be a positive number of seconds');
+    }
+
+    const { url, state } = generateAuthUrl(null, { redirectUri: redirectUrl.toString() });
+    process.stderr.write(`Open this URL in your browser to connect your GoTo account:\n${url}\nWaiting for authorization...\n`);
+
+    try {
+        const tokenResponse = await waitForAuthorization(redirectUrl, state, timeoutSeconds * 1000);
+        tokenProvider.tokenStore.setTokens(tokenResponse);
+    } finally {
+        pendingStates.delete(state);
+    }
+
+    // Fetch the sender numbers of the account just connected (it may differ from the previous one)
+    const { senderNumbers } = createCliClient();
+    senderNumbers.clear(null);
+    const senders = await senderNumbers.refresh(null).catch((error) => {
+        process.stderr.write(`Could not fetch the account's sender numbers: ${error.message}\n`);
+        return null;
+    });
+    const numbers = senders ? senders.numbers : null;
+    output(values, { ...connectionStatus(), senderNumbers: numbers },
+        numbers ? `GoTo account connected; sender numbers: ${numbers.map(item => item.number).join(', ') || 'none'}` : 'GoTo account connected');
+}
+
+/**
+ * goto-sms history
+ * @param {string[]} args - Command arguments
+ */
+async function historyCommand(args) {
+    const { values } = parseCommandArgs(args, {
+        number: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        status: { type: 'string' },
+        direction: { type: 'string' },
+        query: { type: 'string', short: 'q' },
+        limit: { type: 'string' },
+        cursor: { type: 'string' }
+    });
+
+    const toIso = (value, name) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw usageError(`--${name} must be an ISO 8601 date or timestamp (e.g., 2025-01-31)`);
+        }
+        return date.toISOString();
+    };
+    const limit = values.limit === undefined ? 20 : parseInt(values.limit, 10);
+    if (!(limit >= 1)) {
+        throw usageError('--limit must be a positive number');
+    }
+
+    const { messageStore } = createCliClient();
+    const { messages, nextCursor } = messageStore.searchMessages({
+        number: values.number,
+        since: toIso(values.since, 'since'),
+        until: toIso(values.until, 'until'),
+        status: values.status,
+        direction: values.direction,
+        text: values.query
+    }, { cursor: values.cursor, limit });
+
+    output(values, { messages, nextCursor }, [
+        ...messages.map(message => [
+            message.timestamp,
+            message.direction.padEnd(8),
+            message.status.padEnd(9),
+            `${message.from} -> ${message.to.join(', ')}`,
+            message.body.length > 60 ? `${message.body.slice(0, 57)}...` : message.body
+        ].join('  ')),
+        ...(messages.length === 0 ? ['No messages found'] : []),
+        ...(nextCursor ? [`More: goto-sms history --cursor ${nextCursor}`] : [])
+    ]);
+}
+
+/**
+ * Run the command given on the command line
+ * @param {string[]} argv - Arguments after the script name
+ */
+async function main(argv) {
+    const [command, ...args] = argv;
+    const jsonOutput = argv.includes('--json');
+
+    try {
+        if (!command || command === 'help' || command === '--help' || command === '-h') {
+            process.stdout.write(`${USAGE}\n`);
+            return;
+        }
+        if (args.includes('--help') || args.includes('-h')) {
+            process.stdout.write(`${USAGE}\n`);
+            return;
+        }
+
+        if (command === 'send') {
+            await sendCommand(args);
+        } else if (command === 'status') {
+            await statusCommand(args);
+        } else if (command === 'history') {
+            await historyCommand(args);
+        } else if (command === 'auth' && args[0] === 'login') {
+            await authLoginCommand(args.slice(1));
+        } else if (command === 'auth' && args[0] === 'status') {
+            await authStatusCommand(args.slice(1));
+        } else {
+            throw usageError(`Unknown command: ${[command, ...args.slice(0, command === 'auth' ? 1 : 0)].join(' ')}`);
+        }
+    } catch (error) {
+        const isUsage = error.code === 'INVALID_ARGUMENTS';
+        const body = error instanceof MessagingError ? error.toJSON() : { error: error.message, code: 'CLI_ERROR', details: null };
+        if (jsonOutput) {
+            process.stdout.write(`${JSON.stringify(body, null, 2)}\n`);
+        } else {
+            process.stderr.write(`Error: ${error.message}\n`);
+            if (error instanceof AuthExpiredError) {
+                process.stderr.write('Connect GoTo with: goto-sms auth login\n');
+            }
+            if (isUsage) {
+                process.stderr.write('Run goto-sms --help for usage\n');
+            }
+        }
+        process.exitCode = isUsage ? 2 : 1;
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,365 @@
+/**
+ * Bulk Campaigns
+ * Sends one message per CSV row through a throttled job queue. Campaigns are kept
+ * in process memory and processed one row at a time at the configured rate.
+ */
+
+// Import crypto module for generating campaign IDs
+const crypto = require('crypto');
+
+// Import CSV parser for uploaded recipient lists
+const { parseCsv } = require('./csv');
+
+// Import template rendering for {{column}} placeholders
+const { renderTemplate } = require('./templates');
+
+// Import normalized messaging error classes
+const { AuthExpiredError, RateLimitedError, InvalidNumberError, InvalidRequestError, SuppressedRecipientError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'campaigns' });
+
+// Column names recognised as the recipient phone number (first match wins)
+const PHONE_COLUMNS = ['phone', 'phoneNumber', 'phone_number', 'number', 'to', 'mobile'];
+
+// Delay used when GoTo rate limits us without a Retry-After hint
+const DEFAULT_RATE_LIMIT_BACKOFF_MS = 60 * 1000;
+
+// Longest single wait; a sender quota can reset weeks away, beyond what setTimeout accepts
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Create a campaign manager with its own send queue
+ * @param {Object} options
+ * @param {Object} options.messagingClient - Client from messaging.createMessagingClient()
+ * @param {Function} options.normalizeNumber - Returns the E.164 form of a phone number, or null when it is invalid
+ * @param {Function} [options.isSuppressed] - Returns true for numbers that opted out
+ * @param {Function} [options.checkMessageLength] - Called with each rendered body; throws an
+ *   InvalidRequestError (MESSAGE_TOO_LONG) when it needs more SMS segments than allowed
+ * @param {number} [options.ratePerMinute] - Messages sent per minute across all campaigns
+ * @param {number} [options.maxRows] - Maximum rows accepted in one upload
+ * @returns {Object} - Campaign manager
+ */
+function createCampaignManager({
+    messagingClient,
+    normalizeNumber,
+    isSuppressed = () => false,
+    checkMessageLength = () => {},
+    ratePerMinute = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE, 10) || 60,
+    maxRows = parseInt(process.env.CAMPAIGN_MAX_ROWS, 10) || 1000
+}) {
+    // All campaigns keyed by ID, in creation order
+    const campaigns = new Map();
+
+    // Milliseconds between two sends
+    const sendInterval = Math.ceil(60 * 1000 / ratePerMinute);
+
+    // Timer for the next queue tick (null while the queue is idle)
+    let timer = null;
+
+    /**
+     * Schedule the next queue tick
+     * @param {number} delay - Milliseconds to wait
+     */
+    function schedule(delay) {
+        clearTimeout(timer);
+        timer = setTimeout(tick, delay);
+        // Do not keep scripts alive just for an empty queue
+        timer.unref();
+    }
+
+    /**
+     * Start processing if the queue is idle
+     */
+    function wake() {
+        if (!timer) {
+            schedule(0);
+        }
+    }
+
+    /**
+     * Find the next row to send: the first pending row of the oldest running campaign
+     * @returns {Object|null} - { campaign, row } or null when nothing is queued
+     */
+    function nextJob() {
+        for (const campaign of campaigns.values()) {
+            if (campaign.status !== 'running') {
+                continue;
+            }
+            const row = campaign.rows.find(candidate => candidate.status === 'pending');
+            if (row) {
+                return { campaign, row };
+            }
+            // Nothing left to send for this campaign
+            campaign.status = 'completed';
+            campaign.completedAt = new Date().toISOString();
+            logger.info('Campaign completed', { campaignId: campaign.id });
+        }
+        return null;
+    }
+
+    /**
+     * Send one queued row and schedule the next tick
+     */
+    async function tick() {
+        const job = nextJob();
+        if (!job) {
+            timer = null;
+            return;
+        }
+
+        const { campaign, row } = job;
+        let delay = sendInterval;
+
+        try {
+            const result = await messagingClient.send(
+                { from: campaign.from, to: [row.to], body: row.body },
+                { source: 'campaign', userId: campaign.userId, client: campaign.client }
+            );
+            row.status = 'sent';
+            row.messageId = result.id;
+            row.sentAt = new Date().toISOString();
+        } catch (error) {
+            if (error instanceof AuthExpiredError) {
+                // Nothing else can be sent until the campaign's owner re-authenticates
+                campaign.status = 'paused';
+                campaign.lastError = error.message;
+                logger.warn('Campaign paused', { campaignId: campaign.id, err: error });
+            } else if (error instanceof RateLimitedError) {
+                // Leave the row pending and back off before trying again (also covers sender quotas)
+                delay = Math.min(MAX_BACKOFF_MS, error.retryAfter !== null ? error.retryAfter * 1000 : DEFAULT_RATE_LIMIT_BACKOFF_MS);
+                logger.warn('Campaign rate limited', { campaignId: campaign.id, retryInMs: delay });
+            } else if (error instanceof SuppressedRecipientError) {
+                // Opted out after the campaign was created
+                row.status = 'suppressed';
+                row.error = error.code;
+            } else {
+                row.status = 'failed';
+                row.error = error.code || 'SEND_FAILED';
+                row.errorMessage = error.message;
+            }
+        }
+
+        schedule(delay);
+    }
+
+    /**
+     * Create a campaign from CSV text and queue it
+     * @param {Object} params
+     * @param {string} params.from - Sender phone number
+     * @param {string} params.message - Message text, may contain {{column}} placeholders
+     * @param {string} [params.csv] - CSV with a phone column plus optional variable columns
+     * @param {Object[]} [params.records] - Already parsed rows (e.g. group contacts) instead of csv
+     * @param {string} [params.userId] - User whose GoTo connection sends the campaign
+     * @param {string} [params.client] - API key or user that created the campaign (for the message history)
+     * @returns {Object} - The new campaign
+     * @throws {InvalidRequestError|InvalidNumberError} - If the upload or the sender number cannot be used
+     */
+    function createCampaign({ from: rawFrom, message, csv, records: parsedRecords, name, userId = null, client = null }) {
+        if (!rawFrom || !message || (!csv && !parsedRecords)) {
+            throw new InvalidRequestError('Missing required fields: from, message, csv');
+        }
+        const from = normalizeNumber(rawFrom);
+        if (!from) {
+            throw new InvalidNumberError('from: Phone number is not valid', {
+                details: { fields: [{ field: 'from', value: rawFrom, code: 'INVALID_NUMBER', message: 'Phone number is not a valid number' }] }
+            });
+        }
+
+        const records = parsedRecords || parseCsv(csv);
+        if (records.length === 0) {
+            throw new InvalidRequestError('CSV must contain a header row and at least one data row');
+        }
+        if (records.length > maxRows) {
+            throw new InvalidRequestError(`CSV has ${records.length} rows; the limit is ${maxRows}`);
+        }
+
+        const phoneColumn = PHONE_COLUMNS.find(column => column in records[0]);
+        if (!phoneColumn) {
+            throw new InvalidRequestError(`CSV must have a phone number column (${PHONE_COLUMNS.join(', ')})`);
+        }
+
+        // Validate every row up front so problems are reported before anything is sent
+        const seen = new Set();
+        const rows = records.map((record, index) => {
+            // Numbers are stored in E.164; invalid ones are kept as uploaded for the report
+            const { [phoneColumn]: rawTo, ...variables } = record;
+            const to = normalizeNumber(rawTo);
+            const row = { row: index + 2, to: to || rawTo, variables, status: 'pending' }; // +2: header is row 1
+
+            if (!to) {
+                return { ...row, status: 'invalid', error: 'INVALID_NUMBER' };
+            }
+            if (seen.has(to)) {
+                return { ...row, status: 'duplicate' };
+            }
+            if (isSuppressed(to)) {
+                return { ...row, status: 'suppressed', error: 'RECIPIENT_SUPPRESSED' };
+            }
+            seen.add(to);
+
+            const { body, missing } = renderTemplate(message, variables);
+            if (missing.length > 0) {
+                return { ...row, status: 'invalid', error: 'MISSING_VARIABLES', missing };
+            }
+            // Variables can make one row's message much longer than the template
+            try {
+                checkMessageLength(body);
+            } catch (error) {
+                if (!(error instanceof InvalidRequestError)) {
+                    throw error;
+                }
+                return { ...row, status: 'invalid', error: error.code, segments: error.details && error.details.segments };
+            }
+            return { ...row, body };
+        });
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            name: name || null,
+            from,
+            message,
+            userId,
+            client,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            lastError: null,
+            rows
+        };
+        campaigns.set(campaign.id, campaign);
+        logger.info('Campaign queued', { campaignId: campaign.id, rows: rows.length });
+
+        wake();
+        return campaign;
+    }
+
+    /**
+     * Look up a campaign by ID
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} - The campaign or null
+     */
+    function getCampaign(id) {
+        return campaigns.get(id) || null;
+    }
+
+    /**
+     * List campaigns, newest first
+     * @param {Object} [filter] - { userId } - only campaigns created by that user
+     * @returns {Object[]} - Campaigns
+     */
+    function listCampaigns({ userId } = {}) {
+        return [...campaigns.values()]
+            .filter(campaign => userId === undefined || (campaign.userId || null) === userId)
+            .reverse();
+    }
+
+    /**
+     * Pause a running campaign (rows already sent stay sent)
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} - The campaign or null when not found
+     */
+    function pauseCampaign(id) {
+        const campaign = getCampaign(id);
+        if (campaign && campaign.status !== 'running') {
+            throw new InvalidRequestError(`Cannot pause a ${campaign.status} campaign`);
+        }
+        if (campaign) {
+            campaign.status = 'paused';
+        }
+        return campaign;
+    }
+
+    /**
+     * Resume a paused campaign
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} - The campaign or null when not found
+     */
+    function resumeCampaign(id) {
+        const campaign = getCampaign(id);
+        if (campaign && campaign.status !== 'paused') {
+            throw new InvalidRequestError(`Cannot resume a ${campaign.status} campaign`);
+        }
+        if (campaign) {
+            campaign.status = 'running';
+            campaign.lastError = null;
+            wake();
+        }
+        return campaign;
+    }
+
+    /**
+     * Cancel a campaign; rows not yet sent are marked cancelled
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} - The campaign or null when not found
+     */
+    function cancelCampaign(id) {
+        const campaign = getCampaign(id);
+        if (campaign && (campaign.status === 'completed' || campaign.status === 'cancelled')) {
+            throw new InvalidRequestError(`Cannot cancel a ${campaign.status} campaign`);
+        }
+        if (campaign) {
+            campaign.status = 'cancelled';
+            campaign.completedAt = new Date().toISOString();
+            campaign.rows
+                .filter(row => row.status === 'pending')
+                .forEach(row => { row.status = 'cancelled'; });
+        }
+        return campaign;
+    }
+
+    return {
+        createCampaign,
+        getCampaign,
+        listCampaigns,
+        pauseCampaign,
+        resumeCampaign,
+        cancelCampaign
+    };
+}
+
+/**
+ * Build the API representation of a campaign
+ * @param {Object} campaign - Campaign from the manager
+ * @param {Object} [options] - { includeRows } - include per-row results
+ * @returns {Object} - Campaign summary with progress counters
+ */
+function summarizeCampaign(campaign, { includeRows = false } = {}) {
+    const counts = {};
+    for (const row of campaign.rows) {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+
+    const summary = {
+        id: campaign.id,
+        name: campaign.name,
+        from: campaign.from,
+        message: campaign.message,
+        userId: campaign.userId,
+        status: campaign.status,
+        createdAt: campaign.createdAt,
+        completedAt: campaign.completedAt,
+        lastError: campaign.lastError,
+        progress: {
+            total: campaign.rows.length,
+            pending: counts.pending || 0,
+            sent: counts.sent || 0,
+            failed: counts.failed || 0,
+            invalid: counts.invalid || 0,
+            duplicate: counts.duplicate || 0,
+            suppressed: counts.suppressed || 0,
+            cancelled: counts.cancelled || 0
+        }
+    };
+
+    if (includeRows) {
+        summary.rows = campaign.rows.map(({ body, ...row }) => row);
+    }
+    return summary;
+}
+
+module.exports = {
+    createCampaignManager,
+    summarizeCampaign
+};
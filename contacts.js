@@ -0,0 +1,448 @@
+/**
+ * Contacts
+ * Address book of people and named groups, persisted in the data store. Contacts can be
+ * imported from CSV or vCard files, used as send recipients (alone or as a group), and
+ * their fields fill {{variable}} placeholders in templates.
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import CSV parser for imports
+const { parseCsv } = require('./csv');
+
+// Import normalized error classes
+const { InvalidNumberError, InvalidRequestError } = require('./errors');
+
+// Contact fields stored as top-level properties (anything else goes into `fields`)
+const STANDARD_FIELDS = ['name', 'firstName', 'lastName', 'phone', 'email', 'company', 'notes'];
+
+// CSV column names recognised for each standard field (first match wins)
+const CSV_COLUMNS = {
+    name: ['name', 'fullName', 'full_name', 'displayName'],
+    firstName: ['firstName', 'first_name', 'givenName', 'given_name'],
+    lastName: ['lastName', 'last_name', 'familyName', 'family_name', 'surname'],
+    phone: ['phone', 'phoneNumber', 'phone_number', 'number', 'mobile'],
+    email: ['email', 'emailAddress', 'email_address'],
+    company: ['company', 'organization', 'organisation'],
+    notes: ['notes', 'note']
+};
+
+/**
+ * Template variables provided by a contact
+ * Custom fields come first so the standard fields cannot be shadowed by them
+ * @param {Object} contact - Contact record
+ * @returns {Object} - Values keyed by placeholder name (empty fields left out)
+ */
+function contactVariables(contact) {
+    const variables = { ...(contact.fields || {}) };
+    for (const field of STANDARD_FIELDS) {
+        if (contact[field]) {
+            variables[field] = contact[field];
+        }
+    }
+    return variables;
+}
+
+/**
+ * Unescape a vCard property value (\n, \, \; and \\)
+ * @param {string} value - Raw value
+ * @returns {string} - Plain text
+ */
+function unescapeVCardValue(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a structured vCard value (N, ORG) on its unescaped semicolons
+ * @param {string} value - Raw value
+ * @returns {string[]} - Unescaped components
+ */
+function splitVCardValue(value) {
+    return value.split(/(?<!\\);/).map(unescapeVCardValue);
+}
+
+/**
+ * Parse vCard text (versions 2.1, 3.0 and 4.0) into contact fields
+ * Only the properties the address book uses are read: FN, N, TEL, EMAIL, ORG and NOTE
+ * @param {string} text - One or more BEGIN:VCARD ... END:VCARD blocks
+ * @returns {Object[]} - One object per card with name, firstName, lastName, phone, email, company, notes
+ */
+function parseVCards(text) {
+    const cards = [];
+    let card = null;
+
+    // Long lines are folded by starting the continuation with a space or tab
+    const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        // "item1.TEL;TYPE=CELL" -> property TEL with parameters ["TYPE=CELL"]
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const name = property.replace(/^.*\./, '').toUpperCase();
+        const value = line.slice(separator + 1);
+        const types = params.join(';').toUpperCase();
+
+        if (name === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+            card = { phones: [] };
+        } else if (name === 'END' && card) {
+            const phone = card.phones.find(entry => /CELL|MOBILE/.test(entry.types))
+                || card.phones.find(entry => /PREF/.test(entry.types))
+                || card.phones[0];
+            cards.push({
+                name: card.name || [card.firstName, card.lastName].filter(Boolean).join(' '),
+                firstName: card.firstName || '',
+                lastName: card.lastName || '',
+                phone: phone ? phone.number : '',
+                email: card.email || '',
+                company: card.company || '',
+                notes: card.notes || ''
+            });
+            card = null;
+        } else if (card && name === 'FN') {
+            card.name = unescapeVCardValue(value).trim();
+        } else if (card && name === 'N') {
+            const [lastName, firstName] = splitVCardValue(value);
+            card.lastName = (lastName || '').trim();
+            card.firstName = (firstName || '').trim();
+        } else if (card && name === 'TEL') {
+            card.phones.push({ number: unescapeVCardValue(value).trim(), types });
+        } else if (card && name === 'EMAIL' && !card.email) {
+            card.email = unescapeVCardValue(value).trim();
+        } else if (card && name === 'ORG') {
+            card.company = splitVCardValue(value)[0].trim();
+        } else if (card && name === 'NOTE') {
+            card.notes = unescapeVCardValue(value).trim();
+        }
+    }
+
+    return cards;
+}
+
+/**
+ * Map a CSV record to contact fields; unrecognised columns become custom fields
+ * @param {Object} record - Row from parseCsv()
+ * @returns {Object} - Contact fields
+ */
+function csvRecordToContact(record) {
+    const contact = { fields: {} };
+    const used = new Set();
+    for (const [field, columns] of Object.entries(CSV_COLUMNS)) {
+        const column = columns.find(candidate => candidate in record);
+        if (column) {
+            contact[field] = record[column];
+            used.add(column);
+        }
+    }
+    for (const [column, value] of Object.entries(record)) {
+        if (!used.has(column) && column !== 'groups' && value !== '') {
+            contact.fields[column] = value;
+        }
+    }
+    return contact;
+}
+
+/**
+ * Create the contact store
+ * @param {Object} options
+ * @param {Function} options.normalizeNumber - Returns the E.164 form of a phone number, or null when it is invalid
+ * @param {Object} [options.collection] - Override the contacts collection
+ * @param {Object} [options.groupCollection] - Override the groups collection
+ * @returns {Object} - Contact store with contact and group CRUD, membership and import methods
+ */
+function createContactStore({
+    normalizeNumber,
+    collection = createCollection('contacts'),
+    groupCollection = createCollection('contactGroups')
+}) {
+    /**
+     * Validate contact fields from an API request
+     * @param {Object} fields - Contact fields
+     * @param {boolean} partial - True for updates, where every field is optional
+     * @throws {InvalidRequestError} - If a field is missing or has the wrong type
+     */
+    function validateContactFields(fields, partial) {
+        if (!partial && !fields.phone) {
+            throw new InvalidRequestError('Missing required field: phone');
+        }
+        if (!partial && !fields.name && !fields.firstName && !fields.lastName) {
+            throw new InvalidRequestError('Missing required field: name (or firstName/lastName)');
+        }
+        for (const field of STANDARD_FIELDS) {
+            if (fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string') {
+                throw new InvalidRequestError(`Contact ${field} must be a string`);
+            }
+        }
+        if (fields.phone !== undefined && !normalizeNumber(fields.phone)) {
+            throw new InvalidNumberError(`Phone number is not valid: ${fields.phone}`, {
+                details: { fields: [{ field: 'phone', value: fields.phone, code: 'INVALID_NUMBER', message: 'Phone number is not a valid number' }] }
+            });
+        }
+        if (fields.fields !== undefined && (typeof fields.fields !== 'object' || fields.fields === null || Array.isArray(fields.fields)
+            || Object.values(fields.fields).some(value => typeof value !== 'string'))) {
+            throw new InvalidRequestError('Contact fields must be an object of string values');
+        }
+        if (fields.groupIds !== undefined) {
+            if (!Array.isArray(fields.groupIds)) {
+                throw new InvalidRequestError('Contact groupIds must be an array');
+            }
+            const unknown = fields.groupIds.filter(id => !groupCollection.get(id));
+            if (unknown.length > 0) {
+                throw new InvalidRequestError(`Unknown contact groups: ${unknown.join(', ')}`, {
+                    code: 'UNKNOWN_GROUP',
+                    details: { groupIds: unknown }
+                });
+            }
+        }
+    }
+
+    // Phone numbers are unique so inbound messages and recipients map to one contact
+    function assertPhoneAvailable(phone, exceptId) {
+        const existing = collection.find(contact => contact.phone === phone && contact.id !== exceptId);
+        if (existing) {
+            throw new InvalidRequestError(`A contact with phone number ${phone} already exists`, {
+                code: 'DUPLICATE_CONTACT',
+                details: { contactId: existing.id }
+            });
+        }
+    }
+
+    // Group names are unique (case-insensitive) so the UI picker is unambiguous
+    function assertGroupNameAvailable(name, exceptId) {
+        const existing = groupCollection.find(group =>
+            group.name.toLowerCase() === name.trim().toLowerCase() && group.id !== exceptId);
+        if (existing) {
+            throw new InvalidRequestError(`A group named "${name.trim()}" already exists`, { code: 'DUPLICATE_GROUP' });
+        }
+    }
+
+    /**
+     * Build the stored form of a contact from validated fields
+     * @param {Object} fields - New field values
+     * @param {Object} [current] - Existing contact when updating
+     * @returns {Object} - Fields to store
+     */
+    function buildContact(fields, current = {}) {
+        const pick = (field) => (fields[field] !== undefined ? (fields[field] || '').trim() : (current[field] || ''));
+        const contact = {};
+        for (const field of STANDARD_FIELDS) {
+            contact[field] = pick(field);
+        }
+        // Stored in E.164 so sends and inbound messages match the contact
+        contact.phone = normalizeNumber(contact.phone);
+        // Display name defaults to "First Last"
+        contact.name = contact.name || [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+        contact.fields = fields.fields !== undefined ? { ...fields.fields } : (current.fields || {});
+        contact.groupIds = fields.groupIds !== undefined ? [...new Set(fields.groupIds)] : (current.groupIds || []);
+        return contact;
+    }
+
+    /**
+     * List contacts sorted by name
+     * @param {Object} [filters] - { q, groupId } - q matches name, phone, email or company
+     * @returns {Object[]} - Contacts
+     */
+    function list({ q, groupId } = {}) {
+        const search = q ? String(q).toLowerCase() : null;
+        return collection.list(contact =>
+            (!groupId || contact.groupIds.includes(groupId))
+            && (!search || [contact.name, contact.phone, contact.email, contact.company]
+                .some(value => value && value.toLowerCase().includes(search))))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find the contact with a phone number
+     * @param {string} phone - Phone number in E.164 format
+     * @returns {Object|null} - Contact or null
+     */
+    function findByPhone(phone) {
+        return collection.find(contact => contact.phone === phone);
+    }
+
+    /**
+     * Create a contact
+     * @param {Object} fields - { phone, name or firstName/lastName, email, company, notes, fields, groupIds }
+     *   - fields holds custom string values; the phone number is stored in E.164 format
+     * @returns {Object} - The stored contact
+     * @throws {InvalidNumberError} - If the phone number is not valid
+     * @throws {InvalidRequestError} - If a field is missing or invalid, a group is unknown (UNKNOWN_GROUP)
+     *   or another contact has the phone number (DUPLICATE_CONTACT)
+     */
+    function create(fields) {
+        validateContactFields(fields, false);
+        const contact = buildContact(fields);
+        assertPhoneAvailable(contact.phone);
+        return collection.insert(contact);
+    }
+
+    /**
+     * Update a contact; fields left out keep their current value
+     * @param {string} id - Contact ID
+     * @param {Object} fields - Fields to change (same as create(), all optional)
+     * @returns {Object|null} - The updated contact, or null when it does not exist
+     * @throws {InvalidNumberError} - If the new phone number is not valid
+     * @throws {InvalidRequestError} - If a field is invalid, a group is unknown (UNKNOWN_GROUP)
+     *   or another contact has the new phone number (DUPLICATE_CONTACT)
+     */
+    function update(id, fields) {
+        validateContactFields(fields, true);
+        const current = collection.get(id);
+        if (!current) {
+            return null;
+        }
+        const contact = buildContact(fields, current);
+        assertPhoneAvailable(contact.phone, id);
+        return collection.update(id, contact);
+    }
+
+    /**
+     * Import contacts from CSV or vCard text
+     * Contacts whose phone number already exists are updated with the imported fields
+     * @param {string} text - CSV text with a header row, or vCard text
+     * @param {Object} [options] - { groupId } - add every imported contact to this group
+     * @returns {Object} - { added, updated, invalid[] } - invalid lists { row, phone, error }
+     * @throws {InvalidRequestError} - If the group does not exist or the file has no contacts
+     */
+    function importContacts(text, { groupId } = {}) {
+        if (groupId && !groupCollection.get(groupId)) {
+            throw new InvalidRequestError(`Unknown contact groups: ${groupId}`, { code: 'UNKNOWN_GROUP', details: { groupIds: [groupId] } });
+        }
+
+        const isVCard = /^\s*BEGIN:VCARD/im.test(text);
+        const records = isVCard ? parseVCards(text) : parseCsv(text).map(csvRecordToContact);
+        if (records.length === 0) {
+            throw new InvalidRequestError(isVCard ? 'vCard file contains no contacts' : 'CSV must contain a header row and at least one data row');
+        }
+
+        const result = { added: 0, updated: 0, invalid: [] };
+        records.forEach((record, index) => {
+            // CSV rows are numbered like a spreadsheet (header is row 1); vCards from 1
+            const row = isVCard ? index + 1 : index + 2;
+            const phone = normalizeNumber(record.phone);
+            const existing = phone ? findByPhone(phone) : null;
+            try {
+                if (existing) {
+                    // Keep existing values for fields the import leaves empty
+                    const changes = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''));
+                    changes.fields = { ...existing.fields, ...record.fields };
+                    if (groupId) {
+                        changes.groupIds = [...existing.groupIds, groupId];
+                    }
+                    update(existing.id, changes);
+                    result.updated++;
+                } else {
+                    create({ ...record, groupIds: groupId ? [groupId] : [] });
+                    result.added++;
+                }
+            } catch (error) {
+                if (!(error instanceof InvalidRequestError || error instanceof InvalidNumberError)) {
+                    throw error;
+                }
+                result.invalid.push({ row, phone: record.phone || '', error: error.message });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Delete a group and remove it from its members
+     * @param {string} id - Group ID
+     * @returns {boolean} - True when a group was removed
+     */
+    function removeGroup(id) {
+        if (!groupCollection.remove(id)) {
+            return false;
+        }
+        for (const contact of collection.list(candidate => candidate.groupIds.includes(id))) {
+            collection.update(contact.id, { groupIds: contact.groupIds.filter(groupId => groupId !== id) });
+        }
+        return true;
+    }
+
+    /**
+     * Add contacts to a group or remove them from it
+     * @param {string} id - Group ID
+     * @param {string[]} contactIds - Contacts to change
+     * @param {boolean} member - True to add, false to remove
+     * @returns {Object|null} - { group, members } or null when the group does not exist
+     * @throws {InvalidRequestError} - If a contact does not exist
+     */
+    function setMembership(id, contactIds, member) {
+        const group = groupCollection.get(id);
+        if (!group) {
+            return null;
+        }
+        if (!Array.isArray(contactIds) || contactIds.length === 0) {
+            throw new InvalidRequestError('Missing required field: contactIds');
+        }
+        const unknown = contactIds.filter(contactId => !collection.get(contactId));
+        if (unknown.length > 0) {
+            throw new InvalidRequestError(`Unknown contacts: ${unknown.join(', ')}`, { code: 'UNKNOWN_CONTACT', details: { contactIds: unknown } });
+        }
+        for (const contactId of contactIds) {
+            const contact = collection.get(contactId);
+            const groupIds = contact.groupIds.filter(groupId => groupId !== id);
+            collection.update(contactId, { groupIds: member ? [...groupIds, id] : groupIds });
+        }
+        return { group, members: list({ groupId: id }) };
+    }
+
+    return {
+        list,
+        get: (id) => collection.get(id),
+        findByPhone,
+        create,
+        update,
+        remove: (id) => collection.remove(id),
+        importContacts,
+
+        listGroups() {
+            const contacts = collection.list();
+            return groupCollection.list()
+                .map(group => ({ ...group, memberCount: contacts.filter(contact => contact.groupIds.includes(group.id)).length }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        getGroup: (id) => groupCollection.get(id),
+
+        createGroup({ name, description } = {}) {
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                throw new InvalidRequestError('Group name must be a non-empty string');
+            }
+            assertGroupNameAvailable(name);
+            return groupCollection.insert({ name: name.trim(), description: description || null });
+        },
+
+        updateGroup(id, { name, description } = {}) {
+            const group = groupCollection.get(id);
+            if (!group) {
+                return null;
+            }
+            if (name !== undefined) {
+                if (typeof name !== 'string' || !name.trim()) {
+                    throw new InvalidRequestError('Group name must be a non-empty string');
+                }
+                assertGroupNameAvailable(name, id);
+            }
+            return groupCollection.update(id, {
+                name: name !== undefined ? name.trim() : group.name,
+                description: description !== undefined ? description : group.description
+            });
+        },
+
+        removeGroup,
+        addToGroup: (id, contactIds) => setMembership(id, contactIds, true),
+        removeFromGroup: (id, contactIds) => setMembership(id, contactIds, false)
+    };
+}
+
+module.exports = {
+    createContactStore,
+    contactVariables,
+    parseVCards
+};
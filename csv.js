@@ -0,0 +1,123 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 parser and writer used for campaign uploads and exports.
+ */
+
+/**
+ * Parse CSV text into an array of rows (each row an array of strings)
+ * Handles quoted fields, escaped quotes ("") and CRLF or LF line endings
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Parsed rows, blank lines skipped
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat CRLF as a single line break
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Flush the last field/row when the text does not end with a newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text whose first row contains column names
+ * @returns {Object[]} - One object per data row
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => name.trim());
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = (cells[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Quote a single CSV field when it contains a delimiter, quote or newline
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep a spreadsheet from running a field as a formula (CSV injection)
+ * Fields starting with =, +, -, @, tab or carriage return get a leading single quote
+ * @param {*} value - Field value
+ * @returns {*} - The value, prefixed when it is text a spreadsheet would evaluate
+ */
+function escapeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Serialize objects to CSV text with a header row
+ * @param {Object[]} records - Records to write
+ * @param {string[]} columns - Column names (and the order to write them in)
+ * @param {Object} [options] - { escapeFormulas } - prefix values a spreadsheet would evaluate
+ *   (for exports of user-supplied text that are opened in Excel and the like)
+ * @returns {string} - CSV text using CRLF line endings
+ */
+function stringifyCsv(records, columns, { escapeFormulas = false } = {}) {
+    const format = escapeFormulas ? value => escapeField(escapeFormula(value)) : escapeField;
+    const lines = [columns.map(escapeField).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => format(record[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseRows,
+    parseCsv,
+    stringifyCsv
+};
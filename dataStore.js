@@ -0,0 +1,142 @@
+/**
+ * Data Store
+ * Small JSON-file backed collections for application data that must survive a restart
+ * (templates, scheduled messages, ...). Each collection is one file in DATA_DIR and is
+ * rewritten atomically on every change, which is plenty for the volumes this app handles.
+ * A file changed by another process (e.g. the CLI while the server runs) is re-read on next access.
+ */
+
+// Import crypto module for generating record IDs
+const crypto = require('crypto');
+
+// Import fs and path modules for reading and writing collection files
+const fs = require('fs');
+const path = require('path');
+
+// Directory used for persistent application data
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Create (or open) a named collection
+ * @param {string} name - Collection name, used as the file name
+ * @param {Object} [options] - { dataDir } - override the data directory
+ * @returns {Object} - Collection with list/get/insert/update/remove methods
+ */
+function createCollection(name, { dataDir = DATA_DIR } = {}) {
+    const filePath = path.join(dataDir, `${name}.json`);
+
+    // Records are loaded lazily on first access and kept in memory afterwards
+    let records = null;
+
+    // Modification time of the file when it was last read or written (null: no file)
+    let loadedMtime = null;
+
+    // Current modification time of the collection file, or null when it does not exist
+    function fileMtime() {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Load the collection file (a missing file is an empty collection)
+    function load() {
+        const mtime = fileMtime();
+        if (records === null || mtime !== loadedMtime) {
+            records = mtime !== null ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+            loadedMtime = mtime;
+        }
+        return records;
+    }
+
+    // Write the collection, replacing the file atomically
+    function save() {
+        fs.mkdirSync(dataDir, { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        loadedMtime = fileMtime();
+    }
+
+    return {
+        name,
+
+        /**
+         * List records, optionally filtered
+         * @param {Function} [predicate] - Filter function
+         * @returns {Object[]} - Matching records (copies)
+         */
+        list(predicate = () => true) {
+            return load().filter(predicate).map(record => ({ ...record }));
+        },
+
+        /**
+         * Find the first record matching a predicate
+         * @param {Function} predicate - Filter function
+         * @returns {Object|null} - Matching record (copy) or null
+         */
+        find(predicate) {
+            const record = load().find(predicate);
+            return record ? { ...record } : null;
+        },
+
+        /**
+         * Get a record by ID
+         * @param {string} id - Record ID
+         * @returns {Object|null} - The record (copy) or null
+         */
+        get(id) {
+            return this.find(record => record.id === id);
+        },
+
+        /**
+         * Insert a new record, assigning id/createdAt/updatedAt when missing
+         * @param {Object} data - Record fields
+         * @returns {Object} - The stored record
+         */
+        insert(data) {
+            const now = new Date().toISOString();
+            const record = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...data };
+            load().push(record);
+            save();
+            return { ...record };
+        },
+
+        /**
+         * Update fields of an existing record
+         * @param {string} id - Record ID
+         * @param {Object} changes - Fields to overwrite
+         * @returns {Object|null} - The updated record or null when not found
+         */
+        update(id, changes) {
+            const record = load().find(candidate => candidate.id === id);
+            if (!record) {
+                return null;
+            }
+            Object.assign(record, changes, { id, updatedAt: new Date().toISOString() });
+            save();
+            return { ...record };
+        },
+
+        /**
+         * Remove a record
+         * @param {string} id - Record ID
+         * @returns {boolean} - True when a record was removed
+         */
+        remove(id) {
+            const index = load().findIndex(record => record.id === id);
+            if (index === -1) {
+                return false;
+            }
+            records.splice(index, 1);
+            save();
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createCollection,
+    DATA_DIR
+};
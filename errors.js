@@ -0,0 +1,150 @@
+/**
+ * Messaging Error Classes
+ * GoTo API failures are normalized into these classes so every route maps them
+ * to HTTP statuses and error codes the same way.
+ */
+
+/**
+ * Base class for all messaging errors
+ * @property {number} status - HTTP status the API should respond with
+ * @property {string} code - Stable machine-readable error code
+ * @property {*} details - Upstream response body or other diagnostic data
+ */
+class MessagingError extends Error {
+    constructor(message, { status = 500, code = 'MESSAGING_ERROR', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Serialize the error for an API response body
+     * @returns {Object} - { error, code, details }
+     */
+    toJSON() {
+        return { error: this.message, code: this.code, details: this.details };
+    }
+}
+
+/**
+ * The access token is missing, expired or was rejected by GoTo
+ */
+class AuthExpiredError extends MessagingError {
+    constructor(message = 'Authentication expired. Please complete OAuth flow again.', options = {}) {
+        super(message, { status: 401, code: 'AUTH_EXPIRED', ...options });
+    }
+}
+
+/**
+ * GoTo rejected the request because too many were sent
+ * @property {number|null} retryAfter - Seconds to wait before retrying, when GoTo provides it
+ */
+class RateLimitedError extends MessagingError {
+    constructor(message = 'Rate limited by messaging provider', { retryAfter = null, ...options } = {}) {
+        super(message, { status: 429, code: 'RATE_LIMITED', ...options });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * A sender number used up its daily or monthly message quota
+ * Handled like a rate limit (429 with Retry-After until the quota resets)
+ * details: { period, limit, used }
+ */
+class QuotaExceededError extends RateLimitedError {
+    constructor(from, { period, limit, used, retryAfter }, options = {}) {
+        super(`${from} has reached its ${period} quota of ${limit} messages`, {
+            retryAfter,
+            code: 'QUOTA_EXCEEDED',
+            details: { period, limit, used },
+            ...options
+        });
+    }
+}
+
+/**
+ * A sender or recipient phone number was rejected
+ */
+class InvalidNumberError extends MessagingError {
+    constructor(message = 'Invalid phone number', options = {}) {
+        super(message, { status: 400, code: 'INVALID_NUMBER', ...options });
+    }
+}
+
+/**
+ * The request was malformed (missing fields, bad payload)
+ */
+class InvalidRequestError extends MessagingError {
+    constructor(message = 'Invalid request', options = {}) {
+        super(message, { status: 400, code: 'INVALID_REQUEST', ...options });
+    }
+}
+
+/**
+ * A recipient is on the suppression list (replied STOP or was added manually)
+ * details.suppressed lists the affected numbers
+ */
+class SuppressedRecipientError extends MessagingError {
+    constructor(numbers, options = {}) {
+        super(`Recipient has opted out of messages: ${numbers.join(', ')}`, {
+            status: 403,
+            code: 'RECIPIENT_SUPPRESSED',
+            details: { suppressed: numbers },
+            ...options
+        });
+    }
+}
+
+/**
+ * The API key used for the request may not send from this number
+ * details.allowedSenders lists the numbers the key may use
+ */
+class SenderNotAllowedError extends MessagingError {
+    constructor(from, allowedSenders, options = {}) {
+        super(`This API key may not send from ${from}`, {
+            status: 403,
+            code: 'SENDER_NOT_ALLOWED',
+            details: { allowedSenders },
+            ...options
+        });
+    }
+}
+
+/**
+ * The connected GoTo account does not own this number (or it cannot send SMS)
+ * details.senderNumbers lists the account's SMS-capable numbers
+ */
+class SenderNotOwnedError extends MessagingError {
+    constructor(from, senderNumbers, options = {}) {
+        super(`${from} is not an SMS-capable number of the connected GoTo account`, {
+            status: 403,
+            code: 'SENDER_NOT_OWNED',
+            details: { senderNumbers },
+            ...options
+        });
+    }
+}
+
+/**
+ * GoTo failed or could not be reached (5xx, network error, unexpected response)
+ */
+class UpstreamError extends MessagingError {
+    constructor(message = 'Failed to send SMS', options = {}) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', ...options });
+    }
+}
+
+module.exports = {
+    MessagingError,
+    AuthExpiredError,
+    RateLimitedError,
+    QuotaExceededError,
+    InvalidNumberError,
+    InvalidRequestError,
+    SuppressedRecipientError,
+    SenderNotAllowedError,
+    SenderNotOwnedError,
+    UpstreamError
+};
@@ -0,0 +1,108 @@
+/**
+ * Health Checks
+ * Liveness only says the process is serving requests. Readiness says whether sends can
+ * succeed: the GoTo messaging API and authorization server answer. The default GoTo
+ * connection's token is reported too, but only gates readiness when asked for (users with
+ * their own connections do not need it). Upstream checks are cached briefly so frequent
+ * probes do not turn into a stream of requests to GoTo.
+ */
+
+// Import Axios HTTP client library for the reachability checks
+const axios = require('axios').default;
+
+/**
+ * Describe the state of a token provider's tokens
+ * @param {Object} provider - Token provider from auth.js
+ * @returns {Object} - { status, grantType, expiresAt, expiresInSeconds } - status is valid,
+ *   refreshable (expired, renewed on next use) or missing (OAuth flow needed)
+ */
+function tokenStatus(provider) {
+    const { tokenStore, grantType } = provider;
+    let status = 'missing';
+    if (tokenStore.isTokenValid()) {
+        status = 'valid';
+    } else if (grantType === 'client_credentials' || tokenStore.refreshToken) {
+        status = 'refreshable';
+    }
+    return {
+        status,
+        grantType,
+        expiresAt: tokenStore.expiresAt ? new Date(tokenStore.expiresAt).toISOString() : null,
+        expiresInSeconds: tokenStore.isTokenValid() ? Math.floor((tokenStore.expiresAt - Date.now()) / 1000) : null
+    };
+}
+
+/**
+ * Check that a URL answers; any HTTP response counts, since the request is unauthenticated
+ * @param {string} name - Name shown in the report
+ * @param {string} url - URL to request
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} - { name, url, reachable, status, latencyMs, error }
+ */
+async function checkReachable(name, url, timeoutMs) {
+    const started = Date.now();
+    try {
+        const response = await axios.get(url, { timeout: timeoutMs, validateStatus: () => true, maxRedirects: 0 });
+        return { name, url, reachable: true, status: response.status, latencyMs: Date.now() - started };
+    } catch (error) {
+        return { name, url, reachable: false, error: error.code || error.message, latencyMs: Date.now() - started };
+    }
+}
+
+/**
+ * Create the readiness check
+ * @param {Object} options
+ * @param {Object} options.tokenProvider - Default token provider from auth.js
+ * @param {Object[]} options.upstreams - [{ name, url }] - services that must be reachable
+ * @param {boolean} [options.requireToken] - Whether a missing default token makes the app not ready
+ *   (otherwise the token state is informational)
+ * @param {number} [options.timeoutMs] - Timeout of each reachability request
+ * @param {number} [options.cacheMs] - How long a reachability result is reused
+ * @returns {Object} - { check } - check() resolves to { ready, checks: { token, upstreams } };
+ *   checks.token.required says whether the token counted
+ */
+function createReadinessCheck({ tokenProvider, upstreams, requireToken = false, timeoutMs = 3000, cacheMs = 15000 }) {
+    // Last reachability results and when they were taken
+    let cached = null;
+    let cachedAt = 0;
+
+    // Promise of the reachability check in progress, shared by concurrent probes
+    let inFlight = null;
+
+    /**
+     * Check every upstream, reusing recent results
+     * @returns {Promise<Object[]>} - One result per upstream
+     */
+    function checkUpstreams() {
+        if (cached && Date.now() - cachedAt < cacheMs) {
+            return Promise.resolve(cached);
+        }
+        if (!inFlight) {
+            inFlight = Promise.all(upstreams.map(upstream => checkReachable(upstream.name, upstream.url, timeoutMs)))
+                .then((results) => {
+                    cached = results;
+                    cachedAt = Date.now();
+                    return results;
+                })
+                .finally(() => {
+                    inFlight = null;
+                });
+        }
+        return inFlight;
+    }
+
+    return {
+        async check() {
+            const token = { ...tokenStatus(tokenProvider), required: requireToken };
+            const upstreamResults = await checkUpstreams();
+            const ready = upstreamResults.every(result => result.reachable) &&
+                (!requireToken || token.status !== 'missing');
+            return { ready, checks: { token, upstreams: upstreamResults } };
+        }
+    };
+}
+
+module.exports = {
+    createReadinessCheck,
+    tokenStatus
+};
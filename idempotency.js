@@ -0,0 +1,108 @@
+/**
+ * Idempotency Keys
+ * Lets clients retry POST /api/send-sms safely: the first request with an Idempotency-Key
+ * header is processed and its response stored; repeats with the same key get that stored
+ * response instead of sending the text again. Keys are scoped to the calling client.
+ */
+
+// Import crypto module for request fingerprints
+const crypto = require('crypto');
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Longest accepted Idempotency-Key header value
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Fingerprint a request body so a reused key with a different request can be detected
+ * @param {*} body - Parsed request body
+ * @returns {string} - Hex SHA-256 digest
+ */
+function fingerprintRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Create the idempotency key store
+ * @param {Object} [options] - { ttlMs, collection } - how long keys are remembered (default 24 hours)
+ * @returns {Object} - Store with begin/complete/release/prune methods
+ */
+function createIdempotencyStore({ ttlMs = 24 * 60 * 60 * 1000, collection = createCollection('idempotencyKeys') } = {}) {
+    // A request that was in progress when the process stopped may or may not have sent its text;
+    // answer repeats with an error rather than risk a duplicate
+    for (const record of collection.list(candidate => candidate.status === 'processing')) {
+        collection.update(record.id, {
+            status: 'completed',
+            response: {
+                statusCode: 500,
+                body: { error: 'Server stopped while processing this request', code: 'INTERRUPTED' }
+            }
+        });
+    }
+
+    /**
+     * Claim a key for a new request, or find the earlier request that used it
+     * @param {string} clientKey - Identifies the caller (keys of different callers never collide)
+     * @param {string} key - Idempotency-Key header value
+     * @param {string} fingerprint - fingerprintRequest() of the request body
+     * @returns {Object} - { state, record } - state is 'new', 'replay', 'in-progress' or 'mismatch'
+     */
+    function begin(clientKey, key, fingerprint) {
+        const cutoff = new Date(Date.now() - ttlMs).toISOString();
+        const existing = collection.find(record =>
+            record.clientKey === clientKey && record.key === key && record.createdAt >= cutoff);
+
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return { state: 'mismatch', record: existing };
+            }
+            return { state: existing.status === 'completed' ? 'replay' : 'in-progress', record: existing };
+        }
+
+        const record = collection.insert({ clientKey, key, fingerprint, status: 'processing', response: null });
+        return { state: 'new', record };
+    }
+
+    /**
+     * Store the response of a processed request
+     * @param {string} id - Record ID from begin()
+     * @param {number} statusCode - HTTP status sent to the client
+     * @param {*} body - JSON body sent to the client
+     */
+    function complete(id, statusCode, body) {
+        collection.update(id, { status: 'completed', response: { statusCode, body } });
+    }
+
+    /**
+     * Forget a key whose request can safely be repeated (nothing was sent)
+     * @param {string} id - Record ID from begin()
+     */
+    function release(id) {
+        collection.remove(id);
+    }
+
+    /**
+     * Remove keys older than the TTL
+     * @returns {number} - Number of keys removed
+     */
+    function prune() {
+        const cutoff = new Date(Date.now() - ttlMs).toISOString();
+        const expired = collection.list(record => record.createdAt < cutoff);
+        expired.forEach(record => collection.remove(record.id));
+        return expired.length;
+    }
+
+    return {
+        begin,
+        complete,
+        release,
+        prune
+    };
+}
+
+module.exports = {
+    createIdempotencyStore,
+    fingerprintRequest,
+    MAX_KEY_LENGTH
+};
@@ -0,0 +1,174 @@
+/**
+ * Structured Logger
+ * Writes one JSON object per line ({ time, level, msg, requestId, ...fields }) so logs can be
+ * shipped and queried. The ID of the HTTP request being handled is added automatically
+ * (see runWithContext), and tokens, secrets and phone numbers are redacted before anything
+ * is written. LOG_LEVEL selects debug, info (default), warn, error or silent.
+ */
+
+// Import AsyncLocalStorage to carry the request ID through async calls
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Severity of each level; messages below the configured level are dropped
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values are never logged
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|cookie|api[-_]?key|^code$/i;
+
+// Phone-number-like text: E.164 or national formats such as (562) 579-1776, 562-579-1776 or
+// 562.579.1776 (digit groups joined by spaces, dots, dashes or parentheses); see maskPhoneNumbers()
+const PHONE_PATTERN = /(?<![\w+])\+?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?(?:\(\d{1,4}\)|\d{1,8})){1,5}(?!\w)/g;
+
+// ISO dates look like digit groups too and are left alone
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}/;
+
+// Bearer credentials inside text
+const BEARER_PATTERN = /\b(Bearer\s+)[\w.~+/=-]+/gi;
+
+// Nested objects deeper than this are not logged
+const MAX_DEPTH = 6;
+
+// Context of the current request (e.g. { requestId }), set by runWithContext()
+const context = new AsyncLocalStorage();
+
+// Current level and output stream (see configureLogger)
+const settings = {
+    level: LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info,
+    stream: process.stdout
+};
+
+/**
+ * Mask a phone number, keeping the country code's first digit and the last 4 digits
+ * @param {string} number - E.164 number
+ * @returns {string} - e.g. +1******9601
+ */
+function maskPhoneNumber(number) {
+    return number.slice(0, 2) + '*'.repeat(Math.max(0, number.length - 6)) + number.slice(-4);
+}
+
+/**
+ * Mask a PHONE_PATTERN match when it is long enough to be a phone number
+ * Numbers starting with + need 7-15 digits, national ones 10 or 11 (shorter digit groups are
+ * more likely counts or amounts); formatting is kept and all but the last 4 digits are masked
+ * @param {string} text - Matched text
+ * @returns {string} - e.g. +1******9601 or (***) ***-1776; the text itself when it is no number
+ */
+function maskPhoneNumbers(text) {
+    const digits = text.replace(/\D/g, '').length;
+    const international = text.startsWith('+');
+    if (digits < (international ? 7 : 10) || digits > (international ? 15 : 11) || DATE_PATTERN.test(text)) {
+        return text;
+    }
+    if (/^\+\d+$/.test(text)) {
+        return maskPhoneNumber(text);
+    }
+    let seen = 0;
+    return text.replace(/\d/g, digit => (seen++ < digits - 4 ? '*' : digit));
+}
+
+/**
+ * Remove tokens, secrets and phone numbers from a value before it is logged
+ * @param {*} value - Message, field value or nested object
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} - Redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(BEARER_PATTERN, '$1[REDACTED]').replace(PHONE_PATTERN, maskPhoneNumbers);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        // Expected failures carry a code; keep the stack only for unexpected ones
+        return {
+            name: value.name,
+            message: redact(value.message),
+            code: value.code,
+            stack: value.code ? undefined : redact(value.stack)
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY_PATTERN.test(key) && fieldValue !== null && fieldValue !== undefined
+            ? '[REDACTED]'
+            : redact(fieldValue, depth + 1);
+    }
+    return result;
+}
+
+/**
+ * Write one log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - Human-readable message
+ * @param {Object} fields - Structured fields
+ */
+function write(level, msg, fields) {
+    if (LEVELS[level] < settings.level) {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redact(String(msg)),
+        ...redact({ ...context.getStore(), ...fields })
+    };
+    settings.stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every line (e.g. { component: 'scheduler' })
+ * @returns {Object} - Logger with debug/info/warn/error(msg, fields) and child(bindings)
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+        info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+        warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+        error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+        child: (more) => createLogger({ ...bindings, ...more })
+    };
+}
+
+/**
+ * Change the level or output stream of every logger
+ * @param {Object} options - { level, stream }
+ */
+function configureLogger({ level, stream } = {}) {
+    if (level !== undefined) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        settings.level = LEVELS[level];
+    }
+    if (stream) {
+        settings.stream = stream;
+    }
+}
+
+/**
+ * Run a function with fields added to every line logged while it runs (including async work it starts)
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+    logger: createLogger(),
+    createLogger,
+    configureLogger,
+    runWithContext,
+    redact,
+    maskPhoneNumber
+};
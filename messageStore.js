@@ -0,0 +1,429 @@
+/**
+ * Message Store
+ * Records outbound and inbound messages so they can be threaded into conversations.
+ * Outbound messages are recorded by wrapping the messaging client; inbound messages
+ * and delivery-status updates arrive through the GoTo webhook or by polling GoTo.
+ *
+ * Outbound lifecycle: queued -> sent -> delivered | failed
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import CSV writer for history exports
+const { stringifyCsv } = require('./csv');
+
+// Import normalized error classes
+const { InvalidRequestError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'messageStore' });
+
+// Columns of a message history CSV export
+const EXPORT_COLUMNS = ['id', 'timestamp', 'direction', 'from', 'to', 'body', 'status', 'providerId', 'source', 'client', 'error'];
+
+// Order of the outbound lifecycle states; a message never moves back to an earlier state
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, failed: 2 };
+
+// GoTo status values (upper-cased) mapped to our lifecycle states
+const GOTO_STATUS_MAP = {
+    QUEUED: 'queued',
+    PENDING: 'queued',
+    ACCEPTED: 'sent',
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    RECEIVED: 'delivered',
+    FAILED: 'failed',
+    UNDELIVERED: 'failed',
+    UNDELIVERABLE: 'failed',
+    REJECTED: 'failed',
+    ERROR: 'failed'
+};
+
+/**
+ * Map a GoTo status value to a lifecycle state
+ * @param {string} status - Status reported by GoTo
+ * @returns {string|null} - queued, sent, delivered, failed or null when unknown
+ */
+function normalizeStatus(status) {
+    return GOTO_STATUS_MAP[String(status || '').toUpperCase()] || null;
+}
+
+/**
+ * Encode a pagination cursor pointing just after a message
+ * @param {Object} message - Last message of a page
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(message) {
+    return Buffer.from(JSON.stringify([message.timestamp, message.id])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {Object} - { timestamp, id }
+ * @throws {InvalidRequestError} - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof timestamp === 'string' && typeof id === 'string') {
+            return { timestamp, id };
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new InvalidRequestError('Invalid cursor');
+}
+
+/**
+ * Order messages newest first (ties broken by ID so pagination is stable)
+ * @param {Object} a - Message
+ * @param {Object} b - Message
+ * @returns {number} - Sort order
+ */
+function newestFirst(a, b) {
+    return b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+}
+
+/**
+ * Convert messages to CSV for export (group recipients are separated by ";")
+ * Message bodies come from anyone who can text us, so cells a spreadsheet would run as a
+ * formula are prefixed with ' (phone numbers then read '+15552345678)
+ * @param {Object[]} messages - Stored messages
+ * @returns {string} - CSV text with a header row
+ */
+function messagesToCsv(messages) {
+    return stringifyCsv(
+        messages.map(message => ({ ...message, to: message.to.join(';') })),
+        EXPORT_COLUMNS,
+        { escapeFormulas: true }
+    );
+}
+
+/**
+ * Create the message store
+ * @param {Object} [options] - { collection } - override the backing collection
+ * @returns {Object} - Message store
+ */
+function createMessageStore({ collection = createCollection('messages') } = {}) {
+    /**
+     * Find a message by its GoTo message ID
+     * @param {string} providerId - GoTo message ID
+     * @returns {Object|null} - The message or null
+     */
+    function findByProviderId(providerId) {
+        return providerId ? collection.find(message => message.providerId === providerId) : null;
+    }
+
+    /**
+     * Record a message we sent
+     * @param {Object} message - { from, to[], body, providerId, source, status, userId, client }
+     *   client identifies the API key or user that requested the send
+     * @returns {Object} - The stored message
+     */
+    function recordOutbound({ from, to, body, providerId = null, source = 'api', status = 'sent', userId = null, client = null, timestamp }) {
+        const at = timestamp || new Date().toISOString();
+        return collection.insert({
+            direction: 'outbound',
+            providerId,
+            from,
+            to,
+            body,
+            source,
+            status,
+            userId,
+            client,
+            timestamp: at,
+            error: null,
+            events: [{ status, timestamp: at, details: null }]
+        });
+    }
+
+    /**
+     * Move an outbound message to a new lifecycle state
+     * Late or out-of-order updates (e.g. "sent" after "delivered") are kept as events only
+     * @param {string} id - Local message ID
+     * @param {string} status - queued, sent, delivered or failed
+     * @param {Object} [extra] - { providerId, error, details, timestamp }
+     * @returns {Object|null} - The updated message or null when not found
+     */
+    function updateStatus(id, status, { providerId, error, details = null, timestamp } = {}) {
+        const message = collection.get(id);
+        if (!message) {
+            return null;
+        }
+
+        const at = timestamp || new Date().toISOString();
+        const changes = { events: [...message.events, { status, timestamp: at, details }] };
+        if (STATUS_RANK[status] >= STATUS_RANK[message.status]) {
+            changes.status = status;
+        }
+        if (providerId) {
+            changes.providerId = providerId;
+        }
+        if (error) {
+            changes.error = error;
+        }
+        return collection.update(id, changes);
+    }
+
+    /**
+     * Record a message received from a contact
+     * Duplicate webhook deliveries (same GoTo ID) are ignored
+     * @param {Object} message - { from, to[], body, providerId, timestamp, userId } - userId is the user
+     *   the reply belongs to (null when only admins may read it)
+     * @returns {Object} - { message, duplicate }
+     */
+    function recordInbound({ from, to, body, providerId = null, timestamp, userId = null }) {
+        const existing = findByProviderId(providerId);
+        if (existing) {
+            return { message: existing, duplicate: true };
+        }
+        const message = collection.insert({
+            direction: 'inbound',
+            providerId,
+            from,
+            to,
+            body,
+            source: 'webhook',
+            status: 'received',
+            userId,
+            timestamp: timestamp || new Date().toISOString(),
+            events: []
+        });
+        return { message, duplicate: false };
+    }
+
+    /**
+     * Apply a delivery-status notification to the outbound message it belongs to
+     * @param {Object} event - { providerId, status, timestamp, details } - status as reported by GoTo
+     * @returns {Object|null} - The updated message or null when the message or status is unknown
+     */
+    function applyStatusEvent({ providerId, status, timestamp, details = null }) {
+        const message = findByProviderId(providerId);
+        const state = normalizeStatus(status);
+        if (!message || !state) {
+            return null;
+        }
+        return updateStatus(message.id, state, {
+            timestamp,
+            details: details || (state === 'failed' ? status : null),
+            error: state === 'failed' ? (details || status) : undefined
+        });
+    }
+
+    /**
+     * Outbound messages still waiting for a final (delivered/failed) status
+     * @param {number} maxAgeMs - Ignore messages older than this
+     * @returns {Object[]} - Messages to poll
+     */
+    function listAwaitingStatus(maxAgeMs) {
+        const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+        return collection.list(message =>
+            message.direction === 'outbound' &&
+            message.status === 'sent' &&
+            message.providerId &&
+            message.timestamp >= cutoff);
+    }
+
+    /**
+     * Check a message against an owner filter
+     * @param {Object} message - Stored message
+     * @param {string|null|undefined} userId - Owner to match; undefined matches every message
+     * @returns {boolean} - Whether the message belongs to the owner
+     */
+    function ownedBy(message, userId) {
+        return userId === undefined || (message.userId || null) === userId;
+    }
+
+    /**
+     * Search the message history, newest first
+     * @param {Object} [filters] - { number, since, until, status, direction, text, userId }
+     *   number matches the sender or any recipient; since/until are ISO timestamps (inclusive);
+     *   text is a case-insensitive search of the message body; userId only keeps that user's messages
+     * @param {Object} [page] - { cursor, limit } - limit defaults to every match
+     * @returns {Object} - { messages, nextCursor } - nextCursor is null on the last page
+     * @throws {InvalidRequestError} - If the cursor is malformed
+     */
+    function searchMessages({ number, since, until, status, direction, text, userId } = {}, { cursor, limit = Infinity } = {}) {
+        const needle = text ? text.toLowerCase() : null;
+        const after = cursor ? decodeCursor(cursor) : null;
+
+        const matches = collection.list(message =>
+            ownedBy(message, userId) &&
+            (!number || message.from === number || message.to.includes(number)) &&
+            (!since || message.timestamp >= since) &&
+            (!until || message.timestamp <= until) &&
+            (!status || message.status === status) &&
+            (!direction || message.direction === direction) &&
+            (!needle || String(message.body).toLowerCase().includes(needle)) &&
+            (!after || newestFirst(message, { timestamp: after.timestamp, id: after.id }) > 0)
+        ).sort(newestFirst);
+
+        const messages = matches.slice(0, limit);
+        const nextCursor = matches.length > messages.length ? encodeCursor(messages[messages.length - 1]) : null;
+        return { messages, nextCursor };
+    }
+
+    /**
+     * Find the user who last sent from one of our numbers
+     * Used to answer inbound messages through the same user's GoTo connection
+     * @param {string} number - Our (owner) phone number
+     * @returns {string|null} - User ID or null when no user has sent from it
+     */
+    function findUserIdForNumber(number) {
+        const sent = collection
+            .list(message => message.direction === 'outbound' && message.from === number && message.userId)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        return sent.length > 0 ? sent[0].userId : null;
+    }
+
+    /**
+     * The contact numbers a message belongs to (one thread per contact number)
+     * @param {Object} message - Stored message
+     * @returns {string[]} - Contact phone numbers
+     */
+    function counterparts(message) {
+        return message.direction === 'inbound' ? [message.from] : message.to;
+    }
+
+    /**
+     * List conversation threads, most recent activity first
+     * @param {Object} [filter] - { userId } - only count that user's messages
+     * @returns {Object[]} - { number, messageCount, lastMessage }
+     */
+    function listConversations({ userId } = {}) {
+        const threads = new Map();
+        for (const message of collection.list(item => ownedBy(item, userId))) {
+            for (const number of counterparts(message)) {
+                const thread = threads.get(number) || { number, messageCount: 0, lastMessage: null };
+                thread.messageCount++;
+                if (!thread.lastMessage || message.timestamp > thread.lastMessage.timestamp) {
+                    thread.lastMessage = message;
+                }
+                threads.set(number, thread);
+            }
+        }
+        return [...threads.values()].sort((a, b) => b.lastMessage.timestamp.localeCompare(a.lastMessage.timestamp));
+    }
+
+    /**
+     * Get every message exchanged with one contact number, oldest first
+     * @param {string} number - Contact phone number
+     * @param {Object} [filter] - { userId } - only that user's messages
+     * @returns {Object[]} - Messages in the thread
+     */
+    function getConversation(number, { userId } = {}) {
+        return collection
+            .list(message => ownedBy(message, userId) && counterparts(message).includes(number))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    return {
+        get: (id) => collection.get(id),
+        findByProviderId,
+        recordOutbound,
+        recordInbound,
+        updateStatus,
+        applyStatusEvent,
+        listAwaitingStatus,
+        findUserIdForNumber,
+        searchMessages,
+        listConversations,
+        getConversation
+    };
+}
+
+/**
+ * Wrap a messaging client so every send is recorded as an outbound message
+ * The message is stored as queued before the request and marked sent or failed afterwards
+ * @param {Object} messagingClient - Client from messaging.createMessagingClient()
+ * @param {Object} messageStore - Store from createMessageStore()
+ * @returns {Object} - Client with the same interface
+ */
+function createRecordingClient(messagingClient, messageStore) {
+    return {
+        ...messagingClient,
+        async send(message, { source = 'api', userId = null, client = null } = {}) {
+            const record = messageStore.recordOutbound({
+                from: message.from,
+                to: message.to,
+                body: message.body,
+                source,
+                userId,
+                client,
+                status: 'queued'
+            });
+
+            let result;
+            try {
+                result = await messagingClient.send(message, { userId });
+            } catch (error) {
+                messageStore.updateStatus(record.id, 'failed', { error: error.code || 'SEND_FAILED', details: error.message });
+                throw error;
+            }
+
+            messageStore.updateStatus(record.id, 'sent', { providerId: result.id });
+            return { ...result, messageRecordId: record.id };
+        }
+    };
+}
+
+/**
+ * Poll GoTo for the status of recently sent messages
+ * Used when status callbacks are not configured (or to catch missed ones)
+ * @param {Object} messageStore - Store from createMessageStore()
+ * @param {Object} messagingClient - Client with a getMessage() method
+ * @param {Object} [options] - { maxAgeMs } - stop polling messages older than this
+ * @returns {Promise<number>} - Number of messages whose status changed
+ */
+async function pollMessageStatuses(messageStore, messagingClient, { maxAgeMs = 24 * 60 * 60 * 1000 } = {}) {
+    let changed = 0;
+    // Users whose GoTo connection has no token; their other messages cannot be polled either
+    const unauthenticatedUsers = new Set();
+    for (const message of messageStore.listAwaitingStatus(maxAgeMs)) {
+        if (unauthenticatedUsers.has(message.userId || null)) {
+            continue;
+        }
+        try {
+            if (await refreshMessageStatus(messageStore, messagingClient, message)) {
+                changed++;
+            }
+        } catch (error) {
+            if (error.code === 'AUTH_EXPIRED') {
+                unauthenticatedUsers.add(message.userId || null);
+                continue;
+            }
+            logger.warn('Status poll failed', { messageId: message.id, err: error });
+        }
+    }
+    return changed;
+}
+
+/**
+ * Fetch the current status of one message from GoTo and apply it
+ * @param {Object} messageStore - Store from createMessageStore()
+ * @param {Object} messagingClient - Client with a getMessage() method
+ * @param {Object} message - Stored outbound message with a providerId
+ * @returns {Promise<boolean>} - True when the stored status changed
+ */
+async function refreshMessageStatus(messageStore, messagingClient, message) {
+    const remote = await messagingClient.getMessage(message.providerId, { userId: message.userId || null });
+    const status = remote && (remote.status || remote.deliveryStatus);
+    if (!status || normalizeStatus(status) === message.status) {
+        return false;
+    }
+    const updated = messageStore.applyStatusEvent({ providerId: message.providerId, status, details: remote.errorCode || null });
+    return Boolean(updated && updated.status !== message.status);
+}
+
+module.exports = {
+    createMessageStore,
+    createRecordingClient,
+    pollMessageStatuses,
+    refreshMessageStatus,
+    normalizeStatus,
+    messagesToCsv
+};
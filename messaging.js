@@ -0,0 +1,326 @@
+/**
+ * GoTo Messaging Client
+ * The one place that talks to the GoTo messaging API. Used by the OAuth callback,
+ * POST /api/send-sms and sms.js so every send uses the same payload and error handling.
+ * Also lists the account's phone numbers (GoTo voice admin API), with the same token handling.
+ */
+
+// Import Axios HTTP client library for making API requests
+const axios = require('axios').default;
+
+// Import normalized messaging error classes
+const {
+    MessagingError,
+    AuthExpiredError,
+    RateLimitedError,
+    InvalidNumberError,
+    InvalidRequestError,
+    UpstreamError
+} = require('./errors');
+
+// Import the structured logger and the GoTo latency histogram
+const { createLogger } = require('./logger');
+const { gotoRequestDuration } = require('./metrics');
+const logger = createLogger({ component: 'messaging' });
+
+// Default GoTo messaging API base URL (override with GOTO_MESSAGING_BASE_URL)
+const DEFAULT_BASE_URL = 'https://api.jive.com/messaging/v1';
+
+// Default GoTo phone numbers endpoint (override with GOTO_PHONE_NUMBERS_URL; needs the voice-admin.v1.read scope)
+const DEFAULT_PHONE_NUMBERS_URL = 'https://api.jive.com/voice-admin/v1/phone-numbers';
+
+// Most pages of phone numbers fetched in one listing
+const MAX_PHONE_NUMBER_PAGES = 20;
+
+/**
+ * @typedef {Object} SendMessageRequest
+ * @property {string} from - Sender phone number in E.164 format (must belong to the GoTo account)
+ * @property {string[]} to - Recipient phone numbers in E.164 format
+ * @property {string} body - Message text
+ */
+
+/**
+ * @typedef {Object} SendMessageResult
+ * @property {string} id - GoTo message ID
+ * @property {Object} data - Full GoTo response body
+ */
+
+/**
+ * @typedef {Object} PhoneNumber
+ * @property {string} number - Phone number in E.164 format
+ * @property {string|null} name - Name given to the number in GoTo
+ */
+
+/**
+ * Parse a Retry-After header value into seconds
+ * @param {string|undefined} value - Header value (seconds or HTTP date)
+ * @returns {number|null} - Seconds to wait, or null if not provided
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, Math.ceil(seconds));
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Convert an Axios error from the GoTo API into a MessagingError subclass
+ * @param {Error} error - Error thrown by axios
+ * @returns {MessagingError} - Normalized error
+ */
+function normalizeGoToError(error) {
+    if (error instanceof MessagingError) {
+        return error;
+    }
+
+    // No response means the request never completed (DNS, connection reset, timeout)
+    if (!error.response) {
+        return new UpstreamError('Messaging provider unreachable', { details: error.message });
+    }
+
+    const { status, data, headers = {} } = error.response;
+    const details = data || error.message;
+
+    if (status === 401) {
+        return new AuthExpiredError(undefined, { details });
+    }
+    if (status === 429) {
+        return new RateLimitedError(undefined, { retryAfter: parseRetryAfter(headers['retry-after']), details });
+    }
+    if (status === 400 || status === 422) {
+        // GoTo reports number problems as validation errors; tell them apart by the error text
+        const text = typeof data === 'string' ? data : JSON.stringify(data || {});
+        if (/phone|number/i.test(text)) {
+            return new InvalidNumberError(undefined, { details });
+        }
+        return new InvalidRequestError('Messaging provider rejected the request', { details });
+    }
+
+    return new UpstreamError(undefined, { details });
+}
+
+/**
+ * Whether a failed request may succeed if sent again (network error or 5xx)
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True for transient failures
+ */
+function isTransientError(error) {
+    return !error.response || error.response.status >= 500;
+}
+
+// Connection errors raised before GoTo received anything
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed send may be repeated without risking a duplicate text
+ * A timeout or a 5xx may come after GoTo accepted the message, so only failures that show the
+ * request never reached GoTo qualify: a refused connection, a failed DNS lookup, or a 429/503
+ * that asks for a retry with Retry-After
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True when the message was certainly not sent
+ */
+function isSafeToResend(error) {
+    if (!error.response) {
+        return NOT_SENT_CODES.includes(error.code);
+    }
+    const { status, headers = {} } = error.response;
+    return (status === 429 || status === 503) && parseRetryAfter(headers['retry-after']) !== null;
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number} baseDelayMs - Delay ceiling of the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} - Milliseconds to wait
+ */
+function retryDelay(attempt, baseDelayMs, maxDelayMs) {
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Create a GoTo messaging client
+ * @param {Object} options
+ * @param {Function} options.getAccessToken - Async function (userId) returning a bearer token;
+ *   userId is null for sends that do not belong to a user account
+ * @param {Function} [options.refreshAccessToken] - Async function (userId) returning a new token (or null);
+ *   when given, a 401 from GoTo refreshes the token once and retries before failing
+ * @param {string} [options.baseUrl] - Messaging API base URL
+ * @param {string} [options.phoneNumbersUrl] - Phone numbers endpoint of the GoTo voice admin API
+ * @param {number} [options.maxRetries] - Retries after a network error or 5xx (GOTO_MAX_RETRIES, default 2);
+ *   sends are only retried when GoTo certainly did not receive them (see isSafeToResend)
+ * @param {number} [options.retryBaseDelayMs] - Backoff base delay (GOTO_RETRY_BASE_DELAY_MS, default 500)
+ * @param {number} [options.retryMaxDelayMs] - Longest backoff delay (default 8000)
+ * @param {number} [options.timeoutMs] - Timeout of each request attempt (GOTO_TIMEOUT_MS, default 10000)
+ * @returns {Object} - Client with send(), getMessage() and listPhoneNumbers() methods
+ */
+function createMessagingClient({
+    getAccessToken,
+    refreshAccessToken = null,
+    baseUrl = process.env.GOTO_MESSAGING_BASE_URL || DEFAULT_BASE_URL,
+    phoneNumbersUrl = process.env.GOTO_PHONE_NUMBERS_URL || DEFAULT_PHONE_NUMBERS_URL,
+    maxRetries = parseInt(process.env.GOTO_MAX_RETRIES || '2', 10),
+    retryBaseDelayMs = parseInt(process.env.GOTO_RETRY_BASE_DELAY_MS || '500', 10),
+    retryMaxDelayMs = 8000,
+    timeoutMs = parseInt(process.env.GOTO_TIMEOUT_MS || '10000', 10)
+}) {
+    // Strip a trailing slash so paths can be appended safely
+    const apiBaseUrl = baseUrl.replace(/\/+$/, '');
+
+    /**
+     * Make an authenticated request to the GoTo messaging API
+     * Transient failures are retried with backoff (or after Retry-After, when GoTo gives one and
+     * it is not longer than retryMaxDelayMs); a rejected token is refreshed once
+     * @param {Object} config - Axios request config (without Authorization)
+     * @param {string|null} userId - User whose GoTo connection makes the request
+     * @param {string} operation - Name of the call for metrics and logs (send, get_message, list_phone_numbers)
+     * @param {Object} [options] - { idempotent } - false for requests that must not run twice,
+     *   which are then only retried when isSafeToResend() says GoTo did not receive them
+     * @returns {Promise<Object>} - Axios response
+     * @throws {MessagingError} - Normalized error once retries are exhausted
+     */
+    async function request(config, userId, operation, { idempotent = true } = {}) {
+        let retries = 0;
+        let refreshed = false;
+
+        for (;;) {
+            const accessToken = await getAccessToken(userId);
+            if (!accessToken) {
+                throw new AuthExpiredError('Authentication required. Please complete OAuth flow first.');
+            }
+
+            const endTimer = gotoRequestDuration.startTimer({ operation });
+            try {
+                // A request GoTo never answers times out like a network error (retried unless it is a send)
+                const response = await axios.request({
+                    ...config,
+                    timeout: timeoutMs,
+                    headers: { ...config.headers, Authorization: `Bearer ${accessToken}` }
+                });
+                endTimer({ status: response.status });
+                return response;
+            } catch (error) {
+                endTimer({ status: error.response ? error.response.status : 'network' });
+                const retryable = retries < maxRetries && (idempotent ? isTransientError(error) : isSafeToResend(error));
+                const retryAfter = error.response ? parseRetryAfter((error.response.headers || {})['retry-after']) : null;
+                const delay = retryAfter === null ? retryDelay(retries, retryBaseDelayMs, retryMaxDelayMs) : retryAfter * 1000;
+                // GoTo rejected the token: refresh it once and try again before giving up
+                if (error.response && error.response.status === 401 && refreshAccessToken && !refreshed) {
+                    refreshed = true;
+                    if (await refreshAccessToken(userId)) {
+                        logger.info('GoTo rejected the access token; retrying with a refreshed token', { operation });
+                        continue;
+                    }
+                } else if (retryable && delay <= retryMaxDelayMs) {
+                    retries++;
+                    logger.warn('GoTo request failed; retrying', {
+                        operation,
+                        status: error.response ? error.response.status : null,
+                        err: error.response ? undefined : error,
+                        retry: retries,
+                        maxRetries,
+                        delayMs: delay
+                    });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+                throw normalizeGoToError(error);
+            }
+        }
+    }
+
+    /**
+     * Send an SMS message
+     * @param {SendMessageRequest} message - Message to send
+     * @param {Object} [options] - { userId } - user whose GoTo connection sends the message
+     * @returns {Promise<SendMessageResult>} - GoTo message ID and response body
+     * @throws {MessagingError} - Normalized error on failure
+     */
+    async function send({ from, to, body }, { userId = null } = {}) {
+        if (!from || !Array.isArray(to) || to.length === 0 || !body) {
+            throw new InvalidRequestError('send() requires from, a non-empty to[] and body');
+        }
+
+        const response = await request({
+            method: 'POST',
+            url: `${apiBaseUrl}/messages`,
+            headers: { 'content-type': 'application/json' },
+            data: {
+                ownerPhoneNumber: from,     // The phone number sending the SMS
+                contactPhoneNumbers: to,    // Array of recipient phone numbers
+                body: body                  // The SMS message content
+            }
+        }, userId, 'send', { idempotent: false });
+
+        return { id: response.data && response.data.id, data: response.data };
+    }
+
+    /**
+     * Fetch a message by its GoTo ID (used to poll delivery status)
+     * @param {string} id - GoTo message ID
+     * @param {Object} [options] - { userId } - user whose GoTo connection sent the message
+     * @returns {Promise<Object>} - GoTo message resource, including its status
+     * @throws {MessagingError} - Normalized error on failure
+     */
+    async function getMessage(id, { userId = null } = {}) {
+        const response = await request({
+            method: 'GET',
+            url: `${apiBaseUrl}/messages/${encodeURIComponent(id)}`
+        }, userId, 'get_message');
+        return response.data;
+    }
+
+    /**
+     * List the phone numbers of a GoTo account that can send SMS, following every page
+     * Numbers GoTo marks as not SMS-enabled are left out
+     * @param {Object} [options] - { accountKey, userId } - account to list (from the token response)
+     *   and the user whose GoTo connection makes the request
+     * @returns {Promise<PhoneNumber[]>} - The account's SMS-capable numbers
+     * @throws {MessagingError} - Normalized error on failure
+     */
+    async function listPhoneNumbers({ accountKey = null, userId = null } = {}) {
+        const numbers = [];
+        let pageMarker = null;
+
+        for (let page = 0; page < MAX_PHONE_NUMBER_PAGES; page++) {
+            const response = await request({
+                method: 'GET',
+                url: phoneNumbersUrl,
+                params: { accountKey: accountKey || undefined, pageMarker: pageMarker || undefined }
+            }, userId, 'list_phone_numbers');
+
+            const data = response.data || {};
+            for (const item of data.items || []) {
+                if (item.number && item.smsEnabled !== false) {
+                    numbers.push({ number: item.number, name: item.name || null });
+                }
+            }
+
+            pageMarker = data.nextPageMarker;
+            if (!pageMarker) {
+                break;
+            }
+        }
+        return numbers;
+    }
+
+    return {
+        baseUrl: apiBaseUrl,
+        send,
+        getMessage,
+        listPhoneNumbers
+    };
+}
+
+module.exports = {
+    createMessagingClient,
+    normalizeGoToError,
+    parseRetryAfter,
+    DEFAULT_BASE_URL,
+    DEFAULT_PHONE_NUMBERS_URL
+};
@@ -0,0 +1,244 @@
+/**
+ * Metrics
+ * Counters and histograms exposed at GET /metrics in the Prometheus text format (version 0.0.4).
+ * Every metric lives in one module-level registry, so any module records without extra wiring:
+ *   - sends, recipients and send failures by reason (createInstrumentedClient)
+ *   - OAuth token refreshes (auth.js)
+ *   - GoTo request latency (messaging.js)
+ *   - HTTP request latency of this server (app.js)
+ */
+
+// Content type of the metrics response
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets in seconds (fast local calls up to slow upstream requests)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric created, in registration order
+const registry = [];
+
+/**
+ * Keep only the declared labels, as strings (bounds the number of series)
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Labels given by the caller
+ * @returns {Object} - Label name -> string value
+ */
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    for (const name of labelNames) {
+        picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return picked;
+}
+
+/**
+ * Format labels as {name="value",...}
+ * @param {Object} labels - Label name -> value
+ * @returns {string} - Formatted labels (empty without labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create and register a counter
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {Object} - Counter with inc(labels, amount)
+ */
+function createCounter({ name, help, labelNames = [] }) {
+    // Series key -> { labels, value }
+    const series = new Map();
+
+    const counter = {
+        name,
+        help,
+        type: 'counter',
+
+        /**
+         * Increase the counter
+         * @param {Object} [labels] - Label values
+         * @param {number} [amount] - Amount to add (default 1)
+         */
+        inc(labels = {}, amount = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+
+        collect: () => [...series.values()].map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+    };
+    registry.push(counter);
+    return counter;
+}
+
+/**
+ * Create and register a histogram
+ * @param {Object} options - { name, help, labelNames, buckets } - bucket upper bounds in ascending order
+ * @returns {Object} - Histogram with observe(labels, value) and startTimer(labels)
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    // Series key -> { labels, counts (per bucket), sum, count }
+    const series = new Map();
+
+    const histogram = {
+        name,
+        help,
+        type: 'histogram',
+
+        /**
+         * Record a value
+         * @param {Object} labels - Label values
+         * @param {number} value - Observed value (seconds for durations)
+         */
+        observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+
+        /**
+         * Start timing an operation
+         * @param {Object} [labels] - Labels known at the start
+         * @returns {Function} - Call with labels known at the end to record the duration in seconds
+         */
+        startTimer(labels = {}) {
+            const started = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                histogram.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+            };
+        },
+
+        collect: () => [...series.values()].flatMap(entry => [
+            ...buckets.map((bound, index) =>
+                `${name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[index]}`),
+            `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+            `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+            `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+        ])
+    };
+    registry.push(histogram);
+    return histogram;
+}
+
+/**
+ * Create and register a gauge whose value is read when metrics are collected
+ * @param {Object} options - { name, help, read } - read() returns the current value
+ * @returns {Object} - The gauge
+ */
+function createGauge({ name, help, read }) {
+    const gauge = {
+        name,
+        help,
+        type: 'gauge',
+        collect: () => [`${name} ${read()}`]
+    };
+    registry.push(gauge);
+    return gauge;
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} - Prometheus text format
+ */
+function renderMetrics() {
+    return registry.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.collect()
+    ].join('\n')).join('\n') + '\n';
+}
+
+// Application metrics
+const sends = createCounter({
+    name: 'sms_sends_total',
+    help: 'Messages accepted by GoTo (one per send request, any number of recipients)',
+    labelNames: ['source']
+});
+const recipients = createCounter({
+    name: 'sms_recipients_total',
+    help: 'Recipients of messages accepted by GoTo',
+    labelNames: ['source']
+});
+const sendFailures = createCounter({
+    name: 'sms_send_failures_total',
+    help: 'Sends that failed, by error code',
+    labelNames: ['source', 'reason']
+});
+const tokenRefreshes = createCounter({
+    name: 'oauth_token_refreshes_total',
+    help: 'OAuth token requests (refresh or client credentials grant)',
+    labelNames: ['grant_type', 'outcome']
+});
+const gotoRequestDuration = createHistogram({
+    name: 'goto_request_duration_seconds',
+    help: 'Latency of GoTo messaging API requests (each attempt, including retries)',
+    labelNames: ['operation', 'status']
+});
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Latency of requests handled by this server',
+    labelNames: ['method', 'route', 'status']
+});
+
+// Process metrics
+const startTimeSeconds = Math.round(Date.now() / 1000);
+createGauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    read: () => startTimeSeconds
+});
+createGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    read: () => process.memoryUsage().rss
+});
+
+/**
+ * Wrap a messaging client so every send is counted, and every failure by its error code
+ * @param {Object} messagingClient - Client to measure
+ * @returns {Object} - Client with the same interface
+ */
+function createInstrumentedClient(messagingClient) {
+    return {
+        ...messagingClient,
+        async send(message, options = {}) {
+            const source = options.source || 'api';
+            try {
+                const result = await messagingClient.send(message, options);
+                sends.inc({ source });
+                recipients.inc({ source }, message.to.length);
+                return result;
+            } catch (error) {
+                sendFailures.inc({ source, reason: error.code || 'UNKNOWN' });
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createCounter,
+    createHistogram,
+    createGauge,
+    renderMetrics,
+    createInstrumentedClient,
+    sends,
+    recipients,
+    sendFailures,
+    tokenRefreshes,
+    gotoRequestDuration,
+    httpRequestDuration
+};
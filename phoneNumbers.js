@@ -0,0 +1,352 @@
+/**
+ * Phone Numbers
+ * Parses phone numbers as people type them ("(714) 305-9601", "+44 7700 900123", "0044 ...")
+ * into E.164, using a default region for national-format input, and classifies them as
+ * mobile, fixed line, toll free, ... where the numbering plan makes that possible.
+ * Loaded by the server with require() and by index.html with a <script> tag (window.PhoneNumbers),
+ * so the form can check numbers with the same rules before submitting.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PhoneNumbers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // North American Numbering Plan: area code and exchange never start with 0 or 1;
+    // mobile and landline numbers share the same ranges
+    const NANP = {
+        countryCode: '1',
+        internationalPrefix: '011',
+        trunkPrefix: '1',
+        minLength: 10,
+        maxLength: 10,
+        pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+        types: [['toll_free', /^8(?:00|33|44|55|66|77|88)\d{7}$/]],
+        defaultType: 'fixed_line_or_mobile'
+    };
+
+    // Numbering plans of the supported regions (ISO 3166 codes)
+    // Lengths and patterns apply to the national significant number (without country code or trunk prefix);
+    // types are tried in order, numbers matching none get defaultType
+    const REGIONS = {
+        US: NANP,
+        CA: NANP,
+        GB: {
+            countryCode: '44',
+            internationalPrefix: '00',
+            trunkPrefix: '0',
+            minLength: 9,
+            maxLength: 10,
+            pattern: /^[1-9]\d{8,9}$/,
+            types: [
+                ['mobile', /^7[1-57-9]\d{8}$/],
+                ['toll_free', /^80(?:0\d{6,7}|8\d{7})$/],
+                ['fixed_line', /^[1-3]\d{8,9}$/]
+            ],
+            defaultType: 'unknown'
+        },
+        FR: {
+            countryCode: '33',
+            internationalPrefix: '00',
+            trunkPrefix: '0',
+            minLength: 9,
+            maxLength: 9,
+            pattern: /^[1-9]\d{8}$/,
+            types: [
+                ['mobile', /^[67]\d{8}$/],
+                ['toll_free', /^80\d{7}$/],
+                ['fixed_line', /^[1-5]\d{8}$/]
+            ],
+            defaultType: 'unknown'
+        },
+        DE: {
+            countryCode: '49',
+            internationalPrefix: '00',
+            trunkPrefix: '0',
+            minLength: 6,
+            maxLength: 13,
+            pattern: /^[1-9]\d{5,12}$/,
+            types: [
+                ['mobile', /^1(?:5\d{9}|[67]\d{8,9})$/],
+                ['toll_free', /^800\d{7,9}$/],
+                ['fixed_line', /^[2-9]\d{5,10}$/]
+            ],
+            defaultType: 'unknown'
+        },
+        ES: {
+            countryCode: '34',
+            internationalPrefix: '00',
+            trunkPrefix: null,
+            minLength: 9,
+            maxLength: 9,
+            pattern: /^[5-9]\d{8}$/,
+            types: [
+                ['mobile', /^(?:6\d|7[1-9])\d{7}$/],
+                ['toll_free', /^900\d{6}$/],
+                ['fixed_line', /^[89][1-9]\d{7}$/]
+            ],
+            defaultType: 'unknown'
+        },
+        AU: {
+            countryCode: '61',
+            internationalPrefix: '0011',
+            trunkPrefix: '0',
+            minLength: 9,
+            maxLength: 10,
+            pattern: /^(?:[2-478]\d{8}|1\d{5,9})$/,
+            types: [
+                ['mobile', /^4\d{8}$/],
+                ['toll_free', /^180[02]\d{6}$/],
+                ['fixed_line', /^[2378]\d{8}$/]
+            ],
+            defaultType: 'unknown'
+        },
+        MX: {
+            countryCode: '52',
+            internationalPrefix: '00',
+            trunkPrefix: null,
+            minLength: 10,
+            maxLength: 10,
+            pattern: /^[1-9]\d{9}$/,
+            types: [['toll_free', /^800\d{7}$/]],
+            defaultType: 'fixed_line_or_mobile'
+        }
+    };
+
+    // Characters people use to format numbers; anything else (letters, extensions) is refused
+    const FORMATTING_CHARACTERS = /[\s().\-\/]/g;
+
+    // E.164 allows at most 15 digits including the country code
+    const MAX_E164_DIGITS = 15;
+
+    // Shortest full international number we accept for countries without metadata
+    const MIN_E164_DIGITS = 7;
+
+    // Messages for each error code (field-level errors carry the code and message)
+    const ERROR_MESSAGES = {
+        REQUIRED: 'Phone number is required',
+        INVALID_CHARACTERS: 'Phone number may only contain digits, spaces, dashes, dots, parentheses and a leading +',
+        MISSING_COUNTRY_CODE: 'Phone number needs a country code (e.g. +15552345678)',
+        TOO_SHORT: 'Phone number is too short',
+        TOO_LONG: 'Phone number is too long',
+        INVALID_NUMBER: 'Phone number is not a valid number'
+    };
+
+    /**
+     * Check whether a region has numbering-plan metadata
+     * @param {string} region - ISO 3166 region code
+     * @returns {boolean} - True for supported regions
+     */
+    function isSupportedRegion(region) {
+        return Boolean(region) && Object.prototype.hasOwnProperty.call(REGIONS, String(region).toUpperCase());
+    }
+
+    /**
+     * Find the region for a country calling code
+     * Regions sharing a code (US/CA) resolve to the preferred region when it has that code
+     * @param {string} countryCode - Country calling code without +
+     * @param {string|null} preferredRegion - Default region of the caller
+     * @returns {string|null} - Region code or null when the code has no metadata
+     */
+    function regionForCountryCode(countryCode, preferredRegion) {
+        if (preferredRegion && REGIONS[preferredRegion] && REGIONS[preferredRegion].countryCode === countryCode) {
+            return preferredRegion;
+        }
+        return Object.keys(REGIONS).find(region => REGIONS[region].countryCode === countryCode) || null;
+    }
+
+    /**
+     * Build a failed parse result
+     * @param {string} input - Original input
+     * @param {string} code - Error code from ERROR_MESSAGES
+     * @param {string} [message] - Override the default message
+     * @returns {Object} - Parse result with valid false
+     */
+    function invalid(input, code, message) {
+        return {
+            input,
+            valid: false,
+            e164: null,
+            region: null,
+            countryCode: null,
+            nationalNumber: null,
+            type: 'invalid',
+            error: { code, message: message || ERROR_MESSAGES[code] }
+        };
+    }
+
+    /**
+     * Check a national significant number against its region's numbering plan
+     * @param {string} input - Original input
+     * @param {string} region - Region code
+     * @param {string} nationalNumber - Digits after the country code
+     * @returns {Object} - Parse result
+     */
+    function validateNational(input, region, nationalNumber) {
+        const metadata = REGIONS[region];
+        if (nationalNumber.length < metadata.minLength) {
+            return invalid(input, 'TOO_SHORT');
+        }
+        if (nationalNumber.length > metadata.maxLength) {
+            return invalid(input, 'TOO_LONG');
+        }
+        if (!metadata.pattern.test(nationalNumber)) {
+            return invalid(input, 'INVALID_NUMBER', `Phone number is not a valid ${region} number`);
+        }
+
+        const match = metadata.types.find(([, pattern]) => pattern.test(nationalNumber));
+        return {
+            input,
+            valid: true,
+            e164: `+${metadata.countryCode}${nationalNumber}`,
+            region,
+            countryCode: metadata.countryCode,
+            nationalNumber,
+            type: match ? match[0] : metadata.defaultType,
+            error: null
+        };
+    }
+
+    /**
+     * Parse digits that follow the international + (country code first)
+     * @param {string} input - Original input
+     * @param {string} digits - Digits without +
+     * @param {string|null} defaultRegion - Preferred region for shared country codes
+     * @returns {Object} - Parse result
+     */
+    function parseInternational(input, digits, defaultRegion) {
+        if (digits.length > MAX_E164_DIGITS) {
+            return invalid(input, 'TOO_LONG');
+        }
+        if (digits.startsWith('0')) {
+            return invalid(input, 'INVALID_NUMBER', 'Country codes never start with 0');
+        }
+
+        // Country codes are 1 to 3 digits and prefix-free, so the first known prefix is the code
+        for (let length = 1; length <= 3; length++) {
+            const region = regionForCountryCode(digits.slice(0, length), defaultRegion);
+            if (region) {
+                return validateNational(input, region, digits.slice(length));
+            }
+        }
+
+        // No metadata for this country: only the overall E.164 length can be checked
+        if (digits.length < MIN_E164_DIGITS) {
+            return invalid(input, 'TOO_SHORT');
+        }
+        return {
+            input,
+            valid: true,
+            e164: `+${digits}`,
+            region: null,
+            countryCode: null,
+            nationalNumber: null,
+            type: 'unknown',
+            error: null
+        };
+    }
+
+    /**
+     * Parse a phone number as typed by a person
+     * Input starting with +, 00 or the default region's international prefix is read as international;
+     * anything else as a national number of the default region (its trunk prefix, e.g. a leading 0, is dropped)
+     * @param {string} input - Phone number in any common format
+     * @param {Object} [options] - { defaultRegion } - ISO 3166 region for national-format input
+     * @returns {Object} - { input, valid, e164, region, countryCode, nationalNumber, type, error }
+     *                     type is mobile, fixed_line, fixed_line_or_mobile, toll_free, unknown or invalid;
+     *                     error is { code, message } when the number is invalid
+     */
+    function parsePhoneNumber(input, { defaultRegion = null } = {}) {
+        const text = typeof input === 'string' ? input.trim() : (typeof input === 'number' ? String(input) : '');
+        if (!text) {
+            return invalid(input, 'REQUIRED');
+        }
+
+        const stripped = text.replace(/^tel:/i, '').replace(FORMATTING_CHARACTERS, '');
+        if (!/^\+?\d+$/.test(stripped)) {
+            return invalid(input, 'INVALID_CHARACTERS');
+        }
+
+        const region = isSupportedRegion(defaultRegion) ? String(defaultRegion).toUpperCase() : null;
+        if (stripped.startsWith('+')) {
+            return parseInternational(input, stripped.slice(1), region);
+        }
+        if (stripped.startsWith('00')) {
+            return parseInternational(input, stripped.slice(2), region);
+        }
+        if (region && stripped.startsWith(REGIONS[region].internationalPrefix)) {
+            return parseInternational(input, stripped.slice(REGIONS[region].internationalPrefix.length), region);
+        }
+        if (!region) {
+            return invalid(input, 'MISSING_COUNTRY_CODE');
+        }
+
+        // "1 714 305 9601" in the US and "07700 900123" in the UK carry a trunk prefix
+        const metadata = REGIONS[region];
+        let nationalNumber = stripped;
+        if (metadata.trunkPrefix && nationalNumber.startsWith(metadata.trunkPrefix)
+            && nationalNumber.length - metadata.trunkPrefix.length >= metadata.minLength) {
+            nationalNumber = nationalNumber.slice(metadata.trunkPrefix.length);
+        }
+        return validateNational(input, region, nationalNumber);
+    }
+
+    /**
+     * Convert a phone number to E.164
+     * @param {string} input - Phone number in any common format
+     * @param {Object} [options] - { defaultRegion }
+     * @returns {string|null} - E.164 number, or null when the input is not a valid number
+     */
+    function normalizePhoneNumber(input, options) {
+        return parsePhoneNumber(input, options).e164;
+    }
+
+    /**
+     * Check that a value is already a valid number in E.164 form
+     * @param {string} number - Value to check
+     * @returns {boolean} - True for valid E.164 numbers
+     */
+    function isValidE164(number) {
+        return typeof number === 'string' && normalizePhoneNumber(number) === number;
+    }
+
+    /**
+     * Validate and normalize named phone number fields
+     * @param {Object} fields - Field name -> phone number, or array of phone numbers (reported as name[index])
+     * @param {Object} [options] - { defaultRegion }
+     * @returns {Object} - { values, errors } - values mirror fields with E.164 numbers;
+     *                     errors lists { field, value, code, message } for every invalid number
+     */
+    function validatePhoneFields(fields, options) {
+        const values = {};
+        const errors = [];
+        for (const [name, value] of Object.entries(fields)) {
+            const entries = Array.isArray(value) ? value : [value];
+            const normalized = entries.map((entry, index) => {
+                const result = parsePhoneNumber(entry, options);
+                if (!result.valid) {
+                    errors.push({
+                        field: Array.isArray(value) ? `${name}[${index}]` : name,
+                        value: entry,
+                        code: result.error.code,
+                        message: result.error.message
+                    });
+                }
+                return result.e164;
+            });
+            values[name] = Array.isArray(value) ? normalized : normalized[0];
+        }
+        return { values, errors };
+    }
+
+    return {
+        parsePhoneNumber,
+        normalizePhoneNumber,
+        isValidE164,
+        validatePhoneFields,
+        isSupportedRegion,
+        SUPPORTED_REGIONS: Object.keys(REGIONS)
+    };
+}));
@@ -0,0 +1,233 @@
+/**
+ * Rate Limits and Sender Quotas
+ * Protects our GoTo quota and sender numbers from runaway clients:
+ *   - token buckets per API client and per sender number (requests per minute, in memory)
+ *   - daily/monthly message quotas per sender number (persisted, UTC calendar windows)
+ *   - back-off after GoTo answers 429, so we stop calling it until it says we may
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized error classes
+const { RateLimitedError, QuotaExceededError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'rateLimits' });
+
+// Above this many buckets, full (idle) buckets are dropped to bound memory
+const MAX_IDLE_BUCKETS = 10000;
+
+/**
+ * Create a token-bucket limiter
+ * Each key gets `capacity` tokens that refill continuously at `perMinute` tokens per minute
+ * @param {Object} options - { perMinute, capacity } - capacity (burst size) defaults to perMinute
+ * @returns {Object} - Limiter with take(key)
+ */
+function createTokenBucketLimiter({ perMinute, capacity = perMinute }) {
+    const refillPerSecond = perMinute / 60;
+    const buckets = new Map();
+
+    /**
+     * Drop buckets that have refilled completely (equivalent to a fresh bucket)
+     * @param {number} now - Current time in milliseconds
+     */
+    function pruneIdle(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond >= capacity) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Take a token for a key
+     * @param {string} key - Client or sender identifier
+     * @returns {Object} - { allowed, limit, remaining, reset, retryAfter } - reset/retryAfter in seconds
+     */
+    function take(key) {
+        const now = Date.now();
+        if (buckets.size > MAX_IDLE_BUCKETS) {
+            pruneIdle(now);
+        }
+
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+        buckets.set(key, bucket);
+
+        return {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.ceil((capacity - bucket.tokens) / refillPerSecond),      // Until the bucket is full
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+        };
+    }
+
+    return { take };
+}
+
+/**
+ * Set the standard rate-limit response headers (plus Retry-After when limited)
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of a limiter's take()
+ */
+function setRateLimitHeaders(res, result) {
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.reset));
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+    }
+}
+
+/**
+ * Current UTC quota windows and the seconds until each resets
+ * @param {Date} now - Current time
+ * @returns {Object} - { day, month, dayResetsIn, monthResetsIn }
+ */
+function quotaWindows(now) {
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    return {
+        day: now.toISOString().slice(0, 10),      // e.g. 2025-01-31
+        month: now.toISOString().slice(0, 7),     // e.g. 2025-01
+        dayResetsIn: Math.ceil((nextDay - now.getTime()) / 1000),
+        monthResetsIn: Math.ceil((nextMonth - now.getTime()) / 1000)
+    };
+}
+
+/**
+ * Create the per-sender quota tracker
+ * Every recipient of a send counts as one message
+ * @param {Object} options - { daily, monthly, collection } - 0 disables a quota
+ * @returns {Object} - Tracker with reserve/release/usage methods
+ */
+function createSenderQuota({ daily = 0, monthly = 0, collection = createCollection('senderUsage') } = {}) {
+    /**
+     * Usage of a sender in the current windows (counts reset when a window rolls over)
+     * @param {string} number - Sender phone number
+     * @returns {Object} - { number, day, dayCount, month, monthCount, dailyLimit, monthlyLimit }
+     */
+    function usage(number) {
+        const windows = quotaWindows(new Date());
+        const record = collection.find(entry => entry.number === number);
+        return {
+            number,
+            day: windows.day,
+            dayCount: record && record.day === windows.day ? record.dayCount : 0,
+            month: windows.month,
+            monthCount: record && record.month === windows.month ? record.monthCount : 0,
+            dailyLimit: daily || null,
+            monthlyLimit: monthly || null
+        };
+    }
+
+    /**
+     * Store new counts for a sender
+     * @param {Object} current - Result of usage()
+     * @param {number} delta - Messages to add (negative to give them back)
+     */
+    function adjust(current, delta) {
+        const changes = {
+            day: current.day,
+            dayCount: Math.max(0, current.dayCount + delta),
+            month: current.month,
+            monthCount: Math.max(0, current.monthCount + delta)
+        };
+        const record = collection.find(entry => entry.number === current.number);
+        if (record) {
+            collection.update(record.id, changes);
+        } else {
+            collection.insert({ number: current.number, ...changes });
+        }
+    }
+
+    /**
+     * Count messages against a sender's quotas before they are sent
+     * @param {string} number - Sender phone number
+     * @param {number} count - Number of messages (recipients)
+     * @throws {QuotaExceededError} - If the send would exceed a quota
+     */
+    function reserve(number, count) {
+        const current = usage(number);
+        const windows = quotaWindows(new Date());
+        if (daily && current.dayCount + count > daily) {
+            throw new QuotaExceededError(number, { period: 'daily', limit: daily, used: current.dayCount, retryAfter: windows.dayResetsIn });
+        }
+        if (monthly && current.monthCount + count > monthly) {
+            throw new QuotaExceededError(number, { period: 'monthly', limit: monthly, used: current.monthCount, retryAfter: windows.monthResetsIn });
+        }
+        adjust(current, count);
+    }
+
+    /**
+     * Give back messages reserved for a send that failed
+     * @param {string} number - Sender phone number
+     * @param {number} count - Number of messages (recipients)
+     */
+    function release(number, count) {
+        adjust(usage(number), -count);
+    }
+
+    return {
+        reserve,
+        release,
+        usage
+    };
+}
+
+/**
+ * Wrap a messaging client so sends respect sender quotas and GoTo's rate limits
+ * After GoTo answers 429, sends through the same GoTo connection fail locally until Retry-After passes
+ * @param {Object} messagingClient - Client to protect
+ * @param {Object} options
+ * @param {Object} options.senderQuota - Tracker from createSenderQuota()
+ * @param {number} [options.defaultBackoffSeconds] - Back-off when GoTo sends no Retry-After
+ * @returns {Object} - Client with the same interface
+ * @throws {RateLimitedError|QuotaExceededError} - From send() while backing off or over quota
+ */
+function createSendLimitGuard(messagingClient, { senderQuota, defaultBackoffSeconds = 60 }) {
+    // GoTo connection (user ID, or null for the default tokens) -> time until which we back off
+    const backoffUntil = new Map();
+
+    return {
+        ...messagingClient,
+        async send(message, options = {}) {
+            const connection = options.userId || null;
+            const waitMs = (backoffUntil.get(connection) || 0) - Date.now();
+            if (waitMs > 0) {
+                throw new RateLimitedError('Messaging provider rate limit in effect; try again later', {
+                    retryAfter: Math.ceil(waitMs / 1000)
+                });
+            }
+
+            senderQuota.reserve(message.from, message.to.length);
+            try {
+                return await messagingClient.send(message, options);
+            } catch (error) {
+                senderQuota.release(message.from, message.to.length);
+                if (error instanceof RateLimitedError) {
+                    const seconds = error.retryAfter !== null ? error.retryAfter : defaultBackoffSeconds;
+                    backoffUntil.set(connection, Date.now() + seconds * 1000);
+                    logger.warn('GoTo rate limit hit; pausing sends', { pauseSeconds: seconds });
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createTokenBucketLimiter,
+    setRateLimitHeaders,
+    createSenderQuota,
+    createSendLimitGuard
+};
@@ -0,0 +1,388 @@
+/**
+ * Sandbox Mode
+ * SMS_MODE=sandbox replaces GoTo with a mock provider served by this app under /sandbox:
+ *   - a mock OAuth server that approves every authorization request and issues fake tokens
+ *   - a mock messaging API that records sends in an outbox instead of texting anyone
+ *   - a mock phone numbers API listing the account's numbers (SANDBOX_PHONE_NUMBERS)
+ *   - injected failures (401, 429, 5xx, invalid number) to exercise the error handling
+ * The rest of the app is unchanged: it reaches the mock through the usual OAuth and messaging
+ * settings, so CI runs and demos go through the same code paths as production.
+ */
+
+// Import path helpers for the sandbox data directory
+const path = require('path');
+
+// Import crypto module for generating fake tokens and message IDs
+const crypto = require('crypto');
+
+// Import Express.js for the mock provider routes
+const express = require('express');
+
+// Import normalized error classes
+const { InvalidRequestError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'sandbox' });
+
+// Where the mock provider is mounted, and its OAuth and messaging paths below that
+const MOUNT_PATH = '/sandbox';
+const TOKEN_PATH = `${MOUNT_PATH}/oauth/token`;
+const AUTHORIZE_PATH = `${MOUNT_PATH}/oauth/authorize`;
+const MESSAGING_PATH = `${MOUNT_PATH}/messaging/v1`;
+const PHONE_NUMBERS_PATH = `${MOUNT_PATH}/voice-admin/v1/phone-numbers`;
+
+// Account key reported in token responses, and the numbers the mock account owns by default
+const ACCOUNT_KEY = 'sandbox-account';
+const DEFAULT_PHONE_NUMBERS = '+15625791776,+15552345678';
+
+// Prefixes of the fake tokens; any token with the prefix is accepted, so tokens survive restarts
+const ACCESS_TOKEN_PREFIX = 'sandbox-at-';
+const REFRESH_TOKEN_PREFIX = 'sandbox-rt-';
+
+// Failures that can be injected, with the response the mock gives for each
+const FAILURE_TYPES = ['unauthorized', 'rate_limited', 'server_error', 'invalid_number'];
+
+// Authorization codes expire after this long, like real ones
+const CODE_TTL_MS = 5 * 60 * 1000;
+
+// Oldest outbox entries are dropped above this many
+const OUTBOX_LIMIT = 1000;
+
+/**
+ * Whether the app runs against the mock provider
+ * @param {Object} [env] - Environment variables
+ * @returns {boolean} - True when SMS_MODE is "sandbox"
+ */
+function isSandboxMode(env = process.env) {
+    return String(env.SMS_MODE || '').toLowerCase() === 'sandbox';
+}
+
+/**
+ * Point the OAuth and messaging settings at the mock provider
+ * Must run before ./auth and ./dataStore are loaded, since they read the environment once.
+ * The provider URLs are always overridden so a production .env can never reach GoTo in sandbox mode;
+ * tokens are kept in memory and data in a separate directory so real tokens and history stay untouched
+ * @param {Object} [env] - Environment variables to update
+ * @returns {string} - Base URL of the mock provider
+ */
+function applySandboxEnvironment(env = process.env) {
+    const baseUrl = (env.SANDBOX_BASE_URL || `http://localhost:${env.PORT || 5000}`).replace(/\/+$/, '');
+
+    env.OAUTH_SERVICE_URL = baseUrl;
+    env.OAUTH_TOKEN_PATH = TOKEN_PATH;
+    env.OAUTH_AUTHORIZE_PATH = AUTHORIZE_PATH;
+    env.GOTO_MESSAGING_BASE_URL = `${baseUrl}${MESSAGING_PATH}`;
+    env.GOTO_PHONE_NUMBERS_URL = `${baseUrl}${PHONE_NUMBERS_PATH}`;
+    env.TOKEN_STORE = 'memory';
+    env.DATA_DIR = env.SANDBOX_DATA_DIR || path.join(__dirname, 'data', 'sandbox');
+
+    // Credentials are only checked for consistency, so any values will do
+    env.OAUTH_CLIENT_ID = env.OAUTH_CLIENT_ID || 'sandbox-client';
+    env.OAUTH_CLIENT_SECRET = env.OAUTH_CLIENT_SECRET || 'sandbox-secret';
+    env.OAUTH_REDIRECT_URI = env.OAUTH_REDIRECT_URI || `${baseUrl}/login/oauth2/code/goto`;
+
+    return baseUrl;
+}
+
+/**
+ * Validate a failure to inject
+ * @param {Object} failure - { type, count, status, retryAfter }
+ * @returns {Object} - The failure with defaults applied
+ * @throws {InvalidRequestError} - If a field is invalid
+ */
+function normalizeFailure({ type, count = 1, status, retryAfter } = {}) {
+    if (!FAILURE_TYPES.includes(type)) {
+        throw new InvalidRequestError(`Failure type must be one of: ${FAILURE_TYPES.join(', ')}`, { code: 'INVALID_FAILURE' });
+    }
+    if (!Number.isInteger(count) || count < 1) {
+        throw new InvalidRequestError('Failure count must be a positive integer', { code: 'INVALID_FAILURE' });
+    }
+    if (type === 'server_error' && status !== undefined && !(Number.isInteger(status) && status >= 500 && status <= 599)) {
+        throw new InvalidRequestError('Server error status must be between 500 and 599', { code: 'INVALID_FAILURE' });
+    }
+    if (retryAfter !== undefined && !(Number.isInteger(retryAfter) && retryAfter >= 0)) {
+        throw new InvalidRequestError('retryAfter must be a non-negative integer (seconds)', { code: 'INVALID_FAILURE' });
+    }
+
+    // rate_limited always carries Retry-After (30 s by default), server_error only when asked
+    let retryAfterSeconds = null;
+    if (type === 'rate_limited') {
+        retryAfterSeconds = retryAfter === undefined ? 30 : retryAfter;
+    } else if (type === 'server_error' && retryAfter !== undefined) {
+        retryAfterSeconds = retryAfter;
+    }
+
+    return {
+        type,
+        remaining: count,
+        status: type === 'server_error' ? (status || 503) : null,
+        retryAfter: retryAfterSeconds
+    };
+}
+
+/**
+ * Parse failures given in SANDBOX_FAILURES, e.g. "rate_limited:2,server_error"
+ * @param {string} spec - Comma-separated type[:count] entries
+ * @returns {Object[]} - Failures ready to queue
+ * @throws {InvalidRequestError} - If an entry is invalid
+ */
+function parseFailureSpec(spec) {
+    return String(spec || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [type, count] = entry.split(':');
+            return normalizeFailure({ type, count: count === undefined ? 1 : Number(count) });
+        });
+}
+
+/**
+ * Create the mock GoTo provider
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - OAuth client ID the mock accepts
+ * @param {string} [options.redirectUri] - Only redirect URI the mock authorizes
+ * @param {number} [options.tokenTtlSeconds] - Lifetime of issued access tokens
+ * @param {Object[]} [options.failures] - Failures queued at startup (see parseFailureSpec)
+ * @param {string[]} [options.phoneNumbers] - SMS-capable numbers of the mock account
+ * @returns {Object} - { router, outbox, clearOutbox, failures, addFailure, clearFailures }
+ */
+function createSandboxProvider({
+    clientId = process.env.OAUTH_CLIENT_ID,
+    redirectUri = process.env.OAUTH_REDIRECT_URI,
+    tokenTtlSeconds = parseInt(process.env.SANDBOX_TOKEN_TTL_SECONDS, 10) || 3600,
+    failures: initialFailures = parseFailureSpec(process.env.SANDBOX_FAILURES),
+    phoneNumbers = (process.env.SANDBOX_PHONE_NUMBERS || DEFAULT_PHONE_NUMBERS).split(',').map(number => number.trim()).filter(Boolean)
+} = {}) {
+    // Messages "sent" through the mock, oldest first
+    const outbox = [];
+
+    // Failures waiting to be returned by the next sends, in order
+    const failures = [...initialFailures];
+
+    // Authorization code -> { redirectUri, scope, expiresAt }
+    const authorizationCodes = new Map();
+
+    /**
+     * Issue a fresh token response
+     * @param {string} [scope] - Granted scope
+     * @returns {Object} - OAuth token response body
+     */
+    function issueTokens(scope) {
+        return {
+            access_token: ACCESS_TOKEN_PREFIX + crypto.randomBytes(16).toString('hex'),
+            refresh_token: REFRESH_TOKEN_PREFIX + crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: tokenTtlSeconds,
+            scope: scope || process.env.OAUTH_SCOPE || 'messaging.v1.send',
+            account_key: ACCOUNT_KEY
+        };
+    }
+
+    /**
+     * Client ID from HTTP Basic credentials or the form body
+     * @param {Object} req - Express request object
+     * @returns {string|null} - Client ID
+     */
+    function requestClientId(req) {
+        const authorization = req.get('authorization') || '';
+        if (authorization.startsWith('Basic ')) {
+            const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+            return decodeURIComponent(decoded.split(':')[0]);
+        }
+        return req.body.client_id || null;
+    }
+
+    /**
+     * Take the next injected failure, if any
+     * @returns {Object|null} - The failure to return
+     */
+    function nextFailure() {
+        const failure = failures[0];
+        if (!failure) {
+            return null;
+        }
+        failure.remaining--;
+        if (failure.remaining <= 0) {
+            failures.shift();
+        }
+        return failure;
+    }
+
+    /**
+     * Answer a request with an injected failure, shaped like GoTo's responses
+     * @param {Object} res - Express response object
+     * @param {Object} failure - Failure from nextFailure()
+     * @param {string[]} recipients - Recipients of the rejected send
+     */
+    function sendFailure(res, failure, recipients) {
+        switch (failure.type) {
+            case 'unauthorized':
+                return res.status(401).json({ errorCode: 'AUTHN_INVALID_TOKEN', message: 'Invalid or expired access token' });
+            case 'rate_limited':
+                res.set('Retry-After', String(failure.retryAfter));
+                return res.status(429).json({ errorCode: 'TOO_MANY_REQUESTS', message: 'Rate limit exceeded' });
+            case 'invalid_number':
+                return res.status(400).json({ errorCode: 'INVALID_PHONE_NUMBER', message: `Invalid phone number: ${recipients[0] || ''}` });
+            default:
+                if (failure.retryAfter !== null) {
+                    res.set('Retry-After', String(failure.retryAfter));
+                }
+                return res.status(failure.status).json({ errorCode: 'INTERNAL_ERROR', message: 'Sandbox injected server error' });
+        }
+    }
+
+    const router = express.Router();
+
+    // simple-oauth2 sends token requests form-encoded
+    router.use(express.urlencoded({ extended: false }));
+
+    /**
+     * Mock authorization endpoint - approves immediately and redirects back with a code
+     */
+    router.get('/oauth/authorize', (req, res) => {
+        const { client_id: requestedClientId, redirect_uri: requestedRedirectUri, scope, state } = req.query;
+        if (requestedClientId !== clientId) {
+            return res.status(400).json({ error: 'invalid_client', error_description: 'Unknown client_id' });
+        }
+        // Only the configured redirect URI, so the mock cannot be used as an open redirect
+        if (requestedRedirectUri !== redirectUri) {
+            return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri does not match' });
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        authorizationCodes.set(code, { redirectUri: requestedRedirectUri, scope, expiresAt: Date.now() + CODE_TTL_MS });
+
+        const location = new URL(requestedRedirectUri);
+        location.searchParams.set('code', code);
+        if (state) {
+            location.searchParams.set('state', state);
+        }
+        res.redirect(location.toString());
+    });
+
+    /**
+     * Mock token endpoint - authorization_code, refresh_token and client_credentials grants
+     */
+    router.post('/oauth/token', (req, res) => {
+        if (requestClientId(req) !== clientId) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const grantType = req.body.grant_type;
+        if (grantType === 'authorization_code') {
+            const grant = authorizationCodes.get(req.body.code);
+            authorizationCodes.delete(req.body.code);       // Codes are single use
+            if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+            }
+            return res.json(issueTokens(grant.scope));
+        }
+        if (grantType === 'refresh_token') {
+            if (!String(req.body.refresh_token || '').startsWith(REFRESH_TOKEN_PREFIX)) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+            }
+            return res.json(issueTokens(req.body.scope));
+        }
+        if (grantType === 'client_credentials') {
+            return res.json(issueTokens(req.body.scope));
+        }
+        res.status(400).json({ error: 'unsupported_grant_type' });
+    });
+
+    // The messaging and phone numbers APIs need one of our fake access tokens
+    router.use(['/messaging/v1', '/voice-admin/v1'], (req, res, next) => {
+        const authorization = req.get('authorization') || '';
+        if (!authorization.startsWith(`Bearer ${ACCESS_TOKEN_PREFIX}`)) {
+            return res.status(401).json({ errorCode: 'AUTHN_INVALID_TOKEN', message: 'Invalid or expired access token' });
+        }
+        next();
+    });
+
+    /**
+     * Mock phone numbers listing - every number of the mock account can send SMS (one page)
+     */
+    router.get('/voice-admin/v1/phone-numbers', (req, res) => {
+        if (req.query.accountKey !== ACCOUNT_KEY) {
+            return res.status(403).json({ errorCode: 'AUTHZ_INSUFFICIENT_SCOPE', message: 'Unknown account' });
+        }
+        res.json({
+            items: phoneNumbers.map((number, index) => ({
+                id: `sandbox-number-${index + 1}`,
+                number,
+                name: `Sandbox line ${index + 1}`,
+                accountKey: ACCOUNT_KEY,
+                smsEnabled: true
+            }))
+        });
+    });
+
+    /**
+     * Mock send endpoint - records the message in the outbox unless a failure is injected
+     */
+    router.post('/messaging/v1/messages', (req, res) => {
+        const { ownerPhoneNumber, contactPhoneNumbers, body } = req.body || {};
+        if (!ownerPhoneNumber || !Array.isArray(contactPhoneNumbers) || contactPhoneNumbers.length === 0 || !body) {
+            return res.status(400).json({ errorCode: 'INVALID_REQUEST', message: 'ownerPhoneNumber, contactPhoneNumbers and body are required' });
+        }
+
+        const failure = nextFailure();
+        if (failure) {
+            logger.info('Injecting failure', { failure: failure.type });
+            return sendFailure(res, failure, contactPhoneNumbers);
+        }
+
+        const message = {
+            id: crypto.randomUUID(),
+            ownerPhoneNumber,
+            contactPhoneNumbers,
+            body,
+            status: 'SENT',
+            createdAt: new Date().toISOString()
+        };
+        outbox.push(message);
+        if (outbox.length > OUTBOX_LIMIT) {
+            outbox.shift();
+        }
+        logger.info('Message recorded in outbox', { messageId: message.id, to: contactPhoneNumbers });
+        res.status(201).json(message);
+    });
+
+    /**
+     * Mock message lookup - recorded messages are reported as delivered
+     */
+    router.get('/messaging/v1/messages/:id', (req, res) => {
+        const message = outbox.find(entry => entry.id === req.params.id);
+        if (!message) {
+            return res.status(404).json({ errorCode: 'NOT_FOUND', message: 'Message not found' });
+        }
+        res.json({ ...message, status: 'DELIVERED' });
+    });
+
+    return {
+        router,
+        outbox: () => [...outbox].reverse(),     // Newest first
+        clearOutbox: () => {
+            outbox.length = 0;
+        },
+        failures: () => failures.map(failure => ({ ...failure })),
+        addFailure: (failure) => {
+            const queued = normalizeFailure(failure);
+            failures.push(queued);
+            return { ...queued };
+        },
+        clearFailures: () => {
+            failures.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    MOUNT_PATH,
+    FAILURE_TYPES,
+    isSandboxMode,
+    applySandboxEnvironment,
+    parseFailureSpec,
+    createSandboxProvider
+};
@@ -0,0 +1,184 @@
+/**
+ * Scheduled Messages
+ * Stores messages to be sent at a later time and dispatches them when due.
+ * Records are kept in the data store so pending sends survive a restart.
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized messaging error classes
+const { AuthExpiredError, RateLimitedError, InvalidRequestError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'scheduler' });
+
+/**
+ * Parse and validate a sendAt value
+ * @param {string} sendAt - ISO 8601 timestamp
+ * @returns {Date} - Parsed date
+ * @throws {InvalidRequestError} - If the value is not a valid timestamp in the future
+ */
+function parseSendAt(sendAt) {
+    const date = typeof sendAt === 'string' ? new Date(sendAt) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        throw new InvalidRequestError('sendAt must be an ISO 8601 timestamp (e.g., 2025-01-31T09:00:00Z)');
+    }
+    if (date.getTime() <= Date.now()) {
+        throw new InvalidRequestError('sendAt must be in the future');
+    }
+    return date;
+}
+
+/**
+ * Create the scheduler
+ * @param {Object} options
+ * @param {Object} options.messagingClient - Client from messaging.createMessagingClient()
+ * @param {Object} [options.collection] - Override the backing collection
+ * @returns {Object} - Scheduler with schedule/list/get/cancel/dispatchDue methods
+ */
+function createScheduler({ messagingClient, collection = createCollection('scheduled') }) {
+    // Prevents overlapping dispatch runs from sending the same message twice
+    let dispatching = false;
+
+    // A send that was in progress when the process stopped may or may not have gone out;
+    // mark it failed rather than risk a duplicate text
+    for (const record of collection.list(candidate => candidate.status === 'sending')) {
+        collection.update(record.id, { status: 'failed', error: 'INTERRUPTED', errorMessage: 'Server stopped while sending' });
+    }
+
+    /**
+     * Store a message for later delivery
+     * @param {Object} message - { from, to[], body, sendAt, userId, client } - userId selects the GoTo connection used,
+     *   client (API key or user that asked for the send) is kept for the message history
+     * @returns {Object} - The scheduled record
+     */
+    function schedule({ from, to, body, sendAt, userId = null, client = null }) {
+        const date = parseSendAt(sendAt);
+        const record = collection.insert({
+            from,
+            to,
+            body,
+            userId,
+            client,
+            sendAt: date.toISOString(),
+            status: 'pending',
+            attempts: 0,
+            messageId: null,
+            sentAt: null,
+            error: null,
+            errorMessage: null
+        });
+        logger.info('Message scheduled', { scheduledId: record.id, sendAt: record.sendAt });
+        return record;
+    }
+
+    /**
+     * List scheduled messages, soonest first
+     * @param {Object} [filter] - { status, userId } - only records with this status ('all' for every record),
+     *   and only those scheduled by userId when it is given
+     * @returns {Object[]} - Scheduled records
+     */
+    function list({ status = 'pending', userId } = {}) {
+        return collection
+            .list(record => (status === 'all' || record.status === status) &&
+                (userId === undefined || (record.userId || null) === userId))
+            .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+    }
+
+    /**
+     * Cancel a pending scheduled message
+     * @param {string} id - Scheduled message ID
+     * @returns {Object|null} - The cancelled record or null when not found
+     * @throws {InvalidRequestError} - If the message is no longer pending
+     */
+    function cancel(id) {
+        const record = collection.get(id);
+        if (!record) {
+            return null;
+        }
+        if (record.status !== 'pending') {
+            throw new InvalidRequestError(`Cannot cancel a ${record.status} message`);
+        }
+        return collection.update(id, { status: 'cancelled' });
+    }
+
+    /**
+     * Send every pending message whose sendAt has passed
+     * The messaging client gets the scheduling user's token from their token provider, which refreshes it if it expired
+     * @returns {Promise<number>} - Number of messages processed
+     */
+    async function dispatchDue() {
+        if (dispatching) {
+            return 0;
+        }
+        dispatching = true;
+
+        try {
+            const now = new Date().toISOString();
+            const due = list().filter(record => record.sendAt <= now);
+            let processed = 0;
+            // Users without a valid GoTo connection; their remaining messages wait for the next run
+            const deferredUsers = new Set();
+
+            for (const record of due) {
+                if (deferredUsers.has(record.userId || null)) {
+                    continue;
+                }
+                processed++;
+                collection.update(record.id, { status: 'sending', attempts: record.attempts + 1 });
+                try {
+                    const result = await messagingClient.send(
+                        { from: record.from, to: record.to, body: record.body },
+                        { source: 'scheduled', userId: record.userId || null, client: record.client || null }
+                    );
+                    collection.update(record.id, {
+                        status: 'sent',
+                        messageId: result.id,
+                        sentAt: new Date().toISOString(),
+                        error: null,
+                        errorMessage: null
+                    });
+                    logger.info('Scheduled message sent', { scheduledId: record.id });
+                } catch (error) {
+                    if (error instanceof AuthExpiredError || error instanceof RateLimitedError) {
+                        // Not the message's fault: keep it pending and try again on the next run
+                        collection.update(record.id, { status: 'pending', error: error.code, errorMessage: error.message });
+                        logger.warn('Scheduled message deferred', { scheduledId: record.id, err: error });
+                        if (error instanceof RateLimitedError) {
+                            // The rest would fail the same way, so stop this run
+                            break;
+                        }
+                        // Only this user's connection is affected
+                        deferredUsers.add(record.userId || null);
+                    } else {
+                        collection.update(record.id, {
+                            status: 'failed',
+                            error: error.code || 'SEND_FAILED',
+                            errorMessage: error.message
+                        });
+                        logger.error('Scheduled message failed', { scheduledId: record.id, err: error });
+                    }
+                }
+            }
+
+            return processed;
+        } finally {
+            dispatching = false;
+        }
+    }
+
+    return {
+        schedule,
+        list,
+        get: (id) => collection.get(id),
+        cancel,
+        dispatchDue
+    };
+}
+
+module.exports = {
+    createScheduler,
+    parseSendAt
+};
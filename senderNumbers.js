@@ -0,0 +1,193 @@
+/**
+ * Sender Numbers
+ * The SMS-capable phone numbers of each GoTo connection (the default account and every user's
+ * own), fetched from GoTo after the OAuth flow and cached in data/senderNumbers.json. Sends from
+ * a number the connected account does not own are refused here instead of failing at GoTo.
+ * While a connection's numbers are unknown (never fetched, or GoTo did not answer), any sender
+ * is let through and GoTo has the final word.
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized error classes
+const { SenderNotOwnedError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'senderNumbers' });
+
+// Record ID of the default (non-user) GoTo connection
+const DEFAULT_CONNECTION = 'default';
+
+/**
+ * Create the sender number cache
+ * @param {Object} options
+ * @param {Object} options.messagingClient - Client with listPhoneNumbers() (from messaging.js)
+ * @param {Function} options.getAccountKey - (userId) => GoTo account key of the connection, or null
+ * @param {Function} [options.isConnected] - (userId) => whether the connection has tokens; numbers
+ *   of connections without any are not fetched
+ * @param {string} [options.defaultSender] - Preferred sender when the caller gives none (E.164)
+ * @param {number} [options.ttlMs] - How long a fetched list is used before it is fetched again
+ * @param {number} [options.retryMs] - How long to wait after a failed fetch before trying again
+ * @param {Object} [options.collection] - Storage collection
+ * @returns {Object} - Sender number cache
+ */
+function createSenderNumberStore({
+    messagingClient,
+    getAccountKey,
+    isConnected = () => true,
+    defaultSender = null,
+    ttlMs = 24 * 60 * 60 * 1000,
+    retryMs = 5 * 60 * 1000,
+    collection = createCollection('senderNumbers')
+}) {
+    // Connection -> fetch in progress, shared by concurrent callers
+    const inFlight = new Map();
+
+    /**
+     * Record ID of a GoTo connection
+     * @param {string|null} userId - User whose connection is meant, or null for the default one
+     * @returns {string} - Record ID
+     */
+    function connectionId(userId) {
+        return userId || DEFAULT_CONNECTION;
+    }
+
+    /**
+     * Get the cached entry of a connection without fetching
+     * @param {string|null} userId - User whose connection is meant, or null for the default one
+     * @returns {Object|null} - { id, numbers (null when unknown), accountKey, fetchedAt, error } or null
+     */
+    function get(userId) {
+        return collection.get(connectionId(userId));
+    }
+
+    /**
+     * Store the result of a fetch
+     * @param {string|null} userId - User whose connection was fetched
+     * @param {Object} fields - { numbers, accountKey, error }
+     * @returns {Object} - The stored entry
+     */
+    function save(userId, fields) {
+        const id = connectionId(userId);
+        const entry = { ...fields, fetchedAt: new Date().toISOString() };
+        return collection.get(id) ? collection.update(id, entry) : collection.insert({ id, ...entry });
+    }
+
+    /**
+     * Fetch a connection's numbers from GoTo and cache them
+     * @param {string|null} userId - User whose connection is fetched, or null for the default one
+     * @returns {Promise<Object>} - The stored entry
+     * @throws {MessagingError} - When GoTo cannot list the numbers (the failure is cached as well)
+     */
+    function refresh(userId) {
+        const id = connectionId(userId);
+        if (!inFlight.has(id)) {
+            const accountKey = getAccountKey(userId);
+            inFlight.set(id, messagingClient.listPhoneNumbers({ accountKey, userId })
+                .then((numbers) => {
+                    logger.info('Sender numbers fetched', { connection: id, count: numbers.length });
+                    return save(userId, { numbers, accountKey, error: null });
+                }, (error) => {
+                    // Keep the numbers we knew; the failure only delays the next attempt
+                    const previous = get(userId);
+                    save(userId, { numbers: previous ? previous.numbers : null, accountKey, error: error.code || error.message });
+                    throw error;
+                })
+                .finally(() => inFlight.delete(id)));
+        }
+        return inFlight.get(id);
+    }
+
+    /**
+     * Get a connection's entry, fetching it when it is missing or stale
+     * A failed fetch is logged and the last known entry (or null) is returned, as it is
+     * when the connection has no tokens
+     * @param {string|null} userId - User whose connection is meant, or null for the default one
+     * @returns {Promise<Object|null>} - Entry or null when nothing is known
+     */
+    async function ensure(userId) {
+        const entry = get(userId);
+        const maxAge = entry && entry.error ? retryMs : ttlMs;
+        if ((entry && Date.now() - Date.parse(entry.fetchedAt) < maxAge) || !isConnected(userId)) {
+            return entry;
+        }
+        try {
+            return await refresh(userId);
+        } catch (error) {
+            logger.warn('Could not fetch sender numbers', { connection: connectionId(userId), err: error });
+            return get(userId);
+        }
+    }
+
+    /**
+     * Pick the sender to use when the caller gives none
+     * The configured default wins when the account owns it (or its numbers are unknown),
+     * otherwise the account's first number
+     * @param {Object|null} entry - Entry from get() or ensure()
+     * @returns {string|null} - Sender number or null when there is none
+     */
+    function pickDefault(entry) {
+        const numbers = entry && entry.numbers;
+        if (!numbers) {
+            return defaultSender;
+        }
+        if (defaultSender && numbers.some(item => item.number === defaultSender)) {
+            return defaultSender;
+        }
+        return numbers.length > 0 ? numbers[0].number : null;
+    }
+
+    /**
+     * Check that a connection owns a sender number
+     * @param {string|null} userId - User whose connection sends, or null for the default one
+     * @param {string} from - Sender number in E.164 format
+     * @throws {SenderNotOwnedError} - When the connection's numbers are known and do not include it
+     */
+    async function assertOwned(userId, from) {
+        const entry = await ensure(userId);
+        if (entry && entry.numbers && !entry.numbers.some(item => item.number === from)) {
+            throw new SenderNotOwnedError(from, entry.numbers.map(item => item.number));
+        }
+    }
+
+    /**
+     * Forget a connection's numbers (the account was disconnected or replaced)
+     * @param {string|null} userId - User whose connection is meant, or null for the default one
+     */
+    function clear(userId) {
+        collection.remove(connectionId(userId));
+    }
+
+    return {
+        get,
+        refresh,
+        ensure,
+        pickDefault,
+        assertOwned,
+        clear
+    };
+}
+
+/**
+ * Wrap a messaging client so it refuses senders the GoTo connection does not own
+ * Every send path (API, scheduler, campaigns, CLI) goes through this guard
+ * @param {Object} messagingClient - Client to protect
+ * @param {Object} senderNumbers - Cache from createSenderNumberStore()
+ * @returns {Object} - Client with the same interface
+ */
+function createSenderGuard(messagingClient, senderNumbers) {
+    return {
+        ...messagingClient,
+        async send(message, options = {}) {
+            await senderNumbers.assertOwned(options.userId || null, message.from);
+            return messagingClient.send(message, options);
+        }
+    };
+}
+
+module.exports = {
+    createSenderNumberStore,
+    createSenderGuard
+};
@@ -1,39 +1,70 @@
-const axios = require('axios');
-const { getAccessToken } = require('./auth');
-require('dotenv').config();
-
-// Function to send SMS
-async function sendSMS(toPhoneNumber, fromPhoneNumber, messageBody) {
-  try {
-    // Get access token first
-    const accessToken = await getAccessToken();
-    
-    // Prepare the request payload
-    const payload = {
-      toPhoneNumber: toPhoneNumber,
-      fromPhoneNumber: fromPhoneNumber,
-      messageBody: messageBody
-    };
-    
-    // Send the SMS request
-    const response = await axios.post(
-      `https://api.goto.com/connect/v1/sms`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'accountkey': process.env.GOTO_CONNECT_ACCOUNT_KEY
-        }
-      }
-    );
-    
-    console.log('SMS sent successfully:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('Error sending SMS:', error.response?.data || error.message);
-    throw error;
-  }
-}
-
-module.exports = { sendSMS };
\ No newline at end of file
+const { tokenProvider } = require('./auth');
+const { createMessagingClient } = require('./messaging');
+const { createMessageStore, createRecordingClient } = require('./messageStore');
+const { createSenderQuota, createSendLimitGuard } = require('./rateLimits');
+const { createSuppressionList, createSuppressionGuard } = require('./suppressions');
+const { createSenderNumberStore, createSenderGuard } = require('./senderNumbers');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { tokenStatus } = require('./health');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+// Structured logger for this helper
+const logger = createLogger({ component: 'sms' });
+
+// Messaging client, built on the first send so requiring this module opens no stores
+let messagingClient = null;
+
+// Build the same chain as the server: the sender must belong to the account, opt-outs and
+// sender quotas apply, and every send is recorded in the message history
+function getMessagingClient() {
+  if (messagingClient) {
+    return messagingClient;
+  }
+
+  const defaultRegion = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+  const gotoClient = createMessagingClient({
+    getAccessToken: () => tokenProvider.getAccessToken().catch(() => null),
+    refreshAccessToken: () => tokenProvider.refreshAccessToken().catch(() => null)
+  });
+  const recordingClient = createRecordingClient(gotoClient, createMessageStore());
+  const senderNumbers = createSenderNumberStore({
+    messagingClient: gotoClient,
+    getAccountKey: () => tokenProvider.tokenStore.accountKey,
+    isConnected: () => tokenStatus(tokenProvider).status !== 'missing',
+    ttlMs: (parseInt(process.env.SENDER_NUMBERS_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+  });
+  const senderQuota = createSenderQuota({
+    daily: parseInt(process.env.SENDER_DAILY_QUOTA || '0', 10),
+    monthly: parseInt(process.env.SENDER_MONTHLY_QUOTA || '0', 10)
+  });
+
+  messagingClient = createSenderGuard(
+    createSuppressionGuard(
+      createSendLimitGuard(recordingClient, { senderQuota }),
+      createSuppressionList({ normalizeNumber: number => normalizePhoneNumber(number, { defaultRegion }) })
+    ),
+    senderNumbers
+  );
+  return messagingClient;
+}
+
+// Function to send SMS
+async function sendSMS(toPhoneNumber, fromPhoneNumber, messageBody) {
+  try {
+    // Send through the guarded client; suppressed recipients and foreign senders are refused
+    const result = await getMessagingClient().send({
+      from: fromPhoneNumber,
+      to: Array.isArray(toPhoneNumber) ? toPhoneNumber : [toPhoneNumber],
+      body: messageBody
+    }, { source: 'script' });
+
+    logger.info('SMS sent', { messageId: result.id });
+    return result.data;
+  } catch (error) {
+    logger.error('Error sending SMS', { err: error, details: error.details });
+    throw error;
+  }
+}
+
+module.exports = { sendSMS };
@@ -0,0 +1,133 @@
+/**
+ * SMS Encoding
+ * Works out how a message text will travel over SMS: GSM-7 when every character is in the
+ * GSM 03.38 alphabet (160 characters per text), UCS-2 otherwise (70 per text). Longer texts
+ * are split into concatenated segments whose header takes 7 GSM characters (153 left) or
+ * 3 UCS-2 characters (67 left). Loaded by the server with require() and by index.html with
+ * a <script> tag (window.SmsEncoding) for the live counter.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SmsEncoding = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // GSM 03.38 basic character set (one septet each)
+    const GSM_BASIC = new Set(
+        '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+        '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+    );
+
+    // GSM 03.38 extension table (escape character + one septet, so two each)
+    const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+    // Segment sizes: a single text, and each part of a concatenated text
+    const LIMITS = {
+        'GSM-7': { single: 160, multipart: 153 },
+        'UCS-2': { single: 70, multipart: 67 }
+    };
+
+    // Typographic characters with a plain GSM-7 equivalent (used when transliteration is requested)
+    const TRANSLITERATIONS = {
+        '‘': '\'', '’': '\'', '‚': '\'', '‛': '\'', '′': '\'',
+        '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+        '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-',
+        '…': '...',
+        '\u00A0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u200B': '',   // Special spaces
+        '•': '-',
+        '\t': ' '
+    };
+
+    /**
+     * Length of one character in its encoding
+     * @param {string} char - A single code point
+     * @param {string} encoding - 'GSM-7' or 'UCS-2'
+     * @returns {number} - Septets (GSM-7) or UTF-16 code units (UCS-2)
+     */
+    function characterLength(char, encoding) {
+        if (encoding === 'GSM-7') {
+            return GSM_EXTENDED.has(char) ? 2 : 1;
+        }
+        return char.length;   // Characters outside the BMP (emoji) are surrogate pairs
+    }
+
+    /**
+     * Replace typographic characters (smart quotes, dashes, ...) with GSM-7 equivalents
+     * @param {string} text - Message text
+     * @returns {string} - Text with replacements applied
+     */
+    function transliterate(text) {
+        return Array.from(text, char => (Object.prototype.hasOwnProperty.call(TRANSLITERATIONS, char) ? TRANSLITERATIONS[char] : char)).join('');
+    }
+
+    /**
+     * Split characters into segments without breaking an escape sequence or a surrogate pair
+     * @param {string[]} chars - Code points of the message
+     * @param {string} encoding - 'GSM-7' or 'UCS-2'
+     * @param {number} size - Capacity of each segment
+     * @returns {number[]} - Used length of each segment
+     */
+    function fillSegments(chars, encoding, size) {
+        const segments = [0];
+        for (const char of chars) {
+            const length = characterLength(char, encoding);
+            if (segments[segments.length - 1] + length > size) {
+                segments.push(0);
+            }
+            segments[segments.length - 1] += length;
+        }
+        return segments;
+    }
+
+    /**
+     * Analyze a message text
+     * @param {string} text - Message text
+     * @param {Object} [options]
+     * @param {boolean} [options.transliterate] - Replace smart quotes, dashes, ... before analyzing
+     * @param {number} [options.recipients] - Number of recipients, for the billable segment count
+     * @param {number} [options.segmentPrice] - Price of one segment, for the cost estimate
+     * @returns {Object} - { text, transliterated, encoding, characters, length, segments, perSegment, remaining,
+     *                     unicodeCharacters, billableSegments, estimatedCost }
+     *                     length is in septets (GSM-7) or UTF-16 code units (UCS-2);
+     *                     unicodeCharacters lists the distinct characters that force UCS-2
+     */
+    function analyzeMessage(text, { transliterate: shouldTransliterate = false, recipients = 1, segmentPrice = null } = {}) {
+        const original = String(text || '');
+        const message = shouldTransliterate ? transliterate(original) : original;
+        const chars = Array.from(message);
+
+        const unicodeCharacters = [...new Set(chars.filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)))];
+        const encoding = unicodeCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+        const limits = LIMITS[encoding];
+
+        const length = chars.reduce((total, char) => total + characterLength(char, encoding), 0);
+        const segments = length <= limits.single ? [length] : fillSegments(chars, encoding, limits.multipart);
+        const perSegment = segments.length === 1 ? limits.single : limits.multipart;
+        const segmentCount = length === 0 ? 0 : segments.length;
+        const billableSegments = segmentCount * recipients;
+
+        return {
+            text: message,
+            transliterated: message !== original,
+            encoding,
+            characters: chars.length,
+            length,
+            segments: segmentCount,
+            perSegment,
+            remaining: perSegment - segments[segments.length - 1],
+            unicodeCharacters,
+            billableSegments,
+            estimatedCost: segmentPrice !== null && segmentPrice !== undefined
+                ? Math.round(billableSegments * segmentPrice * 10000) / 10000
+                : null
+        };
+    }
+
+    return {
+        analyzeMessage,
+        transliterate,
+        LIMITS
+    };
+}));
@@ -0,0 +1,191 @@
+/**
+ * Suppression List
+ * Numbers that must not be texted (opted out with STOP, or added manually).
+ * Inbound STOP/START/HELP keywords update the list automatically, and every
+ * send goes through a guard that refuses suppressed recipients.
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import CSV helpers for import/export
+const { parseCsv, stringifyCsv } = require('./csv');
+
+// Import normalized error classes
+const { SuppressedRecipientError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'suppressions' });
+
+// Standard opt-out / opt-in / help keywords (matched on the whole message, case-insensitive)
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+// Auto-replies sent for each keyword (override with SMS_STOP_REPLY, SMS_START_REPLY, SMS_HELP_REPLY)
+const DEFAULT_REPLIES = {
+    stop: 'You have been unsubscribed and will receive no further messages. Reply START to resubscribe.',
+    start: 'You have been resubscribed and will receive messages again. Reply STOP to unsubscribe.',
+    help: 'Reply STOP to unsubscribe or START to resubscribe. Msg & data rates may apply.'
+};
+
+/**
+ * Classify an inbound message body as a compliance keyword
+ * @param {string} body - Inbound message text
+ * @returns {string|null} - 'stop', 'start', 'help' or null for ordinary messages
+ */
+function detectKeyword(body) {
+    // Ignore surrounding whitespace and trailing punctuation ("Stop." / "STOP!")
+    const word = String(body || '').trim().replace(/[.!?]+$/, '').toUpperCase();
+    if (STOP_KEYWORDS.includes(word)) {
+        return 'stop';
+    }
+    if (START_KEYWORDS.includes(word)) {
+        return 'start';
+    }
+    if (HELP_KEYWORDS.includes(word)) {
+        return 'help';
+    }
+    return null;
+}
+
+/**
+ * Create the suppression list
+ * @param {Object} options
+ * @param {Function} options.normalizeNumber - Returns the E.164 form of a phone number, or null when it is invalid
+ * @param {Object} [options.collection] - Override the backing collection
+ * @returns {Object} - Suppression list
+ */
+function createSuppressionList({ normalizeNumber, collection = createCollection('suppressions') }) {
+    /**
+     * Look up the suppression entry for a number
+     * @param {string} number - Phone number in E.164 format
+     * @returns {Object|null} - Entry or null when the number may be texted
+     */
+    function get(number) {
+        return collection.find(entry => entry.number === number);
+    }
+
+    /**
+     * Add a number to the list (no-op when it is already suppressed)
+     * @param {string} number - Phone number in E.164 format
+     * @param {Object} [options] - { reason, source }
+     * @returns {Object} - { entry, created }
+     */
+    function add(number, { reason = 'manual', source = 'api' } = {}) {
+        const existing = get(number);
+        if (existing) {
+            return { entry: existing, created: false };
+        }
+        const entry = collection.insert({ number, reason, source });
+        logger.info('Number suppressed', { number, reason });
+        return { entry, created: true };
+    }
+
+    /**
+     * Remove a number from the list
+     * @param {string} number - Phone number in E.164 format
+     * @returns {boolean} - True when an entry was removed
+     */
+    function remove(number) {
+        const entry = get(number);
+        return entry ? collection.remove(entry.id) : false;
+    }
+
+    /**
+     * Apply an inbound message: STOP suppresses, START unsuppresses, HELP changes nothing
+     * @param {string} from - Sender of the inbound message
+     * @param {string} body - Inbound message text
+     * @returns {Object|null} - { keyword, reply } or null when the message is not a keyword
+     */
+    function handleInbound(from, body) {
+        const keyword = detectKeyword(body);
+        if (keyword === 'stop') {
+            add(from, { reason: 'STOP', source: 'inbound' });
+        } else if (keyword === 'start') {
+            remove(from);
+        }
+        if (!keyword) {
+            return null;
+        }
+        const reply = process.env[`SMS_${keyword.toUpperCase()}_REPLY`] || DEFAULT_REPLIES[keyword];
+        return { keyword, reply };
+    }
+
+    /**
+     * Import numbers from CSV text (column "number" or "phone", optional "reason")
+     * Numbers are normalized to E.164, so national formats match the numbers texted; the quote
+     * exportCsv() puts before +numbers is dropped, so an export can be imported again
+     * @param {string} text - CSV text with a header row
+     * @returns {Object} - { added, existing, invalid[] }
+     */
+    function importCsv(text) {
+        const result = { added: 0, existing: 0, invalid: [] };
+        for (const record of parseCsv(text)) {
+            const value = record.number || record.phone || record.phoneNumber || '';
+            const number = normalizeNumber(value.replace(/^'/, ''));
+            if (!number) {
+                result.invalid.push(value);
+                continue;
+            }
+            const { created } = add(number, { reason: record.reason || 'import', source: 'import' });
+            result[created ? 'added' : 'existing']++;
+        }
+        return result;
+    }
+
+    /**
+     * Export the list as CSV
+     * Reasons can come from API callers, so values a spreadsheet would evaluate are escaped
+     * @returns {string} - CSV text with number, reason, source, createdAt columns
+     */
+    function exportCsv() {
+        return stringifyCsv(list(), ['number', 'reason', 'source', 'createdAt'], { escapeFormulas: true });
+    }
+
+    /**
+     * List every suppressed number, most recent first
+     * @returns {Object[]} - Entries
+     */
+    function list() {
+        return collection.list().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return {
+        get,
+        isSuppressed: (number) => Boolean(get(number)),
+        add,
+        remove,
+        list,
+        handleInbound,
+        importCsv,
+        exportCsv
+    };
+}
+
+/**
+ * Wrap a messaging client so sends to suppressed numbers are refused
+ * @param {Object} messagingClient - Client to protect
+ * @param {Object} suppressionList - List from createSuppressionList()
+ * @returns {Object} - Client with the same interface
+ * @throws {SuppressedRecipientError} - From send() when any recipient is suppressed
+ */
+function createSuppressionGuard(messagingClient, suppressionList) {
+    return {
+        ...messagingClient,
+        async send(message, options) {
+            const suppressed = message.to.filter(number => suppressionList.isSuppressed(number));
+            if (suppressed.length > 0) {
+                throw new SuppressedRecipientError(suppressed);
+            }
+            return messagingClient.send(message, options);
+        }
+    };
+}
+
+module.exports = {
+    createSuppressionList,
+    createSuppressionGuard,
+    detectKeyword
+};
@@ -0,0 +1,150 @@
+/**
+ * Message Templates
+ * Reusable message bodies with {{variable}} placeholders, persisted in the data store.
+ */
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized error classes
+const { InvalidRequestError } = require('./errors');
+
+// Matches {{name}} placeholders (whitespace inside the braces is allowed)
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * List the variable names used by a template body
+ * @param {string} body - Template text
+ * @returns {string[]} - Unique placeholder names in order of appearance
+ */
+function extractVariables(body) {
+    const names = [];
+    for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+/**
+ * Replace {{name}} placeholders with values
+ * @param {string} body - Template text
+ * @param {Object} [variables] - Values keyed by placeholder name
+ * @returns {Object} - { body, missing } - missing lists placeholders without a value (left untouched in body)
+ */
+function renderTemplate(body, variables = {}) {
+    const missing = [];
+    const rendered = body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        // Own properties only: {{constructor}} or {{toString}} must not pick up Object.prototype
+        const value = variables && Object.hasOwn(variables, name) ? variables[name] : undefined;
+        if (value === undefined || value === null || value === '') {
+            if (!missing.includes(name)) {
+                missing.push(name);
+            }
+            return placeholder;
+        }
+        return String(value);
+    });
+    return { body: rendered, missing };
+}
+
+/**
+ * Render a template and fail when any variable is missing
+ * @param {string} body - Template text
+ * @param {Object} [variables] - Values keyed by placeholder name
+ * @returns {string} - Rendered text
+ * @throws {InvalidRequestError} - code MISSING_VARIABLES, details.missing lists the names
+ */
+function renderTemplateStrict(body, variables) {
+    const result = renderTemplate(body, variables);
+    if (result.missing.length > 0) {
+        throw new InvalidRequestError(`Missing template variables: ${result.missing.join(', ')}`, {
+            code: 'MISSING_VARIABLES',
+            details: { missing: result.missing }
+        });
+    }
+    return result.body;
+}
+
+/**
+ * Validate template fields from an API request
+ * @param {Object} fields - { name, body, description }
+ * @param {boolean} partial - True for updates, where every field is optional
+ * @throws {InvalidRequestError} - If a field is missing or has the wrong type
+ */
+function validateTemplateFields({ name, body, description }, partial) {
+    if (!partial && (!name || !body)) {
+        throw new InvalidRequestError('Missing required fields: name, body');
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw new InvalidRequestError('Template name must be a non-empty string');
+    }
+    if (body !== undefined && (typeof body !== 'string' || !body.trim())) {
+        throw new InvalidRequestError('Template body must be a non-empty string');
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new InvalidRequestError('Template description must be a string');
+    }
+}
+
+/**
+ * Create the template store
+ * @param {Object} [options] - { collection } - override the backing collection
+ * @returns {Object} - Template store with CRUD methods
+ */
+function createTemplateStore({ collection = createCollection('templates') } = {}) {
+    // Template names are unique (case-insensitive) so the UI picker is unambiguous
+    function assertNameAvailable(name, exceptId) {
+        const existing = collection.find(template =>
+            template.name.toLowerCase() === name.trim().toLowerCase() && template.id !== exceptId);
+        if (existing) {
+            throw new InvalidRequestError(`A template named "${name.trim()}" already exists`, { code: 'DUPLICATE_TEMPLATE' });
+        }
+    }
+
+    return {
+        list: () => collection.list().sort((a, b) => a.name.localeCompare(b.name)),
+
+        get: (id) => collection.get(id),
+
+        create(fields) {
+            validateTemplateFields(fields, false);
+            assertNameAvailable(fields.name);
+            return collection.insert({
+                name: fields.name.trim(),
+                body: fields.body,
+                description: fields.description || null,
+                variables: extractVariables(fields.body)
+            });
+        },
+
+        update(id, fields) {
+            validateTemplateFields(fields, true);
+            const template = collection.get(id);
+            if (!template) {
+                return null;
+            }
+            if (fields.name !== undefined) {
+                assertNameAvailable(fields.name, id);
+            }
+
+            const body = fields.body !== undefined ? fields.body : template.body;
+            return collection.update(id, {
+                name: fields.name !== undefined ? fields.name.trim() : template.name,
+                body,
+                description: fields.description !== undefined ? fields.description : template.description,
+                variables: extractVariables(body)
+            });
+        },
+
+        remove: (id) => collection.remove(id)
+    };
+}
+
+module.exports = {
+    createTemplateStore,
+    extractVariables,
+    renderTemplate,
+    renderTemplateStrict
+};
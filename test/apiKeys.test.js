@@ -0,0 +1,81 @@
+/**
+ * API key store tests (apiKeys.js)
+ * Each test gets its own collection in a temporary data directory.
+ */
+
+// Import Node.js modules for the temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createCollection } = require('../dataStore');
+const { normalizePhoneNumber } = require('../phoneNumbers');
+const { createApiKeyStore, hasScope, hashApiKey } = require('../apiKeys');
+
+let dataDir;
+let collection;
+let apiKeys;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-api-keys-'));
+    collection = createCollection('apiKeys', { dataDir });
+    apiKeys = createApiKeyStore({
+        normalizeNumber: number => normalizePhoneNumber(number, { defaultRegion: 'US' }),
+        collection
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('hasScope', () => {
+    test('grants a scope directly or through admin', () => {
+        expect(hasScope(['sms:read'], 'sms:read')).toBe(true);
+        expect(hasScope(['sms:read'], 'sms:send')).toBe(false);
+        expect(hasScope(['sms:send'], 'admin')).toBe(false);
+        expect(hasScope(['admin'], 'sms:send')).toBe(true);
+    });
+});
+
+describe('create', () => {
+    test('stores only the hash and normalizes the allowed senders', () => {
+        const { key, apiKey } = apiKeys.create({
+            name: ' billing ',
+            userId: 'user-1',
+            scopes: ['sms:send', 'sms:send'],
+            allowedSenders: ['(562) 579-1776', '+15625791776']
+        });
+
+        expect(key).toMatch(/^gsms_/);
+        expect(apiKey).toMatchObject({ name: 'billing', scopes: ['sms:send'], allowedSenders: ['+15625791776'] });
+        expect(apiKey.keyHash).toBeUndefined();
+        expect(collection.get(apiKey.id).keyHash).toBe(hashApiKey(key));
+        expect(JSON.stringify(collection.list())).not.toContain(key);
+    });
+
+    test.each([
+        [{ name: '', scopes: ['sms:send'] }, 'name is required'],
+        [{ name: 'x', scopes: [] }, 'scopes'],
+        [{ name: 'x', scopes: ['sms:delete'] }, 'scopes'],
+        [{ name: 'x', scopes: ['sms:send'], allowedSenders: ['not-a-number'] }, 'allowedSenders']
+    ])('refuses %j', (fields, message) => {
+        expect(() => apiKeys.create({ userId: 'user-1', ...fields })).toThrow(message);
+    });
+});
+
+describe('authenticate and revoke', () => {
+    test('accepts the issued key until it is revoked', () => {
+        const { key, apiKey } = apiKeys.create({ name: 'reporting', userId: 'user-1', scopes: ['sms:read'] });
+
+        expect(apiKeys.authenticate(key)).toMatchObject({ id: apiKey.id, lastUsedAt: expect.any(String) });
+        expect(apiKeys.authenticate(`${key}x`)).toBeNull();
+        expect(apiKeys.authenticate('not-a-key')).toBeNull();
+
+        expect(apiKeys.revoke(apiKey.id).revokedAt).toEqual(expect.any(String));
+        expect(apiKeys.authenticate(key)).toBeNull();
+        expect(apiKeys.list()).toHaveLength(1);
+    });
+});
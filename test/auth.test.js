@@ -0,0 +1,133 @@
+/**
+ * Token provider tests (auth.js)
+ * A local HTTP server plays the GoTo token endpoint, so refresh failures can be answered
+ * with whatever status the test needs.
+ */
+
+// Import Node.js http module for the mock token endpoint
+const http = require('http');
+
+let server;
+let tokenResponse;
+let auth;
+let createTokenStore;
+let createMemoryBackend;
+
+/**
+ * Create a provider whose access token is expired but whose refresh token is stored
+ * @returns {Object} - Token provider from createTokenProvider()
+ */
+function expiredProvider() {
+    const tokenStore = createTokenStore({ backend: createMemoryBackend() });
+    tokenStore.accessToken = 'old-access-token';
+    tokenStore.refreshToken = 'stored-refresh-token';
+    tokenStore.expiresAt = Date.now() - 1000;
+    tokenStore.persist();
+    return auth.createTokenProvider({ tokenStore, grantType: 'refresh_token' });
+}
+
+beforeAll(async () => {
+    // The token endpoint answers with the status and body set by each test
+    server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(tokenResponse.status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(tokenResponse.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(process.env, {
+        OAUTH_CLIENT_ID: 'test-client',
+        OAUTH_CLIENT_SECRET: 'test-secret',
+        OAUTH_SERVICE_URL: `http://127.0.0.1:${server.address().port}`,
+        TOKEN_STORE: 'memory',
+        LOG_LEVEL: 'silent'
+    });
+    auth = require('../auth');
+    ({ createTokenStore, createMemoryBackend } = require('../tokenStore'));
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('refreshAccessToken', () => {
+    test('stores the new tokens', async () => {
+        tokenResponse = { status: 200, body: { access_token: 'new-access-token', refresh_token: 'rotated', expires_in: 3600 } };
+        const provider = expiredProvider();
+
+        await expect(provider.getAccessToken()).resolves.toBe('new-access-token');
+        expect(provider.tokenStore.refreshToken).toBe('rotated');
+    });
+
+    test('keeps the tokens when the token endpoint answers 503', async () => {
+        tokenResponse = { status: 503, body: { error: 'temporarily_unavailable' } };
+        const provider = expiredProvider();
+
+        await expect(provider.refreshAccessToken()).rejects.toThrow();
+        expect(provider.tokenStore.refreshToken).toBe('stored-refresh-token');
+        expect(provider.tokenStore.accessToken).toBe('old-access-token');
+    });
+
+    test('keeps the tokens when the token endpoint is unreachable', async () => {
+        const tokenStore = createTokenStore({ backend: createMemoryBackend() });
+        tokenStore.refreshToken = 'stored-refresh-token';
+        const provider = auth.createTokenProvider({ tokenStore, grantType: 'refresh_token' });
+        const { oauthClient } = auth;
+        const createToken = jest.spyOn(oauthClient, 'createToken').mockReturnValue({
+            refresh: () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))
+        });
+
+        await expect(provider.refreshAccessToken()).rejects.toThrow('ECONNREFUSED');
+        expect(provider.tokenStore.refreshToken).toBe('stored-refresh-token');
+        createToken.mockRestore();
+    });
+
+    test('clears the tokens when the refresh token is rejected (invalid_grant)', async () => {
+        tokenResponse = { status: 400, body: { error: 'invalid_grant' } };
+        const provider = expiredProvider();
+
+        await expect(provider.refreshAccessToken()).rejects.toThrow();
+        expect(provider.tokenStore.refreshToken).toBeNull();
+        expect(provider.tokenStore.accessToken).toBeNull();
+    });
+
+    test('shares one request between concurrent callers', async () => {
+        tokenResponse = { status: 200, body: { access_token: 'shared-token', expires_in: 3600 } };
+        const provider = expiredProvider();
+
+        const [first, second] = await Promise.all([provider.refreshAccessToken(), provider.refreshAccessToken()]);
+        expect(first).toBe('shared-token');
+        expect(second).toBe('shared-token');
+    });
+});
+
+describe('getAccessToken', () => {
+    test('picks up tokens another process stored', async () => {
+        const backend = createMemoryBackend();
+        const provider = auth.createTokenProvider({ tokenStore: createTokenStore({ backend }).load(), grantType: 'refresh_token' });
+
+        // e.g. the CLI's "auth login" writing the shared store
+        const other = createTokenStore({ backend });
+        other.accessToken = 'from-other-process';
+        other.expiresAt = Date.now() + 3600 * 1000;
+        other.persist();
+
+        await expect(provider.getAccessToken()).resolves.toBe('from-other-process');
+    });
+
+    test('does not read the store again while it is unchanged', async () => {
+        tokenResponse = { status: 503, body: { error: 'temporarily_unavailable' } };
+        const backend = createMemoryBackend();
+        const tokenStore = createTokenStore({ backend }).load();
+        tokenStore.refreshToken = 'stored-refresh-token';
+        tokenStore.persist();
+        const provider = auth.createTokenProvider({ tokenStore, grantType: 'refresh_token' });
+        const read = jest.spyOn(backend, 'read');
+
+        await expect(provider.getAccessToken()).rejects.toThrow();
+        await expect(provider.getAccessToken()).rejects.toThrow();
+        expect(read).not.toHaveBeenCalled();
+    });
+});
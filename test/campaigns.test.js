@@ -0,0 +1,92 @@
+/**
+ * Bulk campaign tests (campaigns.js)
+ * Rows are validated when the campaign is created; the messaging client is a recording fake,
+ * so nothing leaves the process.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createCampaignManager, summarizeCampaign } = require('../campaigns');
+const { analyzeMessage } = require('../smsEncoding');
+const { InvalidRequestError } = require('../errors');
+
+const SENDER = '+15625791776';
+
+/**
+ * Create a campaign manager whose client records the messages it is asked to send
+ * @param {Object} [options] - Extra createCampaignManager options
+ * @returns {Object} - { manager, sent }
+ */
+function createManager(options = {}) {
+    const sent = [];
+    const manager = createCampaignManager({
+        messagingClient: {
+            send: async (message) => {
+                sent.push(message);
+                return { id: `msg-${sent.length}` };
+            }
+        },
+        // Accept +1 numbers with ten digits, nothing else
+        normalizeNumber: number => (/^\+1\d{10}$/.test(number) ? number : null),
+        ratePerMinute: 60000,
+        ...options
+    });
+    return { manager, sent };
+}
+
+/**
+ * Wait until a campaign has left the running state
+ * @param {Object} manager - Campaign manager
+ * @param {string} id - Campaign ID
+ */
+async function settle(manager, id) {
+    for (let i = 0; i < 100 && manager.getCampaign(id).status === 'running'; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('createCampaign', () => {
+    test('renders each row and sends the valid ones', async () => {
+        const { manager, sent } = createManager();
+        const campaign = manager.createCampaign({
+            from: SENDER,
+            message: 'Hi {{firstName}}',
+            csv: 'phone,firstName\n+17143059601,Ann\nnot-a-number,Bob\n+17143059601,Ann\n+17143059602\n'
+        });
+
+        expect(campaign.rows.map(row => row.status)).toEqual(['pending', 'invalid', 'duplicate', 'invalid']);
+        expect(campaign.rows[3]).toMatchObject({ error: 'MISSING_VARIABLES', missing: ['firstName'] });
+
+        await settle(manager, campaign.id);
+        expect(sent).toEqual([{ from: SENDER, to: ['+17143059601'], body: 'Hi Ann' }]);
+        expect(summarizeCampaign(manager.getCampaign(campaign.id)).status).toBe('completed');
+    });
+
+    test('reports rows whose rendered message is over the segment limit', async () => {
+        const checkMessageLength = (body) => {
+            const analysis = analyzeMessage(body);
+            if (analysis.segments > 1) {
+                throw new InvalidRequestError('Too long', { code: 'MESSAGE_TOO_LONG', details: { segments: analysis.segments } });
+            }
+        };
+        const { manager, sent } = createManager({ checkMessageLength });
+        const campaign = manager.createCampaign({
+            from: SENDER,
+            message: 'Note: {{note}}',
+            csv: `phone,note\n+17143059601,short\n+17143059602,${'x'.repeat(160)}\n`
+        });
+
+        expect(campaign.rows[0].status).toBe('pending');
+        expect(campaign.rows[1]).toMatchObject({ status: 'invalid', error: 'MESSAGE_TOO_LONG', segments: 2 });
+
+        await settle(manager, campaign.id);
+        expect(sent).toHaveLength(1);
+    });
+
+    test('refuses an invalid sender', () => {
+        const { manager } = createManager();
+
+        expect(() => manager.createCampaign({ from: '123', message: 'Hi', csv: 'phone\n+17143059601\n' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_NUMBER' }));
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Command-line interface tests (bin/goto-sms.js)
+ * The CLI runs as a child process with a memory token store and a temporary data directory,
+ * so nothing reaches GoTo; stdout must carry only the command output.
+ */
+
+// Import Node.js modules for the child process and temporary data directory
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'goto-sms.js');
+
+let dataDir;
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [options] - { input, env } - stdin text and extra environment variables
+ * @returns {Object} - { status, stdout, stderr }
+ */
+function run(args, { input = '', env = {} } = {}) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        input,
+        encoding: 'utf8',
+        timeout: 30000,
+        env: {
+            PATH: process.env.PATH,
+            OAUTH_CLIENT_ID: 'test-client',
+            OAUTH_CLIENT_SECRET: 'test-secret',
+            TOKEN_STORE: 'memory',
+            DATA_DIR: dataDir,
+            PHONE_DEFAULT_REGION: 'US',
+            ...env
+        }
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-cli-'));
+});
+
+afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('goto-sms', () => {
+    test('prints the usage with --help', () => {
+        const { status, stdout } = run(['--help']);
+
+        expect(status).toBe(0);
+        expect(stdout).toMatch(/^Usage: goto-sms/);
+    });
+
+    test('exits with 2 on an unknown command', () => {
+        const { status, stdout, stderr } = run(['resend']);
+
+        expect(status).toBe(2);
+        expect(stdout).toBe('');
+        expect(stderr).toContain('Unknown command: resend');
+    });
+
+    test('prints only JSON on stdout for auth status --json', () => {
+        const { status, stdout } = run(['auth', 'status', '--json']);
+
+        expect(status).toBe(1);
+        expect(JSON.parse(stdout)).toMatchObject({ connected: false, store: 'memory' });
+    });
+
+    test('refuses an invalid recipient before sending', () => {
+        const { status, stderr } = run(['send', '--from', '+15625791776', '--to', '555-0100', '--message', 'Hi']);
+
+        expect(status).toBe(2);
+        expect(stderr).toContain('--to 555-0100');
+    });
+
+    test('refuses a message over SMS_MAX_SEGMENTS read from stdin', () => {
+        const { status, stdout } = run(['send', '--from', '+15625791776', '--to', '(714) 305-9601', '--json'], {
+            input: `${'a'.repeat(161)}\n`,
+            env: { SMS_MAX_SEGMENTS: '1' }
+        });
+
+        expect(status).toBe(1);
+        expect(JSON.parse(stdout)).toMatchObject({ code: 'MESSAGE_TOO_LONG', details: { segments: 2, maxSegments: 1 } });
+    });
+
+    test('lists an empty history as JSON without writing to stderr', () => {
+        const { status, stdout, stderr } = run(['history', '--json']);
+
+        expect(status).toBe(0);
+        expect(JSON.parse(stdout)).toMatchObject({ messages: [] });
+        expect(stderr).toBe('');
+    });
+});
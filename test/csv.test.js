@@ -0,0 +1,51 @@
+/**
+ * CSV helper tests (csv.js)
+ */
+
+const { parseRows, parseCsv, stringifyCsv } = require('../csv');
+
+describe('parseCsv', () => {
+    test('reads quoted fields, escaped quotes, CRLF line endings and a byte order mark', () => {
+        expect(parseCsv('\uFEFFphone,note\r\n+15552345678,"Hi, ""Ann"""\r\n\r\n+15559876543,"two\nlines"\r\n'))
+            .toEqual([
+                { phone: '+15552345678', note: 'Hi, "Ann"' },
+                { phone: '+15559876543', note: 'two\nlines' }
+            ]);
+    });
+
+    test('fills missing cells with empty strings', () => {
+        expect(parseCsv('phone,firstName\n+15552345678')).toEqual([{ phone: '+15552345678', firstName: '' }]);
+    });
+
+    test('returns no records for empty text', () => {
+        expect(parseCsv('')).toEqual([]);
+        expect(parseRows('\n\n')).toEqual([]);
+    });
+});
+
+describe('stringifyCsv', () => {
+    test('quotes delimiters, quotes and newlines', () => {
+        expect(stringifyCsv([{ a: 'x,y', b: 'say "hi"', c: null }], ['a', 'b', 'c']))
+            .toBe('a,b,c\r\n"x,y","say ""hi""",\r\n');
+    });
+
+    test('leaves formulas alone unless asked to escape them', () => {
+        expect(stringifyCsv([{ body: '=1+1' }], ['body'])).toBe('body\r\n=1+1\r\n');
+    });
+
+    test('escapes every character a spreadsheet would evaluate', () => {
+        const records = ['=SUM(A1)', '+15552345678', '-2', '@cmd', '\tx', '\rx', 'plain', 'a=b'].map(body => ({ body }));
+
+        expect(stringifyCsv(records, ['body'], { escapeFormulas: true }).split('\r\n').slice(1, -1))
+            .toEqual(["'=SUM(A1)", "'+15552345678", "'-2", "'@cmd", "'\tx", '"\'\rx"', 'plain', 'a=b']);
+    });
+
+    test('keeps numbers as they are when escaping formulas', () => {
+        expect(stringifyCsv([{ count: -1 }], ['count'], { escapeFormulas: true })).toBe('count\r\n-1\r\n');
+    });
+
+    test('round-trips through parseCsv', () => {
+        const records = [{ name: 'Ann, "A"', notes: 'line\nbreak' }];
+        expect(parseCsv(stringifyCsv(records, ['name', 'notes']))).toEqual(records);
+    });
+});
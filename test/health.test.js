@@ -0,0 +1,104 @@
+/**
+ * Health check tests (health.js)
+ * A local HTTP server plays a reachable upstream; a closed port plays an unreachable one.
+ */
+
+// Import Node.js http module for the mock upstream
+const http = require('http');
+
+const { createReadinessCheck, tokenStatus } = require('../health');
+
+let server;
+let upstreamUrl;
+let closedUrl;
+let requests;
+
+/**
+ * Create a token provider stand-in
+ * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
+ * @param {string} [grantType] - refresh_token or client_credentials
+ * @returns {Object} - { tokenStore, grantType }
+ */
+function fakeProvider(tokens, grantType = 'refresh_token') {
+    const tokenStore = {
+        accessToken: null,
+        refreshToken: null,
+        expiresAt: null,
+        ...tokens,
+        isTokenValid() {
+            return Boolean(this.accessToken && this.expiresAt && Date.now() < this.expiresAt);
+        }
+    };
+    return { tokenStore, grantType };
+}
+
+beforeAll(async () => {
+    // Any HTTP answer counts as reachable, even an error status
+    server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(401);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    closedUrl = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise(resolve => closed.close(resolve));
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = 0;
+});
+
+describe('tokenStatus', () => {
+    test('reports valid, refreshable and missing tokens', () => {
+        expect(tokenStatus(fakeProvider({ accessToken: 'a', expiresAt: Date.now() + 120 * 1000 })))
+            .toMatchObject({ status: 'valid', expiresInSeconds: expect.any(Number) });
+        expect(tokenStatus(fakeProvider({ accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() - 1000 })))
+            .toMatchObject({ status: 'refreshable', expiresInSeconds: null });
+        expect(tokenStatus(fakeProvider({}, 'client_credentials')).status).toBe('refreshable');
+        expect(tokenStatus(fakeProvider({})).status).toBe('missing');
+    });
+});
+
+describe('createReadinessCheck', () => {
+    test('is ready when every upstream answers, and caches the result', async () => {
+        const readiness = createReadinessCheck({ tokenProvider: fakeProvider({}), upstreams: [{ name: 'goto', url: upstreamUrl }] });
+
+        const result = await readiness.check();
+        expect(result).toMatchObject({
+            ready: true,
+            checks: { token: { status: 'missing', required: false }, upstreams: [{ name: 'goto', reachable: true, status: 401 }] }
+        });
+
+        await readiness.check();
+        expect(requests).toBe(1);
+    });
+
+    test('is not ready when an upstream is unreachable', async () => {
+        const readiness = createReadinessCheck({
+            tokenProvider: fakeProvider({}),
+            upstreams: [{ name: 'goto', url: upstreamUrl }, { name: 'oauth', url: closedUrl }]
+        });
+
+        const result = await readiness.check();
+        expect(result.ready).toBe(false);
+        expect(result.checks.upstreams[1]).toMatchObject({ name: 'oauth', reachable: false, error: 'ECONNREFUSED' });
+    });
+
+    test('needs a token only when asked to', async () => {
+        const readiness = createReadinessCheck({
+            tokenProvider: fakeProvider({}),
+            upstreams: [{ name: 'goto', url: upstreamUrl }],
+            requireToken: true
+        });
+
+        expect(await readiness.check()).toMatchObject({ ready: false, checks: { token: { status: 'missing', required: true } } });
+    });
+});
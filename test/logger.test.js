@@ -0,0 +1,27 @@
+/**
+ * Structured logger tests (logger.js)
+ */
+
+const { redact } = require('../logger');
+
+describe('redact', () => {
+    test('masks E.164 numbers', () => {
+        expect(redact('Sent to +15625791776')).toBe('Sent to +1******1776');
+    });
+
+    test('masks national formats', () => {
+        expect(redact('From (562) 579-1776, 562-579-1776 and 562.579.1776'))
+            .toBe('From (***) ***-1776, ***-***-1776 and ***.***.1776');
+        expect(redact('Reply from 5625791776')).toBe('Reply from ******1776');
+    });
+
+    test('leaves dates, counts and IDs alone', () => {
+        const text = 'Retry 2 of 5 at 2026-10-19T10:20:30.000Z after 1500 ms (550e8400-e29b-41d4-a716-446655440000)';
+        expect(redact(text)).toBe(text);
+    });
+
+    test('redacts sensitive fields and bearer tokens', () => {
+        expect(redact({ accessToken: 'abc', header: 'Bearer abc.def', to: ['+17143059601'] }))
+            .toEqual({ accessToken: '[REDACTED]', header: 'Bearer [REDACTED]', to: ['+1******9601'] });
+    });
+});
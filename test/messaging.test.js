@@ -0,0 +1,123 @@
+/**
+ * GoTo messaging client tests (messaging.js)
+ * A local HTTP server plays the GoTo messaging API, answering each request with the next
+ * queued response, so the retry policy can be checked request by request.
+ */
+
+// Import Node.js http module for the mock messaging API
+const http = require('http');
+
+let server;
+let baseUrl;
+let responses;
+let hits;
+let createMessagingClient;
+
+/**
+ * Create a client against the mock API with fast retries
+ * @param {Object} [options] - Extra createMessagingClient options
+ * @returns {Object} - Messaging client
+ */
+function createClient(options = {}) {
+    return createMessagingClient({
+        getAccessToken: async () => 'test-token',
+        baseUrl,
+        maxRetries: 2,
+        retryBaseDelayMs: 1,
+        ...options
+    });
+}
+
+const MESSAGE = { from: '+15625791776', to: ['+17143059601'], body: 'Hello' };
+
+beforeAll(async () => {
+    // Each request takes the next queued response: { status, headers, body, delayMs }
+    server = http.createServer((req, res) => {
+        hits++;
+        req.resume();
+        const { status = 200, headers = {}, body = { id: 'msg-1' }, delayMs = 0 } = responses.shift() || {};
+        setTimeout(() => {
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        }, delayMs);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.LOG_LEVEL = 'silent';
+    ({ createMessagingClient } = require('../messaging'));
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    responses = [];
+    hits = 0;
+});
+
+describe('send', () => {
+    test('does not resend after a timeout', async () => {
+        responses = [{ delayMs: 200 }];
+
+        await expect(createClient({ timeoutMs: 50 }).send(MESSAGE)).rejects.toMatchObject({ code: 'UPSTREAM_ERROR' });
+        expect(hits).toBe(1);
+    });
+
+    test('does not resend after a 5xx without Retry-After', async () => {
+        responses = [{ status: 503 }, { status: 200 }];
+
+        await expect(createClient().send(MESSAGE)).rejects.toMatchObject({ code: 'UPSTREAM_ERROR' });
+        expect(hits).toBe(1);
+    });
+
+    test('resends after a 503 or 429 with Retry-After', async () => {
+        responses = [
+            { status: 503, headers: { 'retry-after': '0' } },
+            { status: 429, headers: { 'retry-after': '0' } },
+            { status: 200, body: { id: 'msg-2' } }
+        ];
+
+        await expect(createClient().send(MESSAGE)).resolves.toMatchObject({ id: 'msg-2' });
+        expect(hits).toBe(3);
+    });
+
+    test('gives up when Retry-After is longer than the longest backoff', async () => {
+        responses = [{ status: 429, headers: { 'retry-after': '30' } }, { status: 200 }];
+
+        await expect(createClient().send(MESSAGE)).rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 30 });
+        expect(hits).toBe(1);
+    });
+
+    test('retries when the connection is refused', async () => {
+        // Reserve a port, then close it so nothing listens there
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+        const getAccessToken = jest.fn(async () => 'test-token');
+
+        const client = createClient({ baseUrl: `http://127.0.0.1:${port}`, getAccessToken });
+
+        await expect(client.send(MESSAGE)).rejects.toMatchObject({ code: 'UPSTREAM_ERROR' });
+        expect(getAccessToken).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('getMessage', () => {
+    test('retries 5xx responses', async () => {
+        responses = [{ status: 503 }, { status: 500 }, { status: 200, body: { id: 'msg-1', status: 'DELIVERED' } }];
+
+        await expect(createClient().getMessage('msg-1')).resolves.toEqual({ id: 'msg-1', status: 'DELIVERED' });
+        expect(hits).toBe(3);
+    });
+
+    test('retries a timeout', async () => {
+        responses = [{ delayMs: 200 }, { status: 200, body: { id: 'msg-1', status: 'SENT' } }];
+
+        await expect(createClient({ timeoutMs: 50 }).getMessage('msg-1')).resolves.toEqual({ id: 'msg-1', status: 'SENT' });
+        expect(hits).toBe(2);
+    });
+});
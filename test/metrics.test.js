@@ -0,0 +1,57 @@
+/**
+ * Metrics tests (metrics.js)
+ * Metrics register in one module-level registry, so each test uses its own metric names.
+ */
+
+const { createCounter, createHistogram, renderMetrics, createInstrumentedClient } = require('../metrics');
+
+describe('createCounter', () => {
+    test('keeps one series per label set, ignoring undeclared labels', () => {
+        const counter = createCounter({ name: 'test_events_total', help: 'Test events', labelNames: ['kind'] });
+        counter.inc({ kind: 'a', extra: 'dropped' });
+        counter.inc({ kind: 'a' }, 2);
+        counter.inc({ kind: 'say "hi"' });
+
+        const text = renderMetrics();
+        expect(text).toContain('# HELP test_events_total Test events\n# TYPE test_events_total counter\n');
+        expect(text).toContain('test_events_total{kind="a"} 3\n');
+        expect(text).toContain('test_events_total{kind="say \\"hi\\""} 1\n');
+    });
+});
+
+describe('createHistogram', () => {
+    test('counts observations into cumulative buckets', () => {
+        const histogram = createHistogram({ name: 'test_duration_seconds', help: 'Test durations', labelNames: ['op'], buckets: [0.1, 1] });
+        histogram.observe({ op: 'send' }, 0.05);
+        histogram.observe({ op: 'send' }, 0.5);
+        histogram.observe({ op: 'send' }, 5);
+
+        const text = renderMetrics();
+        expect(text).toContain('test_duration_seconds_bucket{op="send",le="0.1"} 1\n');
+        expect(text).toContain('test_duration_seconds_bucket{op="send",le="1"} 2\n');
+        expect(text).toContain('test_duration_seconds_bucket{op="send",le="+Inf"} 3\n');
+        expect(text).toContain('test_duration_seconds_sum{op="send"} 5.55\n');
+        expect(text).toContain('test_duration_seconds_count{op="send"} 3\n');
+    });
+});
+
+describe('createInstrumentedClient', () => {
+    test('counts sends, recipients and failures by error code', async () => {
+        const client = createInstrumentedClient({
+            send: async (message) => {
+                if (message.body === 'fail') {
+                    throw Object.assign(new Error('Rejected'), { code: 'INVALID_NUMBER' });
+                }
+                return { id: 'msg-1' };
+            }
+        });
+
+        await client.send({ to: ['+17143059601', '+17143059602'], body: 'Hi' }, { source: 'metrics-test' });
+        await expect(client.send({ to: ['+17143059601'], body: 'fail' }, { source: 'metrics-test' })).rejects.toThrow('Rejected');
+
+        const text = renderMetrics();
+        expect(text).toContain('sms_sends_total{source="metrics-test"} 1\n');
+        expect(text).toContain('sms_recipients_total{source="metrics-test"} 2\n');
+        expect(text).toContain('sms_send_failures_total{source="metrics-test",reason="INVALID_NUMBER"} 1\n');
+    });
+});
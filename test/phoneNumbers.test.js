@@ -0,0 +1,67 @@
+/**
+ * Phone number parsing tests (phoneNumbers.js)
+ */
+
+const { parsePhoneNumber, normalizePhoneNumber, isValidE164, validatePhoneFields } = require('../phoneNumbers');
+
+const US = { defaultRegion: 'US' };
+
+describe('parsePhoneNumber', () => {
+    test.each([
+        ['(562) 579-1776'],
+        ['562-579-1776'],
+        ['562.579.1776'],
+        ['1 562 579 1776'],
+        ['+1 562 579 1776'],
+        ['011 1 562 579 1776'],
+        ['tel:+15625791776']
+    ])('reads %s as +15625791776 in the US', (input) => {
+        expect(parsePhoneNumber(input, US)).toMatchObject({ valid: true, e164: '+15625791776', region: 'US', countryCode: '1' });
+    });
+
+    test('reads national numbers with a trunk prefix in other regions', () => {
+        expect(parsePhoneNumber('07700 900123', { defaultRegion: 'GB' })).toMatchObject({ e164: '+447700900123', type: 'mobile' });
+        expect(parsePhoneNumber('06 12 34 56 78', { defaultRegion: 'FR' })).toMatchObject({ e164: '+33612345678', type: 'mobile' });
+    });
+
+    test('reads international numbers whatever the default region', () => {
+        expect(parsePhoneNumber('+44 7700 900123', US)).toMatchObject({ e164: '+447700900123', region: 'GB' });
+        expect(parsePhoneNumber('0044 7700 900123', US).e164).toBe('+447700900123');
+    });
+
+    test('classifies toll-free numbers', () => {
+        expect(parsePhoneNumber('(800) 555-0100', US).type).toBe('toll_free');
+    });
+
+    test.each([
+        ['', 'REQUIRED'],
+        ['562-579-1776 ext 2', 'INVALID_CHARACTERS'],
+        ['579-1776', 'TOO_SHORT'],
+        ['(562) 579-17761', 'TOO_LONG'],
+        ['(062) 579-1776', 'INVALID_NUMBER']
+    ])('refuses %j with %s', (input, code) => {
+        expect(parsePhoneNumber(input, US)).toMatchObject({ valid: false, e164: null, error: { code } });
+    });
+
+    test('needs a country code without a default region', () => {
+        expect(parsePhoneNumber('562-579-1776').error.code).toBe('MISSING_COUNTRY_CODE');
+    });
+});
+
+describe('normalizePhoneNumber and isValidE164', () => {
+    test('return E.164 only for valid numbers', () => {
+        expect(normalizePhoneNumber('562-579-1776', US)).toBe('+15625791776');
+        expect(normalizePhoneNumber('not a number', US)).toBeNull();
+        expect(isValidE164('+15625791776')).toBe(true);
+        expect(isValidE164('15625791776')).toBe(false);
+    });
+});
+
+describe('validatePhoneFields', () => {
+    test('reports every invalid number with its field', () => {
+        const { values, errors } = validatePhoneFields({ from: '562-579-1776', to: ['714-305-9601', 'x'] }, US);
+
+        expect(values).toEqual({ from: '+15625791776', to: ['+17143059601', null] });
+        expect(errors).toEqual([expect.objectContaining({ field: 'to[1]', value: 'x', code: 'INVALID_CHARACTERS' })]);
+    });
+});
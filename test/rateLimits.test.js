@@ -0,0 +1,107 @@
+/**
+ * Rate limit and sender quota tests (rateLimits.js)
+ * The clock is faked so refills and quota windows can be stepped through.
+ */
+
+// Import Node.js modules for the temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createCollection } = require('../dataStore');
+const { RateLimitedError } = require('../errors');
+const { createTokenBucketLimiter, createSenderQuota, createSendLimitGuard } = require('../rateLimits');
+
+const SENDER = '+15625791776';
+
+let dataDir;
+
+/**
+ * Create a quota tracker backed by the test's data directory
+ * @param {Object} limits - { daily, monthly }
+ * @returns {Object} - Tracker from createSenderQuota()
+ */
+function createQuota(limits) {
+    return createSenderQuota({ ...limits, collection: createCollection('senderUsage', { dataDir }) });
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-31T23:59:00Z') });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-rate-limits-'));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('createTokenBucketLimiter', () => {
+    test('allows a burst of capacity requests, then refills over time', () => {
+        const limiter = createTokenBucketLimiter({ perMinute: 60, capacity: 2 });
+
+        expect(limiter.take('client')).toMatchObject({ allowed: true, limit: 2, remaining: 1 });
+        expect(limiter.take('client')).toMatchObject({ allowed: true, remaining: 0 });
+        expect(limiter.take('client')).toMatchObject({ allowed: false, retryAfter: 1 });
+
+        // Keys have their own buckets
+        expect(limiter.take('other').allowed).toBe(true);
+
+        jest.advanceTimersByTime(1000);
+        expect(limiter.take('client').allowed).toBe(true);
+    });
+});
+
+describe('createSenderQuota', () => {
+    test('refuses a send over the daily quota until the UTC day rolls over', () => {
+        const quota = createQuota({ daily: 3 });
+        quota.reserve(SENDER, 2);
+
+        expect(() => quota.reserve(SENDER, 2)).toThrow(expect.objectContaining({
+            code: 'QUOTA_EXCEEDED',
+            retryAfter: 60,
+            details: { period: 'daily', limit: 3, used: 2 }
+        }));
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(() => quota.reserve(SENDER, 3)).not.toThrow();
+        expect(quota.usage(SENDER)).toMatchObject({ day: '2026-02-01', dayCount: 3, month: '2026-02', monthCount: 3 });
+    });
+
+    test('counts every send against the monthly quota', () => {
+        const quota = createQuota({ monthly: 2 });
+        quota.reserve(SENDER, 2);
+
+        expect(() => quota.reserve(SENDER, 1)).toThrow(expect.objectContaining({ details: expect.objectContaining({ period: 'monthly' }) }));
+        quota.release(SENDER, 1);
+        expect(quota.usage(SENDER).monthCount).toBe(1);
+    });
+});
+
+describe('createSendLimitGuard', () => {
+    test('gives the quota back when a send fails', async () => {
+        const quota = createQuota({ daily: 5 });
+        const guarded = createSendLimitGuard({ send: async () => { throw new Error('boom'); } }, { senderQuota: quota });
+
+        await expect(guarded.send({ from: SENDER, to: ['+17143059601', '+17143059602'], body: 'Hi' })).rejects.toThrow('boom');
+        expect(quota.usage(SENDER).dayCount).toBe(0);
+    });
+
+    test('pauses sends on the same GoTo connection after a 429', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(new RateLimitedError(undefined, { retryAfter: 30 }))
+            .mockResolvedValue({ id: 'msg-1' });
+        const guarded = createSendLimitGuard({ send }, { senderQuota: createQuota({}) });
+        const message = { from: SENDER, to: ['+17143059601'], body: 'Hi' };
+
+        await expect(guarded.send(message, { userId: 'user-1' })).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+        await expect(guarded.send(message, { userId: 'user-1' })).rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 30 });
+        expect(send).toHaveBeenCalledTimes(1);
+
+        // Other connections are not affected, and the pause ends after Retry-After
+        await expect(guarded.send(message, { userId: 'user-2' })).resolves.toEqual({ id: 'msg-1' });
+        jest.advanceTimersByTime(30 * 1000);
+        await expect(guarded.send(message, { userId: 'user-1' })).resolves.toEqual({ id: 'msg-1' });
+    });
+});
@@ -0,0 +1,358 @@
+/**
+ * End-to-end tests against the sandbox (SMS_MODE=sandbox)
+ * The app runs with its local mock GoTo provider and a temporary data directory, so nothing
+ * is sent and no real account is needed. Covers sending, the 401 token refresh, which GoTo
+ * server errors are retried, Idempotency-Key replays and the inbound webhook.
+ */
+
+// Import Node.js modules for the test server, temporary directory and webhook signatures
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import supertest for HTTP requests against the app
+const request = require('supertest');
+
+// Webhook secret used to sign the test notifications
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Numbers owned by the sandbox account, and a contact
+const SENDER = '+15625791776';
+const CONTACT = '+17143059601';
+
+let server;
+let dataDir;
+let agent;
+
+/**
+ * Build a signed GoTo webhook request body for an inbound message
+ * @param {string} id - GoTo message ID
+ * @param {string} body - Message text
+ * @returns {Object} - { payload, signature } - payload is the raw JSON text
+ */
+function inboundNotification(id, body) {
+    const payload = JSON.stringify({
+        source: 'messaging',
+        type: 'message',
+        timestamp: new Date().toISOString(),
+        content: {
+            id,
+            ownerPhoneNumber: SENDER,
+            contactPhoneNumbers: [CONTACT],
+            authorPhoneNumber: CONTACT,
+            body,
+            direction: 'IN',
+            timestamp: new Date().toISOString()
+        }
+    });
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+    return { payload, signature: `sha256=${signature}` };
+}
+
+/**
+ * Connect the logged-in user's GoTo account through the mock provider's OAuth flow
+ */
+async function connectGoTo() {
+    const status = await agent.get('/api/auth-status').expect(200);
+    const authUrl = new URL(status.body.authUrl);
+    const authorize = await agent.get(authUrl.pathname + authUrl.search).expect(302);
+    const callback = new URL(authorize.headers.location);
+    await agent.get(callback.pathname + callback.search).expect(200);
+}
+
+/**
+ * Queue a failure in the mock provider for the next sends
+ * @param {Object} failure - { type, count, status, retryAfter }
+ */
+async function injectFailure(failure) {
+    await agent.post('/api/sandbox/failures').send(failure).expect(201);
+}
+
+/**
+ * Get the messages the mock provider received
+ * @returns {Promise<Object[]>} - Outbox messages, newest first
+ */
+async function outbox() {
+    const response = await agent.get('/api/sandbox/outbox').expect(200);
+    return response.body.messages;
+}
+
+beforeAll(async () => {
+    // The mock provider is called over HTTP by the app itself, so its URL must be known before
+    // the app loads: listen on a free port first and hand the requests to the app afterwards
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-test-'));
+
+    Object.assign(process.env, {
+        SMS_MODE: 'sandbox',
+        SANDBOX_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+        SANDBOX_DATA_DIR: dataDir,
+        GOTO_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        GOTO_RETRY_BASE_DELAY_MS: '1',
+        STATUS_POLL_INTERVAL_SECONDS: '0',
+        LOG_LEVEL: 'silent'
+    });
+    server.on('request', require('../app'));
+
+    // Create the first (admin) account, log in and connect the sandbox GoTo account
+    agent = request.agent(server);
+    await agent.post('/api/users').send({ username: 'admin', password: 'change-me-please' }).expect(201);
+    await agent.post('/api/login').send({ username: 'admin', password: 'change-me-please' }).expect(200);
+    await connectGoTo();
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await agent.delete('/api/sandbox/failures');
+    await agent.delete('/api/sandbox/outbox');
+});
+
+describe('POST /api/send-sms', () => {
+    test('sends through the mock provider and records the message', async () => {
+        const response = await agent
+            .post('/api/send-sms')
+            .send({ from: SENDER, to: '(714) 305-9601', message: 'Hello from the test suite' })
+            .expect(200);
+
+        expect(response.body).toMatchObject({ success: true, status: 'sent', segments: 1 });
+        expect(response.body.results).toEqual([{ to: CONTACT, status: 'sent', type: expect.any(String), id: response.body.id }]);
+
+        const [sent] = await outbox();
+        expect(sent).toMatchObject({ ownerPhoneNumber: SENDER, contactPhoneNumbers: [CONTACT], body: 'Hello from the test suite' });
+
+        const history = await agent.get('/api/messages').query({ number: CONTACT }).expect(200);
+        expect(history.body.messages[0]).toMatchObject({ direction: 'outbound', providerId: response.body.id, status: 'sent' });
+    });
+
+    test('rejects a request without a JSON body', async () => {
+        const response = await agent.post('/api/send-sms').expect(400);
+
+        expect(response.body.code).toBe('INVALID_REQUEST');
+    });
+
+    test('refuses senders the account does not own', async () => {
+        const response = await agent
+            .post('/api/send-sms')
+            .send({ from: '+15559990000', to: CONTACT, message: 'Hello' })
+            .expect(403);
+
+        expect(response.body.code).toBe('SENDER_NOT_OWNED');
+        expect(await outbox()).toHaveLength(0);
+    });
+
+    test('refreshes the token and retries once when GoTo answers 401', async () => {
+        await injectFailure({ type: 'unauthorized' });
+
+        await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'After refresh' }).expect(200);
+
+        expect(await outbox()).toHaveLength(1);
+        const metrics = await agent.get('/metrics').expect(200);
+        expect(metrics.text).toMatch(/oauth_token_refreshes_total\{[^}]*outcome="success"[^}]*\} [1-9]/);
+    });
+
+    test('asks for a new OAuth flow when the refreshed token is rejected too', async () => {
+        await injectFailure({ type: 'unauthorized', count: 2 });
+
+        const response = await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'Hello' }).expect(401);
+
+        expect(response.body.authUrl).toEqual(expect.any(String));
+        expect(await outbox()).toHaveLength(0);
+
+        // The rejected tokens were dropped; connect again for the next tests
+        await connectGoTo();
+    });
+
+    test('does not resend after a GoTo server error that may have sent the text', async () => {
+        await injectFailure({ type: 'server_error', count: 2 });
+
+        const response = await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'Maybe sent' }).expect(502);
+
+        expect(response.body.code).toBe('UPSTREAM_ERROR');
+        const failures = await agent.get('/api/sandbox/failures').expect(200);
+        expect(failures.body.failures).toEqual([expect.objectContaining({ type: 'server_error', remaining: 1 })]);
+    });
+
+    test('retries a send GoTo refused with Retry-After', async () => {
+        await injectFailure({ type: 'server_error', count: 2, retryAfter: 0 });
+
+        await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'After retries' }).expect(200);
+
+        expect(await outbox()).toHaveLength(1);
+        const failures = await agent.get('/api/sandbox/failures').expect(200);
+        expect(failures.body.failures).toHaveLength(0);
+    });
+
+    test('does not store a server error under the Idempotency-Key', async () => {
+        const send = () => agent
+            .post('/api/send-sms')
+            .set('Idempotency-Key', 'test-server-error-1')
+            .send({ from: SENDER, to: CONTACT, message: 'Second try' });
+
+        await injectFailure({ type: 'server_error' });
+        await send().expect(502);
+        const retried = await send().expect(200);
+
+        expect(retried.headers['idempotent-replayed']).toBeUndefined();
+        expect(await outbox()).toHaveLength(1);
+    });
+
+    test('does not retry a rejected number', async () => {
+        await injectFailure({ type: 'invalid_number' });
+
+        const response = await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'Hello' }).expect(400);
+
+        expect(response.body.code).toBe('INVALID_NUMBER');
+        expect(await outbox()).toHaveLength(0);
+    });
+
+    test('replays the stored response for a repeated Idempotency-Key', async () => {
+        const send = () => agent
+            .post('/api/send-sms')
+            .set('Idempotency-Key', 'test-replay-1')
+            .send({ from: SENDER, to: CONTACT, message: 'Exactly once' });
+
+        const first = await send().expect(200);
+        const second = await send().expect(200);
+
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(second.body).toEqual(first.body);
+        expect(await outbox()).toHaveLength(1);
+    });
+
+    test('rejects a reused Idempotency-Key with a different body', async () => {
+        await agent.post('/api/send-sms').set('Idempotency-Key', 'test-replay-2')
+            .send({ from: SENDER, to: CONTACT, message: 'First' }).expect(200);
+
+        await agent.post('/api/send-sms').set('Idempotency-Key', 'test-replay-2')
+            .send({ from: SENDER, to: CONTACT, message: 'Second' }).expect(422);
+
+        expect(await outbox()).toHaveLength(1);
+    });
+});
+
+describe('POST /webhooks/goto/messages', () => {
+    test('rejects notifications without a valid signature', async () => {
+        const { payload } = inboundNotification('webhook-unsigned', 'Hi');
+
+        await request(server)
+            .post('/webhooks/goto/messages')
+            .set('Content-Type', 'application/json')
+            .set('X-GoTo-Signature', 'sha256=0000')
+            .send(payload)
+            .expect(401);
+    });
+
+    test('stores a signed inbound reply in the conversation', async () => {
+        const { payload, signature } = inboundNotification('webhook-reply-1', 'See you tomorrow');
+
+        const response = await request(server)
+            .post('/webhooks/goto/messages')
+            .set('Content-Type', 'application/json')
+            .set('X-GoTo-Signature', signature)
+            .send(payload)
+            .expect(200);
+        expect(response.body).toEqual({ received: 1 });
+
+        const thread = await agent.get(`/api/conversations/${encodeURIComponent(CONTACT)}`).expect(200);
+        expect(thread.body.messages).toContainEqual(expect.objectContaining({
+            direction: 'inbound',
+            providerId: 'webhook-reply-1',
+            body: 'See you tomorrow'
+        }));
+    });
+
+    test('suppresses the sender on STOP and confirms with an auto-reply', async () => {
+        const { payload, signature } = inboundNotification('webhook-stop-1', 'STOP');
+
+        await request(server)
+            .post('/webhooks/goto/messages')
+            .set('Content-Type', 'application/json')
+            .set('X-GoTo-Signature', signature)
+            .send(payload)
+            .expect(200);
+
+        const suppressions = await agent.get('/api/suppressions').expect(200);
+        expect(suppressions.body.suppressions).toContainEqual(expect.objectContaining({ number: CONTACT, reason: 'STOP' }));
+
+        // The auto-reply is sent in the background
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const [reply] = await outbox();
+        expect(reply).toMatchObject({ ownerPhoneNumber: SENDER, contactPhoneNumbers: [CONTACT] });
+
+        const refused = await agent.post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'Hello' }).expect(403);
+        expect(refused.body.code).toBe('RECIPIENT_SUPPRESSED');
+        await agent.delete(`/api/suppressions/${encodeURIComponent(CONTACT)}`).expect(204);
+    });
+
+    test('keeps formulas in replies from running when the history is exported as CSV', async () => {
+        const { payload, signature } = inboundNotification('webhook-formula-1', '=HYPERLINK("http://example.com","x")');
+
+        await request(server)
+            .post('/webhooks/goto/messages')
+            .set('Content-Type', 'application/json')
+            .set('X-GoTo-Signature', signature)
+            .send(payload)
+            .expect(200);
+
+        const exported = await agent.get('/api/messages/export').query({ direction: 'inbound', q: 'HYPERLINK' }).expect(200);
+        const [, row] = exported.text.trim().split('\r\n');
+        expect(row).toContain(`'${CONTACT},'${SENDER},"'=HYPERLINK(""http://example.com"",""x"")"`);
+    });
+});
+
+describe('API key scopes', () => {
+    test('limit a read-only key to GET endpoints', async () => {
+        const { body: apiKey } = await agent.post('/api/api-keys').send({ name: 'reporting', scopes: ['sms:read'] }).expect(201);
+        const withKey = (call) => call.set('X-API-Key', apiKey.key);
+
+        await withKey(request(server).get('/api/messages')).expect(200);
+        await withKey(request(server).post('/api/messages/analyze').send({ message: 'Hi' })).expect(200);
+        const refused = await withKey(request(server).post('/api/send-sms').send({ from: SENDER, to: CONTACT, message: 'Hi' })).expect(403);
+        expect(refused.body.code).toBe('INSUFFICIENT_SCOPE');
+        await withKey(request(server).get('/api/users')).expect(403);
+    });
+
+    test('require admin to lift an opt-out', async () => {
+        await agent.post('/api/suppressions').send({ number: CONTACT, reason: 'complaint' }).expect(201);
+        const { body: apiKey } = await agent.post('/api/api-keys').send({ name: 'sender', scopes: ['sms:send'] }).expect(201);
+
+        const refused = await request(server)
+            .delete(`/api/suppressions/${encodeURIComponent(CONTACT)}`)
+            .set('X-API-Key', apiKey.key)
+            .expect(403);
+        expect(refused.body.code).toBe('INSUFFICIENT_SCOPE');
+
+        await agent.delete(`/api/suppressions/${encodeURIComponent(CONTACT)}`).expect(204);
+    });
+});
+
+describe('parseFailureSpec', () => {
+    let parseFailureSpec;
+
+    // Loaded after the environment is set up, like the app
+    beforeAll(() => {
+        ({ parseFailureSpec } = require('../sandbox'));
+    });
+
+    test('reads type[:count] entries with the defaults applied', () => {
+        expect(parseFailureSpec(' rate_limited:2, server_error ,invalid_number:1')).toEqual([
+            { type: 'rate_limited', remaining: 2, status: null, retryAfter: 30 },
+            { type: 'server_error', remaining: 1, status: 503, retryAfter: null },
+            { type: 'invalid_number', remaining: 1, status: null, retryAfter: null }
+        ]);
+        expect(parseFailureSpec('')).toEqual([]);
+        expect(parseFailureSpec(undefined)).toEqual([]);
+    });
+
+    test.each([['timeout'], ['server_error:0'], ['unauthorized:two'], ['rate_limited:1.5']])('refuses %j', (spec) => {
+        expect(() => parseFailureSpec(spec)).toThrow(expect.objectContaining({ code: 'INVALID_FAILURE' }));
+    });
+});
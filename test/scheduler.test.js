@@ -0,0 +1,120 @@
+/**
+ * Scheduled message tests (scheduler.js)
+ * The clock is faked so messages become due on demand; the messaging client is a jest mock.
+ */
+
+// Import Node.js modules for the temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createCollection } = require('../dataStore');
+const { AuthExpiredError, RateLimitedError, InvalidNumberError } = require('../errors');
+const { createScheduler, parseSendAt } = require('../scheduler');
+
+const MESSAGE = { from: '+15625791776', to: ['+17143059601'], body: 'Reminder' };
+
+let dataDir;
+let send;
+let scheduler;
+
+/**
+ * Schedule MESSAGE a number of minutes from now
+ * @param {number} minutes - Delay
+ * @param {Object} [fields] - Extra fields (e.g. userId)
+ * @returns {Object} - Scheduled record
+ */
+function scheduleIn(minutes, fields = {}) {
+    return scheduler.schedule({ ...MESSAGE, sendAt: new Date(Date.now() + minutes * 60 * 1000).toISOString(), ...fields });
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T09:00:00Z') });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-scheduler-'));
+    send = jest.fn(async () => ({ id: 'msg-1' }));
+    scheduler = createScheduler({ messagingClient: { send }, collection: createCollection('scheduled', { dataDir }) });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('parseSendAt', () => {
+    test('accepts a future ISO 8601 timestamp', () => {
+        expect(parseSendAt('2026-03-01T10:30:00+01:00').toISOString()).toBe('2026-03-01T09:30:00.000Z');
+        expect(() => parseSendAt('2026-03-01T09:00:00Z')).toThrow('in the future');
+    });
+
+    test.each([['tomorrow'], [''], [undefined], [1772355600000]])('refuses %j', (value) => {
+        expect(() => parseSendAt(value)).toThrow('ISO 8601');
+    });
+});
+
+describe('dispatchDue', () => {
+    test('sends messages once they are due, soonest first', async () => {
+        const later = scheduleIn(10);
+        const sooner = scheduleIn(5, { userId: 'user-1' });
+
+        expect(await scheduler.dispatchDue()).toBe(0);
+
+        jest.advanceTimersByTime(10 * 60 * 1000);
+        expect(await scheduler.dispatchDue()).toBe(2);
+        expect(send).toHaveBeenNthCalledWith(1, { from: MESSAGE.from, to: MESSAGE.to, body: MESSAGE.body },
+            { source: 'scheduled', userId: 'user-1', client: null });
+        expect(scheduler.get(sooner.id)).toMatchObject({ status: 'sent', messageId: 'msg-1', attempts: 1 });
+        expect(scheduler.get(later.id).status).toBe('sent');
+    });
+
+    test('keeps messages pending while the connection needs a new login', async () => {
+        send.mockRejectedValueOnce(new AuthExpiredError());
+        const first = scheduleIn(1, { userId: 'user-1' });
+        const second = scheduleIn(2, { userId: 'user-1' });
+        const other = scheduleIn(3, { userId: 'user-2' });
+        jest.advanceTimersByTime(5 * 60 * 1000);
+
+        await scheduler.dispatchDue();
+
+        expect(scheduler.get(first.id)).toMatchObject({ status: 'pending', error: 'AUTH_EXPIRED' });
+        expect(scheduler.get(second.id)).toMatchObject({ status: 'pending', attempts: 0 });
+        expect(scheduler.get(other.id).status).toBe('sent');
+    });
+
+    test('stops the run when rate limited and fails messages GoTo rejects', async () => {
+        send.mockRejectedValueOnce(new InvalidNumberError()).mockRejectedValueOnce(new RateLimitedError());
+        const rejected = scheduleIn(1);
+        const limited = scheduleIn(2);
+        const waiting = scheduleIn(3);
+        jest.advanceTimersByTime(5 * 60 * 1000);
+
+        expect(await scheduler.dispatchDue()).toBe(2);
+
+        expect(scheduler.get(rejected.id)).toMatchObject({ status: 'failed', error: 'INVALID_NUMBER' });
+        expect(scheduler.get(limited.id)).toMatchObject({ status: 'pending', error: 'RATE_LIMITED' });
+        expect(scheduler.get(waiting.id).attempts).toBe(0);
+    });
+});
+
+describe('cancel', () => {
+    test('cancels pending messages only', async () => {
+        const record = scheduleIn(5);
+
+        expect(scheduler.cancel(record.id).status).toBe('cancelled');
+        expect(() => scheduler.cancel(record.id)).toThrow('Cannot cancel a cancelled message');
+        expect(scheduler.cancel('missing')).toBeNull();
+        expect(scheduler.list()).toEqual([]);
+    });
+});
+
+describe('startup', () => {
+    test('marks messages that were being sent as failed instead of sending them again', () => {
+        const collection = createCollection('scheduled', { dataDir });
+        const record = collection.insert({ ...MESSAGE, sendAt: new Date().toISOString(), status: 'sending', attempts: 1 });
+
+        createScheduler({ messagingClient: { send }, collection });
+
+        expect(collection.get(record.id)).toMatchObject({ status: 'failed', error: 'INTERRUPTED' });
+    });
+});
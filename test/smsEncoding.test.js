@@ -0,0 +1,59 @@
+/**
+ * SMS encoding and segment tests (smsEncoding.js)
+ */
+
+const { analyzeMessage, transliterate } = require('../smsEncoding');
+
+describe('analyzeMessage', () => {
+    test('fits 160 GSM-7 characters in one segment and splits 161 into 153-character parts', () => {
+        expect(analyzeMessage('a'.repeat(160))).toMatchObject({ encoding: 'GSM-7', segments: 1, perSegment: 160, remaining: 0 });
+        expect(analyzeMessage('a'.repeat(161))).toMatchObject({ segments: 2, perSegment: 153, remaining: 145 });
+        expect(analyzeMessage('a'.repeat(306)).segments).toBe(2);
+        expect(analyzeMessage('a'.repeat(307)).segments).toBe(3);
+    });
+
+    test('fits 70 UCS-2 characters in one segment and splits 71 into 67-character parts', () => {
+        expect(analyzeMessage('ж'.repeat(70))).toMatchObject({ encoding: 'UCS-2', segments: 1, perSegment: 70 });
+        expect(analyzeMessage('ж'.repeat(71))).toMatchObject({ segments: 2, perSegment: 67 });
+        expect(analyzeMessage('ж'.repeat(134)).segments).toBe(2);
+        expect(analyzeMessage('ж'.repeat(135)).segments).toBe(3);
+    });
+
+    test('counts extension characters as two septets', () => {
+        expect(analyzeMessage('€'.repeat(80))).toMatchObject({ encoding: 'GSM-7', length: 160, segments: 1 });
+        expect(analyzeMessage('€'.repeat(81)).segments).toBe(2);
+    });
+
+    test('does not split an escape sequence across segments', () => {
+        // 152 septets, then a two-septet character that would straddle the 153 boundary
+        expect(analyzeMessage(`${'a'.repeat(152)}€${'a'.repeat(10)}`).segments).toBe(2);
+        expect(analyzeMessage(`${'a'.repeat(152)}€${'a'.repeat(152)}`).segments).toBe(3);
+    });
+
+    test('switches to UCS-2 for one character outside GSM-7 and lists it', () => {
+        expect(analyzeMessage(`${'a'.repeat(69)}’`)).toMatchObject({ encoding: 'UCS-2', segments: 1, unicodeCharacters: ['’'] });
+        expect(analyzeMessage(`${'a'.repeat(70)}’`).segments).toBe(2);
+    });
+
+    test('counts emoji as two UTF-16 code units', () => {
+        expect(analyzeMessage('😀'.repeat(35))).toMatchObject({ characters: 35, length: 70, segments: 1 });
+        expect(analyzeMessage('😀'.repeat(36)).segments).toBe(2);
+    });
+
+    test('keeps GSM-7 when transliteration replaces the typographic characters', () => {
+        const analysis = analyzeMessage('It’s “done” – ok…', { transliterate: true });
+        expect(analysis).toMatchObject({ text: 'It\'s "done" - ok...', transliterated: true, encoding: 'GSM-7' });
+    });
+
+    test('reports billable segments and the estimated cost', () => {
+        expect(analyzeMessage('a'.repeat(161), { recipients: 3, segmentPrice: 0.0079 }))
+            .toMatchObject({ billableSegments: 6, estimatedCost: 0.0474 });
+        expect(analyzeMessage('').segments).toBe(0);
+    });
+});
+
+describe('transliterate', () => {
+    test('leaves characters without a GSM-7 equivalent alone', () => {
+        expect(transliterate('naïve ж')).toBe('naïve ж');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Suppression list tests (suppressions.js)
+ * Each test gets its own collection in a temporary data directory.
+ */
+
+// Import Node.js modules for the temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createCollection } = require('../dataStore');
+const { normalizePhoneNumber } = require('../phoneNumbers');
+const { createSuppressionList, createSuppressionGuard, detectKeyword } = require('../suppressions');
+
+const CONTACT = '+17143059601';
+
+let dataDir;
+let suppressionList;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goto-sms-suppressions-'));
+    suppressionList = createSuppressionList({
+        normalizeNumber: number => normalizePhoneNumber(number, { defaultRegion: 'US' }),
+        collection: createCollection('suppressions', { dataDir })
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('detectKeyword', () => {
+    test.each([
+        ['STOP', 'stop'],
+        [' stop. ', 'stop'],
+        ['Unsubscribe!', 'stop'],
+        ['START', 'start'],
+        ['unstop', 'start'],
+        ['help?', 'help'],
+        ['Please stop texting me', null],
+        ['', null]
+    ])('classifies %j as %s', (body, keyword) => {
+        expect(detectKeyword(body)).toBe(keyword);
+    });
+});
+
+describe('handleInbound', () => {
+    test('suppresses on STOP and lifts it on START, with the auto-replies', () => {
+        expect(suppressionList.handleInbound(CONTACT, 'STOP')).toMatchObject({ keyword: 'stop', reply: expect.stringContaining('unsubscribed') });
+        expect(suppressionList.get(CONTACT)).toMatchObject({ reason: 'STOP', source: 'inbound' });
+
+        expect(suppressionList.handleInbound(CONTACT, 'start')).toMatchObject({ keyword: 'start' });
+        expect(suppressionList.isSuppressed(CONTACT)).toBe(false);
+    });
+
+    test('answers HELP without changing the list and ignores other messages', () => {
+        expect(suppressionList.handleInbound(CONTACT, 'HELP')).toMatchObject({ keyword: 'help' });
+        expect(suppressionList.handleInbound(CONTACT, 'See you tomorrow')).toBeNull();
+        expect(suppressionList.list()).toEqual([]);
+    });
+});
+
+describe('importCsv and exportCsv', () => {
+    test('normalizes imported numbers and reports invalid ones', () => {
+        suppressionList.add(CONTACT);
+
+        const result = suppressionList.importCsv('number,reason\n(562) 579-1776,complaint\n714-305-9601,\nnot-a-number,\n');
+
+        expect(result).toEqual({ added: 1, existing: 1, invalid: ['not-a-number'] });
+        expect(suppressionList.get('+15625791776')).toMatchObject({ reason: 'complaint', source: 'import' });
+    });
+
+    test('escapes formulas in the export and imports the export again', () => {
+        suppressionList.add(CONTACT, { reason: '=HYPERLINK("http://example.com")' });
+
+        const csv = suppressionList.exportCsv();
+        expect(csv).toContain(`'${CONTACT},"'=HYPERLINK(""http://example.com"")"`);
+
+        suppressionList.remove(CONTACT);
+        expect(suppressionList.importCsv(csv)).toMatchObject({ added: 1, invalid: [] });
+        expect(suppressionList.isSuppressed(CONTACT)).toBe(true);
+    });
+});
+
+describe('createSuppressionGuard', () => {
+    test('refuses a send to a suppressed number', async () => {
+        const send = jest.fn(async () => ({ id: 'msg-1' }));
+        const guarded = createSuppressionGuard({ send }, suppressionList);
+        suppressionList.add(CONTACT, { reason: 'STOP' });
+
+        await expect(guarded.send({ from: '+15625791776', to: ['+17143059602', CONTACT], body: 'Hi' }))
+            .rejects.toMatchObject({ code: 'RECIPIENT_SUPPRESSED' });
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    test('passes other sends through', async () => {
+        const send = jest.fn(async () => ({ id: 'msg-1' }));
+        const guarded = createSuppressionGuard({ send }, suppressionList);
+
+        await expect(guarded.send({ from: '+15625791776', to: [CONTACT], body: 'Hi' }, { userId: 'u1' })).resolves.toEqual({ id: 'msg-1' });
+        expect(send).toHaveBeenCalledWith({ from: '+15625791776', to: [CONTACT], body: 'Hi' }, { userId: 'u1' });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Message template tests (templates.js)
+ */
+
+const { extractVariables, renderTemplate, renderTemplateStrict } = require('../templates');
+
+describe('renderTemplate', () => {
+    test('fills placeholders from the variables', () => {
+        expect(renderTemplate('Hi {{firstName}}, see you {{day}}!', { firstName: 'Ann', day: 'Monday' }))
+            .toEqual({ body: 'Hi Ann, see you Monday!', missing: [] });
+    });
+
+    test('leaves missing variables in place and lists each once', () => {
+        expect(renderTemplate('{{name}} {{name}} {{day}}', { day: '' }))
+            .toEqual({ body: '{{name}} {{name}} {{day}}', missing: ['name', 'day'] });
+    });
+
+    test('does not read inherited properties', () => {
+        expect(renderTemplate('{{constructor}} {{toString}}', {}).missing).toEqual(['constructor', 'toString']);
+    });
+
+    test('renders numbers and false', () => {
+        expect(renderTemplate('{{count}} {{flag}}', { count: 0, flag: false }).body).toBe('0 false');
+    });
+});
+
+describe('renderTemplateStrict', () => {
+    test('throws MISSING_VARIABLES with the missing names', () => {
+        expect(() => renderTemplateStrict('Hi {{firstName}} {{lastName}}', { firstName: 'Ann' }))
+            .toThrow(expect.objectContaining({ code: 'MISSING_VARIABLES', details: { missing: ['lastName'] } }));
+    });
+});
+
+describe('extractVariables', () => {
+    test('lists placeholder names once, in order', () => {
+        expect(extractVariables('{{b}} {{a}} {{b}}')).toEqual(['b', 'a']);
+    });
+});
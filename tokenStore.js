@@ -0,0 +1,351 @@
+/**
+ * Token Store
+ * Persists OAuth tokens so the server can reuse them after a restart instead of
+ * sending the user through the browser authorization flow again.
+ *
+ * Backends (selected with TOKEN_STORE):
+ *   - file:   AES-256-GCM encrypted JSON file, key derived from TOKEN_ENCRYPTION_KEY
+ *   - sqlite: SQLite database, each token record AES-256-GCM encrypted (TOKEN_ENCRYPTION_KEY is required)
+ *   - memory: process memory only (previous behaviour, lost on restart)
+ */
+
+// Import crypto module for encryption and key derivation
+var crypto = require("crypto");
+
+// Import fs and path modules for reading and writing the token file
+var fs = require("fs");
+var path = require("path");
+
+// Directory used for persistent application data (token file, SQLite database)
+var { DATA_DIR } = require("./dataStore");
+
+// Import the structured logger
+var { createLogger } = require("./logger");
+var logger = createLogger({ component: 'tokenStore' });
+
+// Seconds subtracted from the token lifetime so we refresh before the server rejects it
+const EXPIRY_SAFETY_MARGIN = 60;
+
+/**
+ * Derive a 256-bit encryption key from the configured secret
+ * @param {string} secret - Value of TOKEN_ENCRYPTION_KEY
+ * @param {Buffer} salt - Random salt stored alongside the ciphertext
+ * @returns {Buffer} - 32 byte key suitable for AES-256-GCM
+ */
+function deriveKey(secret, salt) {
+    return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Encrypt a JSON-serialisable value with AES-256-GCM
+ * @param {*} value - Value to encrypt
+ * @param {string} secret - Encryption secret
+ * @returns {Object} - Envelope containing salt, iv, auth tag and ciphertext (all base64)
+ */
+function seal(value, secret) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+        v: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypt an envelope produced by seal()
+ * @param {Object} envelope - Encrypted envelope
+ * @param {string} secret - Encryption secret
+ * @returns {*} - The original value
+ * @throws {Error} - If the secret is wrong or the data has been tampered with
+ */
+function unseal(envelope, secret) {
+    const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        deriveKey(secret, Buffer.from(envelope.salt, 'base64')),
+        Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * In-memory backend - tokens are lost when the process exits
+ */
+function createMemoryBackend() {
+    const records = new Map();
+    // Bumped on every change, so version() differs after each write
+    let changes = 0;
+    return {
+        name: 'memory',
+        read: (key) => records.get(key) || null,
+        write: (key, record) => { records.set(key, record); changes++; },
+        remove: (key) => { records.delete(key); changes++; },
+        version: () => changes
+    };
+}
+
+/**
+ * Encrypted file backend
+ * All token records are kept in one file, encrypted as a whole on every write
+ * @param {Object} options - { filePath, secret }
+ */
+function createFileBackend({ filePath, secret }) {
+    if (!secret) {
+        throw new Error('TOKEN_ENCRYPTION_KEY is required for the file token store');
+    }
+
+    // Read and decrypt every record in the file
+    function readAll() {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        return unseal(JSON.parse(fs.readFileSync(filePath, 'utf8')), secret);
+    }
+
+    // Read records before a write; an unreadable file (e.g. rotated key) is replaced
+    function readAllForWrite() {
+        try {
+            return readAll();
+        } catch (error) {
+            logger.error('Existing token file could not be decrypted and will be replaced', { err: error });
+            return {};
+        }
+    }
+
+    // Encrypt and write every record, replacing the file atomically
+    function writeAll(records) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(seal(records, secret)), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        name: 'file',
+        read: (key) => readAll()[key] || null,
+        // The file's modification time; a stat is much cheaper than decrypting the file
+        version() {
+            try {
+                return fs.statSync(filePath).mtimeMs;
+            } catch (error) {
+                return null;
+            }
+        },
+        write(key, record) {
+            const records = readAllForWrite();
+            records[key] = record;
+            writeAll(records);
+        },
+        remove(key) {
+            const records = readAllForWrite();
+            delete records[key];
+            writeAll(records);
+        }
+    };
+}
+
+/**
+ * SQLite backend (requires the better-sqlite3 package)
+ * Token records are encrypted one by one
+ * @param {Object} options - { filePath, secret }
+ */
+function createSqliteBackend({ filePath, secret }) {
+    if (!secret) {
+        throw new Error('TOKEN_ENCRYPTION_KEY is required for the sqlite token store');
+    }
+
+    // Loaded lazily so the native module is only needed when this backend is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.exec(`CREATE TABLE IF NOT EXISTS oauth_tokens (
+        key TEXT PRIMARY KEY,
+        payload TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+    )`);
+
+    const selectStmt = db.prepare('SELECT payload FROM oauth_tokens WHERE key = ?');
+    const upsertStmt = db.prepare(`INSERT INTO oauth_tokens (key, payload, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET payload = excluded.payload, updated_at = excluded.updated_at`);
+    const deleteStmt = db.prepare('DELETE FROM oauth_tokens WHERE key = ?');
+    const versionStmt = db.prepare('SELECT updated_at FROM oauth_tokens WHERE key = ?');
+
+    return {
+        name: 'sqlite',
+        read(key) {
+            const row = selectStmt.get(key);
+            if (!row) {
+                return null;
+            }
+            return unseal(JSON.parse(row.payload), secret);
+        },
+        write(key, record) {
+            upsertStmt.run(key, JSON.stringify(seal(record, secret)), Date.now());
+        },
+        remove(key) {
+            deleteStmt.run(key);
+        },
+        // When the record was last written (null once it is removed)
+        version(key) {
+            const row = versionStmt.get(key);
+            return row ? row.updated_at : null;
+        }
+    };
+}
+
+/**
+ * Create the backend configured through environment variables
+ * Defaults to the encrypted file store when an encryption key is available, memory otherwise
+ * @returns {Object} - Backend with read/write/remove/version methods
+ */
+function createBackendFromEnv() {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY;
+    const type = process.env.TOKEN_STORE || (secret ? 'file' : 'memory');
+
+    switch (type) {
+        case 'file':
+            return createFileBackend({
+                filePath: process.env.TOKEN_STORE_PATH || path.join(DATA_DIR, 'tokens.enc'),
+                secret
+            });
+        case 'sqlite':
+            return createSqliteBackend({
+                filePath: process.env.TOKEN_STORE_PATH || path.join(DATA_DIR, 'tokens.db'),
+                secret
+            });
+        case 'memory':
+            return createMemoryBackend();
+        default:
+            throw new Error(`Unknown TOKEN_STORE "${type}" (expected file, sqlite or memory)`);
+    }
+}
+
+/**
+ * Create a token store bound to a backend
+ * Keeps the same interface as the original in-memory tokenStorage object
+ * @param {Object} [options] - { backend, key } - key identifies the token set within the backend
+ * @returns {Object} - Token store
+ */
+function createTokenStore({ backend = createBackendFromEnv(), key = 'default' } = {}) {
+    // Backend version the fields were last loaded from or persisted as (see reloadIfChanged)
+    let knownVersion;
+
+    /**
+     * Read the backend's change marker for this key
+     * @returns {*} - Version, or undefined when it cannot be read (the next check reloads)
+     */
+    function currentVersion() {
+        try {
+            return backend.version(key);
+        } catch (error) {
+            logger.error('Failed to check the token store for changes', { store: backend.name, key, err: error });
+            return undefined;
+        }
+    }
+
+    return {
+        accessToken: null,
+        refreshToken: null,
+        expiresAt: null,
+        accountKey: null,
+        backend: backend.name,
+
+        // Reload tokens from the backend (called at boot)
+        load() {
+            knownVersion = currentVersion();
+            try {
+                const record = backend.read(key);
+                this.accessToken = record ? record.accessToken : null;
+                this.refreshToken = record ? record.refreshToken : null;
+                this.expiresAt = record ? record.expiresAt : null;
+                this.accountKey = record ? record.accountKey || null : null;
+                if (record) {
+                    logger.debug('Tokens loaded', { store: backend.name, key });
+                }
+            } catch (error) {
+                logger.error('Failed to load tokens', { store: backend.name, key, err: error });
+            }
+            return this;
+        },
+
+        // Reload tokens only when another process (the server or the CLI) changed them since
+        // the last load or persist; cheap enough to call before every token lookup
+        reloadIfChanged() {
+            const version = currentVersion();
+            if (version === undefined || version !== knownVersion) {
+                this.load();
+            }
+            return this;
+        },
+
+        // Store tokens with expiration time
+        setTokens(tokenResponse) {
+            this.accessToken = tokenResponse.token.access_token;
+            // Keep the previous refresh token if the server did not rotate it
+            this.refreshToken = tokenResponse.token.refresh_token || this.refreshToken;
+            // Calculate expiration time (subtract safety margin)
+            const expiresIn = tokenResponse.token.expires_in || 3600;
+            this.expiresAt = Date.now() + ((expiresIn - EXPIRY_SAFETY_MARGIN) * 1000);
+            // GoTo names the connected account in the token response (needed to list its phone numbers)
+            this.accountKey = tokenResponse.token.account_key || this.accountKey;
+            this.persist();
+            logger.info('Tokens stored', { store: backend.name, key, expiresInSeconds: expiresIn });
+        },
+
+        // Check if access token is valid and not expired
+        isTokenValid() {
+            return Boolean(this.accessToken && this.expiresAt && Date.now() < this.expiresAt);
+        },
+
+        // Get current access token
+        getAccessToken() {
+            return this.isTokenValid() ? this.accessToken : null;
+        },
+
+        // Clear all tokens
+        clearTokens() {
+            this.accessToken = null;
+            this.refreshToken = null;
+            this.expiresAt = null;
+            this.accountKey = null;
+            try {
+                backend.remove(key);
+                knownVersion = currentVersion();
+            } catch (error) {
+                logger.error('Failed to clear tokens', { store: backend.name, key, err: error });
+            }
+            logger.info('Tokens cleared', { store: backend.name, key });
+        },
+
+        // Write the current tokens to the backend
+        persist() {
+            try {
+                backend.write(key, {
+                    accessToken: this.accessToken,
+                    refreshToken: this.refreshToken,
+                    expiresAt: this.expiresAt,
+                    accountKey: this.accountKey
+                });
+                knownVersion = currentVersion();
+            } catch (error) {
+                logger.error('Failed to persist tokens', { store: backend.name, key, err: error });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createTokenStore,
+    createBackendFromEnv,
+    createMemoryBackend,
+    createFileBackend,
+    createSqliteBackend
+};
@@ -0,0 +1,133 @@
+/**
+ * Local User Accounts
+ * Username/password accounts for the web UI and API. Passwords are hashed with scrypt.
+ * Each user connects their own GoTo account; their tokens are stored under their user ID.
+ */
+
+// Import crypto module for password hashing
+const crypto = require('crypto');
+
+// Import JSON-file collection factory
+const { createCollection } = require('./dataStore');
+
+// Import normalized error classes
+const { InvalidRequestError } = require('./errors');
+
+// Import the structured logger
+const { createLogger } = require('./logger');
+const logger = createLogger({ component: 'users' });
+
+// Minimum password length accepted when creating an account
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {string} - "salt:hash" (both hex)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Value produced by hashPassword()
+ * @returns {boolean} - True when the password matches
+ */
+function verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Remove secrets from a user record before returning it from the API
+ * @param {Object} user - Stored user
+ * @returns {Object} - { id, username, role, createdAt }
+ */
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Create the user store
+ * @param {Object} [options] - { collection } - override the backing collection
+ * @returns {Object} - User store
+ */
+function createUserStore({ collection = createCollection('users') } = {}) {
+    /**
+     * Find a user by username (case-insensitive)
+     * @param {string} username - Username
+     * @returns {Object|null} - Stored user or null
+     */
+    function findByUsername(username) {
+        const name = String(username || '').trim().toLowerCase();
+        return collection.find(user => user.username.toLowerCase() === name);
+    }
+
+    /**
+     * Create an account
+     * @param {Object} fields - { username, password, role }
+     * @returns {Object} - Public user
+     * @throws {InvalidRequestError} - If a field is invalid or the username is taken
+     */
+    function createUser({ username, password, role = 'user' }) {
+        if (typeof username !== 'string' || !/^[\w.@-]{3,64}$/.test(username.trim())) {
+            throw new InvalidRequestError('Username must be 3-64 characters (letters, digits, . _ @ -)');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new InvalidRequestError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (role !== 'user' && role !== 'admin') {
+            throw new InvalidRequestError('Role must be "user" or "admin"');
+        }
+        if (findByUsername(username)) {
+            throw new InvalidRequestError('Username is already taken', { code: 'DUPLICATE_USER' });
+        }
+
+        const user = collection.insert({
+            username: username.trim(),
+            passwordHash: hashPassword(password),
+            role
+        });
+        logger.info('User created', { username: user.username, role });
+        return toPublicUser(user);
+    }
+
+    /**
+     * Check credentials
+     * @param {string} username - Username
+     * @param {string} password - Plain-text password
+     * @returns {Object|null} - Public user, or null when the credentials are wrong
+     */
+    function authenticate(username, password) {
+        const user = findByUsername(username);
+        if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+            return null;
+        }
+        return toPublicUser(user);
+    }
+
+    return {
+        createUser,
+        authenticate,
+        get(id) {
+            const user = collection.get(id);
+            return user ? toPublicUser(user) : null;
+        },
+        list: () => collection.list().map(toPublicUser),
+        count: () => collection.list().length,
+        remove: (id) => collection.remove(id)
+    };
+}
+
+module.exports = {
+    createUserStore,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,114 @@
+/**
+ * GoTo Webhook Helpers
+ * Verifies and parses GoTo messaging notifications (inbound messages and
+ * delivery-status updates) posted to POST /webhooks/goto/messages.
+ */
+
+// Import crypto module for HMAC signature verification
+const crypto = require('crypto');
+
+/**
+ * Verify a webhook request
+ * Accepts either an HMAC-SHA256 signature of the raw body (X-GoTo-Signature header, hex,
+ * optionally prefixed with "sha256=") or the shared secret as a ?token= query parameter,
+ * for notification channels that cannot sign requests
+ * @param {Object} params
+ * @param {Buffer} params.rawBody - Raw request body
+ * @param {string} [params.signature] - X-GoTo-Signature header value
+ * @param {string} [params.token] - token query parameter
+ * @param {string} params.secret - GOTO_WEBHOOK_SECRET
+ * @returns {boolean} - True when the request is authentic
+ */
+function verifyWebhook({ rawBody, signature, token, secret }) {
+    if (signature) {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody || Buffer.alloc(0)).digest('hex');
+        return safeEqual(signature.replace(/^sha256=/, ''), expected);
+    }
+    if (token) {
+        return safeEqual(token, secret);
+    }
+    return false;
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True when equal
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Normalize a GoTo notification into a list of events
+ * Accepts a single notification, a notification wrapped in { data }, or an array of either
+ * @param {*} payload - Parsed JSON body
+ * @returns {Object[]} - Events:
+ *   { type: 'message', direction: 'inbound'|'outbound', providerId, from, to[], body, timestamp }
+ *   { type: 'status', providerId, status, timestamp, details }
+ * @throws {Error} - If the payload is not a recognised notification
+ */
+function parseNotification(payload) {
+    const notifications = Array.isArray(payload) ? payload : [payload];
+
+    return notifications.map(notification => {
+        const event = notification && notification.data ? notification.data : notification;
+        const content = event && (event.content || event);
+        if (!content || typeof content !== 'object') {
+            throw new Error('Unrecognised notification payload');
+        }
+
+        const type = String(event.type || '').toLowerCase();
+
+        // Delivery-status notifications carry a status for a message we sent earlier
+        if (type.includes('status') || (content.status && !content.body)) {
+            if (!(content.messageId || content.id) || !content.status) {
+                throw new Error('Status notification requires messageId and status');
+            }
+            return {
+                type: 'status',
+                providerId: content.messageId || content.id,
+                status: String(content.status),
+                timestamp: content.timestamp || event.timestamp || null,
+                details: content.errorCode || content.reason || null
+            };
+        }
+
+        // Message notifications: GoTo reports both received and sent messages
+        const direction = String(content.direction || 'IN').toUpperCase().startsWith('OUT') ? 'outbound' : 'inbound';
+        const from = content.authorPhoneNumber || (direction === 'inbound' ? firstNumber(content.contactPhoneNumbers) : content.ownerPhoneNumber);
+        const to = direction === 'inbound'
+            ? [content.ownerPhoneNumber].filter(Boolean)
+            : (content.contactPhoneNumbers || []);
+        if (!from || to.length === 0 || typeof content.body !== 'string') {
+            throw new Error('Message notification requires ownerPhoneNumber, authorPhoneNumber and body');
+        }
+
+        return {
+            type: 'message',
+            direction,
+            providerId: content.id || null,
+            from,
+            to,
+            body: content.body,
+            timestamp: content.timestamp || event.timestamp || null
+        };
+    });
+}
+
+/**
+ * First entry of an optional array
+ * @param {string[]} [values] - Array of values
+ * @returns {string|undefined} - First value
+ */
+function firstNumber(values) {
+    return Array.isArray(values) ? values[0] : undefined;
+}
+
+module.exports = {
+    verifyWebhook,
+    parseNotification
+};